@@ -23,6 +23,16 @@ const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
 db.pragma('foreign_keys = ON');
 
+/**
+ * Add a column to an existing table unless it is already there
+ */
+const addColumnIfMissing = (table, column, definition) => {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(({ name }) => name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
 /**
  * Users table - stores backend users
  */
@@ -44,6 +54,24 @@ const createUsersTable = () => {
     CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
     CREATE INDEX IF NOT EXISTS idx_users_tb_user_id ON users(thingsboard_user_id);
   `);
+
+  // Set once the user confirmed the current email address
+  addColumnIfMissing('users', 'email_verified_at', 'INTEGER');
+
+  // TOTP two-factor authentication: secret is set on enrollment, enabled once
+  // confirmed with a code; last step rejects replays of a used code
+  addColumnIfMissing('users', 'totp_secret', 'TEXT');
+  addColumnIfMissing('users', 'totp_enabled_at', 'INTEGER');
+  addColumnIfMissing('users', 'totp_last_step', 'INTEGER');
+
+  // 'user' or 'admin'; admins use /api/admin
+  addColumnIfMissing('users', 'role', "TEXT NOT NULL DEFAULT 'user'");
+
+  // Account deletion requested by the user: purged after the scheduled time,
+  // ThingsBoard devices are deleted or released (deletion_device_action)
+  addColumnIfMissing('users', 'deletion_requested_at', 'INTEGER');
+  addColumnIfMissing('users', 'deletion_scheduled_at', 'INTEGER');
+  addColumnIfMissing('users', 'deletion_device_action', 'TEXT');
 };
 
 /**
@@ -66,6 +94,72 @@ const createGoogleAccountLinksTable = () => {
     );
     CREATE INDEX IF NOT EXISTS idx_google_links_agent_user_id ON google_account_links(google_agent_user_id);
     CREATE INDEX IF NOT EXISTS idx_google_links_user_id ON google_account_links(user_id);
+    CREATE INDEX IF NOT EXISTS idx_google_links_access_token ON google_account_links(access_token);
+  `);
+
+  // Authorization code the link's tokens descend from (revoked on code replay)
+  addColumnIfMissing('google_account_links', 'authorization_code_id', 'INTEGER');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_google_links_auth_code ON google_account_links(authorization_code_id)');
+
+  // Refresh token family, rotated tokens of one grant share it (reuse revokes the family)
+  addColumnIfMissing('google_account_links', 'token_family', 'TEXT');
+
+  // OAuth client the link was made through
+  addColumnIfMissing('google_account_links', 'client_id', 'TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_google_links_client_id ON google_account_links(client_id)');
+
+  // Device UUIDs the user chose to share (JSON array), NULL shares all devices
+  addColumnIfMissing('google_account_links', 'shared_devices', 'TEXT');
+};
+
+/**
+ * OAuth authorization codes table - single-use codes with optional PKCE challenge
+ */
+const createOAuthAuthorizationCodesTable = () => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS oauth_authorization_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT UNIQUE NOT NULL,
+      user_id INTEGER NOT NULL,
+      client_id TEXT NOT NULL,
+      redirect_uri TEXT NOT NULL,
+      code_challenge TEXT,
+      code_challenge_method TEXT,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      consumed_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_oauth_codes_code ON oauth_authorization_codes(code);
+    CREATE INDEX IF NOT EXISTS idx_oauth_codes_expires_at ON oauth_authorization_codes(expires_at);
+  `);
+
+  addColumnIfMissing('oauth_authorization_codes', 'scope', 'TEXT');
+
+  // Device selection from the consent screen, copied to the account link
+  addColumnIfMissing('oauth_authorization_codes', 'shared_devices', 'TEXT');
+};
+
+/**
+ * OAuth clients table - registered clients (Google, Alexa, SmartThings, mobile app)
+ * Public clients have no secret and must use PKCE
+ */
+const createOAuthClientsTable = () => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS oauth_clients (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      client_id TEXT UNIQUE NOT NULL,
+      client_secret_hash TEXT,
+      name TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      redirect_uris TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      grant_types TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      is_active INTEGER DEFAULT 1
+    );
+    CREATE INDEX IF NOT EXISTS idx_oauth_clients_client_id ON oauth_clients(client_id);
   `);
 };
 
@@ -96,6 +190,58 @@ const createDevicesTable = () => {
     CREATE INDEX IF NOT EXISTS idx_devices_owner ON devices(owner_user_id);
     CREATE INDEX IF NOT EXISTS idx_devices_active ON devices(is_active);
   `);
+
+  // Household the owner shares the device with (NULL: owner only)
+  addColumnIfMissing('devices', 'household_id', 'INTEGER');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_devices_household ON devices(household_id)');
+};
+
+/**
+ * Households tables - device sharing within a family
+ * Members have a role (owner, admin, member, guest) that sets their default
+ * permission on the household's devices; device_permissions overrides it per device
+ */
+const createHouseholdsTables = () => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS households (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      household_uuid TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      created_by INTEGER NOT NULL,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      is_active INTEGER DEFAULT 1,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_households_uuid ON households(household_uuid);
+
+    CREATE TABLE IF NOT EXISTS household_members (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      household_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      role TEXT NOT NULL,
+      added_by INTEGER,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      UNIQUE (household_id, user_id),
+      FOREIGN KEY (household_id) REFERENCES households(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_household_members_user_id ON household_members(user_id);
+
+    CREATE TABLE IF NOT EXISTS device_permissions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      device_uuid TEXT NOT NULL,
+      user_id INTEGER NOT NULL,
+      permission TEXT NOT NULL,
+      granted_by INTEGER,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      UNIQUE (device_uuid, user_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_device_permissions_user_id ON device_permissions(user_id);
+  `);
 };
 
 /**
@@ -119,25 +265,195 @@ const createThingsBoardSessionsTable = () => {
 };
 
 /**
- * Provisioning requests table - track device provisioning attempts
+ * User sessions table - refresh sessions of app logins
+ * Refresh tokens are stored hashed; the previous hash detects reuse of a rotated token
+ */
+const createUserSessionsTable = () => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT UNIQUE NOT NULL,
+      user_id INTEGER NOT NULL,
+      refresh_token_hash TEXT NOT NULL,
+      previous_refresh_token_hash TEXT,
+      device_name TEXT,
+      user_agent TEXT,
+      ip_address TEXT,
+      created_at INTEGER NOT NULL,
+      last_used_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      revoked_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_user_sessions_session_id ON user_sessions(session_id);
+    CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_user_sessions_expires_at ON user_sessions(expires_at);
+  `);
+};
+
+/**
+ * User tokens table - single-use tokens sent by email
+ * purpose: email_verification (for the address in email) or password_reset
+ */
+const createUserTokensTable = () => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token_hash TEXT UNIQUE NOT NULL,
+      user_id INTEGER NOT NULL,
+      purpose TEXT NOT NULL,
+      email TEXT,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      used_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_user_tokens_token_hash ON user_tokens(token_hash);
+    CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose ON user_tokens(user_id, purpose);
+  `);
+};
+
+/**
+ * Personal access tokens table - named, scoped API tokens for scripts, stored hashed
+ * scopes: JSON array, e.g. ["devices:read", "devices:control:<deviceUuid>"]
+ */
+const createPersonalAccessTokensTable = () => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS personal_access_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token_id TEXT UNIQUE NOT NULL,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      scopes TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      last_used_at INTEGER,
+      revoked_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_token_hash ON personal_access_tokens(token_hash);
+    CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user_id ON personal_access_tokens(user_id);
+  `);
+};
+
+/**
+ * Recovery codes table - single-use two-factor recovery codes, stored hashed
+ */
+const createRecoveryCodesTable = () => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      used_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+  `);
+};
+
+/**
+ * Login throttles table - failed sign-in attempts per username, also for
+ * unknown usernames so lockouts do not reveal which accounts exist
+ */
+const createLoginThrottlesTable = () => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS login_throttles (
+      username TEXT PRIMARY KEY,
+      failed_count INTEGER NOT NULL DEFAULT 0,
+      lockout_count INTEGER NOT NULL DEFAULT 0,
+      last_failed_at INTEGER NOT NULL,
+      locked_until INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_login_throttles_last_failed_at ON login_throttles(last_failed_at);
+  `);
+};
+
+/**
+ * Provisioning requests table - one row per device provisioning attempt,
+ * advanced through pending, tb_created, credentials_fetched, stored and
+ * completed, or failed; user_id is NULL for claim-code provisioning
  */
 const createProvisioningRequestsTable = () => {
+  // The first version of this table was never written; replace it
+  const columns = db.prepare('PRAGMA table_info(provisioning_requests)').all();
+  if (columns.length > 0 && !columns.some(({ name }) => name === 'request_id')) {
+    db.exec('DROP TABLE provisioning_requests');
+  }
+
   db.exec(`
     CREATE TABLE IF NOT EXISTS provisioning_requests (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
+      request_id TEXT UNIQUE NOT NULL,
       device_uuid TEXT NOT NULL,
-      user_id INTEGER NOT NULL,
+      user_id INTEGER,
+      batch_id INTEGER,
+      hardware_id TEXT,
       request_data TEXT,
       status TEXT NOT NULL,
+      thingsboard_device_id TEXT,
       error_message TEXT,
       created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
       completed_at INTEGER,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (batch_id) REFERENCES provisioning_batches(id)
     );
     CREATE INDEX IF NOT EXISTS idx_prov_requests_device_uuid ON provisioning_requests(device_uuid);
     CREATE INDEX IF NOT EXISTS idx_prov_requests_user_id ON provisioning_requests(user_id);
     CREATE INDEX IF NOT EXISTS idx_prov_requests_status ON provisioning_requests(status);
+    CREATE INDEX IF NOT EXISTS idx_prov_requests_hardware_id ON provisioning_requests(hardware_id);
+  `);
+};
+
+/**
+ * Provisioning batches and device claims - factory-flashed panels provision
+ * themselves with their batch's key and are claimed later by a user with a
+ * claim code; keys and codes are stored hashed
+ */
+const createDeviceClaimsTables = () => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS provisioning_batches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      batch_id TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      key_hash TEXT UNIQUE NOT NULL,
+      max_devices INTEGER,
+      created_by INTEGER,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER,
+      revoked_at INTEGER,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_provisioning_batches_key_hash ON provisioning_batches(key_hash);
+
+    CREATE TABLE IF NOT EXISTS device_claims (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      device_uuid TEXT UNIQUE NOT NULL,
+      batch_id INTEGER NOT NULL,
+      thingsboard_device_id TEXT NOT NULL,
+      device_name TEXT NOT NULL,
+      device_type TEXT NOT NULL,
+      device_label TEXT,
+      capabilities TEXT NOT NULL,
+      device_config TEXT,
+      access_token TEXT,
+      claim_code_hash TEXT UNIQUE,
+      claim_expires_at INTEGER,
+      created_at INTEGER NOT NULL,
+      claimed_at INTEGER,
+      claimed_by INTEGER,
+      FOREIGN KEY (batch_id) REFERENCES provisioning_batches(id),
+      FOREIGN KEY (claimed_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_device_claims_batch_id ON device_claims(batch_id);
+    CREATE INDEX IF NOT EXISTS idx_device_claims_code_hash ON device_claims(claim_code_hash);
   `);
+
+  // Hash of the secret a panel generates for its first attempt; retries must send it again
+  addColumnIfMissing('device_claims', 'retry_secret_hash', 'TEXT');
 };
 
 /**
@@ -163,6 +479,62 @@ const createAuditLogTable = () => {
   `);
 };
 
+/**
+ * HomeGraph state reports table - last state pushed to Google per device channel
+ */
+const createHomeGraphStateReportsTable = () => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS homegraph_state_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      google_device_id TEXT UNIQUE NOT NULL,
+      device_uuid TEXT NOT NULL,
+      last_state TEXT,
+      last_reported_at INTEGER NOT NULL,
+      FOREIGN KEY (device_uuid) REFERENCES devices(device_uuid) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_hg_reports_device_uuid ON homegraph_state_reports(device_uuid);
+  `);
+};
+
+/**
+ * Scenes table - named sets of target states across device channels
+ */
+const createScenesTable = () => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS scenes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scene_uuid TEXT UNIQUE NOT NULL,
+      owner_user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      targets TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      is_active INTEGER DEFAULT 1,
+      FOREIGN KEY (owner_user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_scenes_uuid ON scenes(scene_uuid);
+    CREATE INDEX IF NOT EXISTS idx_scenes_owner ON scenes(owner_user_id);
+  `);
+};
+
+/**
+ * Device profiles table - capability to Google trait mappings
+ */
+const createDeviceProfilesTable = () => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS device_profiles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      description TEXT,
+      definition TEXT NOT NULL,
+      source TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_device_profiles_name ON device_profiles(name);
+  `);
+};
+
 /**
  * Run all migrations
  */
@@ -172,10 +544,22 @@ export const migrate = () => {
   db.transaction(() => {
     createUsersTable();
     createGoogleAccountLinksTable();
+    createOAuthAuthorizationCodesTable();
+    createOAuthClientsTable();
     createDevicesTable();
+    createHouseholdsTables();
     createThingsBoardSessionsTable();
+    createUserSessionsTable();
+    createUserTokensTable();
+    createPersonalAccessTokensTable();
+    createRecoveryCodesTable();
+    createLoginThrottlesTable();
     createProvisioningRequestsTable();
+    createDeviceClaimsTables();
     createAuditLogTable();
+    createHomeGraphStateReportsTable();
+    createScenesTable();
+    createDeviceProfilesTable();
   })();
   
   console.log('Database migrations completed successfully');
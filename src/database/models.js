@@ -35,6 +35,14 @@ export class UserModel {
     };
   }
 
+  /**
+   * Find user by ID
+   */
+  static findById(id) {
+    const stmt = db.prepare('SELECT * FROM users WHERE id = ? AND is_active = 1');
+    return stmt.get(id);
+  }
+
   /**
    * Find user by username
    */
@@ -43,6 +51,14 @@ export class UserModel {
     return stmt.get(username);
   }
 
+  /**
+   * Find user by email
+   */
+  static findByEmail(email) {
+    const stmt = db.prepare('SELECT * FROM users WHERE email = ? AND is_active = 1');
+    return stmt.get(email);
+  }
+
   /**
    * Find user by backend user ID
    */
@@ -66,6 +82,58 @@ export class UserModel {
     return bcrypt.compareSync(plainPassword, passwordHash);
   }
 
+  /**
+   * Set a new password
+   */
+  static updatePassword(userId, password) {
+    const stmt = db.prepare('UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?');
+    stmt.run(bcrypt.hashSync(password, 10), Date.now(), userId);
+  }
+
+  /**
+   * Mark the user's email as verified, if it is still the given address
+   * @returns {boolean} False if the email changed in the meantime
+   */
+  static markEmailVerified(userId, email) {
+    const now = Date.now();
+    const stmt = db.prepare('UPDATE users SET email_verified_at = ?, updated_at = ? WHERE id = ? AND email = ?');
+    return stmt.run(now, now, userId, email).changes === 1;
+  }
+
+  /**
+   * Store a new TOTP secret, pending until enableTotp
+   */
+  static setTotpSecret(userId, secret) {
+    const stmt = db.prepare('UPDATE users SET totp_secret = ?, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = ? WHERE id = ?');
+    stmt.run(secret, Date.now(), userId);
+  }
+
+  /**
+   * Enable two-factor authentication with the pending secret
+   */
+  static enableTotp(userId, step) {
+    const now = Date.now();
+    const stmt = db.prepare('UPDATE users SET totp_enabled_at = ?, totp_last_step = ?, updated_at = ? WHERE id = ? AND totp_secret IS NOT NULL');
+    stmt.run(now, step, now, userId);
+  }
+
+  /**
+   * Disable two-factor authentication
+   */
+  static disableTotp(userId) {
+    const stmt = db.prepare('UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = ? WHERE id = ?');
+    stmt.run(Date.now(), userId);
+  }
+
+  /**
+   * Record the time step of a used TOTP code
+   * @returns {boolean} False if the step (or a later one) was already used
+   */
+  static useTotpStep(userId, step) {
+    const stmt = db.prepare('UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)');
+    return stmt.run(step, userId, step).changes === 1;
+  }
+
   /**
    * Update ThingsBoard user mapping
    */
@@ -85,6 +153,130 @@ export class UserModel {
     const stmt = db.prepare('SELECT * FROM users WHERE is_active = 1 ORDER BY created_at DESC');
     return stmt.all();
   }
+
+  /**
+   * Find user by backend user ID, including deactivated users
+   */
+  static findByBackendUserIdAnyStatus(backendUserId) {
+    const stmt = db.prepare('SELECT * FROM users WHERE backend_user_id = ?');
+    return stmt.get(backendUserId);
+  }
+
+  /**
+   * Search users by username, email or backend user ID
+   * @param {Object} filters - { query, role, active (true, false or null for all), limit, offset }
+   * @returns {{ users: Object[], total: number }}
+   */
+  static search({ query = null, role = null, active = null, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (query) {
+      conditions.push('(username LIKE ? OR email LIKE ? OR backend_user_id = ?)');
+      params.push(`%${query}%`, `%${query}%`, query);
+    }
+    if (role) {
+      conditions.push('role = ?');
+      params.push(role);
+    }
+    if (active !== null) {
+      conditions.push('is_active = ?');
+      params.push(active ? 1 : 0);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM users ${where}`).get(...params).count;
+    const users = db.prepare(`SELECT * FROM users ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+
+    return { users, total };
+  }
+
+  /**
+   * Set user role ('user' or 'admin')
+   */
+  static setRole(userId, role) {
+    const stmt = db.prepare('UPDATE users SET role = ?, updated_at = ? WHERE id = ?');
+    stmt.run(role, Date.now(), userId);
+  }
+
+  /**
+   * Give the admin role to users by username
+   * @returns {number} Number of users promoted
+   */
+  static promoteToAdmin(usernames) {
+    const stmt = db.prepare("UPDATE users SET role = 'admin', updated_at = ? WHERE username = ? AND role != 'admin'");
+    const now = Date.now();
+    return usernames.reduce((count, username) => count + stmt.run(now, username).changes, 0);
+  }
+
+  /**
+   * Schedule account deletion
+   */
+  static scheduleDeletion(userId, { scheduledAt, deviceAction }) {
+    const now = Date.now();
+    const stmt = db.prepare(`
+      UPDATE users
+      SET deletion_requested_at = ?, deletion_scheduled_at = ?, deletion_device_action = ?, updated_at = ?
+      WHERE id = ?
+    `);
+    stmt.run(now, scheduledAt, deviceAction, now, userId);
+  }
+
+  /**
+   * Cancel scheduled account deletion
+   * @returns {boolean} False if none was scheduled
+   */
+  static cancelDeletion(userId) {
+    const stmt = db.prepare(`
+      UPDATE users
+      SET deletion_requested_at = NULL, deletion_scheduled_at = NULL, deletion_device_action = NULL, updated_at = ?
+      WHERE id = ? AND deletion_scheduled_at IS NOT NULL
+    `);
+    return stmt.run(Date.now(), userId).changes === 1;
+  }
+
+  /**
+   * Get users (active or not) whose scheduled deletion is due
+   */
+  static findDueForDeletion(now = Date.now()) {
+    const stmt = db.prepare('SELECT * FROM users WHERE deletion_scheduled_at IS NOT NULL AND deletion_scheduled_at <= ?');
+    return stmt.all(now);
+  }
+
+  /**
+   * Delete a user for good
+   * Households the user created are deleted (their other devices stay with
+   * their owners); every row referencing the user cascades, except audit log
+   * entries, which lose the user reference, IP address, user agent and details,
+   * and the user's ID wherever it is the resource
+   */
+  static purge(userId) {
+    db.transaction(() => {
+      const households = db.prepare('SELECT id FROM households WHERE created_by = ?').all(userId);
+      households.forEach(({ id }) => {
+        db.prepare('DELETE FROM device_permissions WHERE device_uuid IN (SELECT device_uuid FROM devices WHERE household_id = ?)').run(id);
+        db.prepare('UPDATE devices SET household_id = NULL WHERE household_id = ?').run(id);
+      });
+
+      db.prepare('DELETE FROM device_permissions WHERE device_uuid IN (SELECT device_uuid FROM devices WHERE owner_user_id = ?)').run(userId);
+      db.prepare('UPDATE audit_log SET ip_address = NULL, user_agent = NULL, details = NULL WHERE user_id = ?').run(userId);
+      db.prepare('UPDATE audit_log SET resource_id = NULL WHERE resource_id = (SELECT backend_user_id FROM users WHERE id = ?)').run(userId);
+      db.prepare('DELETE FROM login_throttles WHERE username = (SELECT username FROM users WHERE id = ?)').run(userId);
+      db.prepare('DELETE FROM users WHERE id = ?').run(userId);
+    })();
+  }
+
+  /**
+   * Activate or deactivate user
+   * Deactivated users are hidden from the find methods and cannot sign in
+   * @returns {boolean} False if the user already had that status
+   */
+  static setActive(userId, isActive) {
+    const stmt = db.prepare('UPDATE users SET is_active = ?, updated_at = ? WHERE id = ? AND is_active != ?');
+    const value = isActive ? 1 : 0;
+    return stmt.run(value, Date.now(), userId, value).changes === 1;
+  }
 }
 
 /**
@@ -94,17 +286,17 @@ export class DeviceModel {
   /**
    * Create a new device
    */
-  static create({ deviceUuid, thingsboardDeviceId, deviceName, deviceType, ownerUserId, accessToken, capabilities, deviceLabel = null, deviceConfig = null }) {
+  static create({ deviceUuid, thingsboardDeviceId, deviceName, deviceType, ownerUserId, accessToken, capabilities, deviceLabel = null, deviceConfig = null, householdId = null }) {
     const now = Date.now();
     const capabilitiesJson = JSON.stringify(capabilities);
     const configJson = deviceConfig ? JSON.stringify(deviceConfig) : null;
 
     const stmt = db.prepare(`
-      INSERT INTO devices (device_uuid, thingsboard_device_id, device_name, device_type, owner_user_id, access_token, device_label, capabilities, device_config, provisioned_at, is_active)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
+      INSERT INTO devices (device_uuid, thingsboard_device_id, device_name, device_type, owner_user_id, household_id, access_token, device_label, capabilities, device_config, provisioned_at, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
     `);
 
-    const result = stmt.run(deviceUuid, thingsboardDeviceId, deviceName, deviceType, ownerUserId, accessToken, deviceLabel, capabilitiesJson, configJson, now);
+    const result = stmt.run(deviceUuid, thingsboardDeviceId, deviceName, deviceType, ownerUserId, householdId, accessToken, deviceLabel, capabilitiesJson, configJson, now);
     
     return {
       id: result.lastInsertRowid,
@@ -113,6 +305,7 @@ export class DeviceModel {
       deviceName,
       deviceType,
       ownerUserId,
+      householdId,
       accessToken,
       deviceLabel,
       capabilities,
@@ -149,6 +342,21 @@ export class DeviceModel {
     });
   }
 
+  /**
+   * Find device by ThingsBoard device ID
+   */
+  static findByThingsBoardId(thingsboardDeviceId) {
+    const stmt = db.prepare('SELECT * FROM devices WHERE thingsboard_device_id = ? AND is_active = 1');
+    const device = stmt.get(thingsboardDeviceId);
+    if (device && device.capabilities) {
+      device.capabilities = JSON.parse(device.capabilities);
+    }
+    if (device && device.device_config) {
+      device.device_config = JSON.parse(device.device_config);
+    }
+    return device;
+  }
+
   /**
    * Update device online status
    */
@@ -176,183 +384,1518 @@ export class DeviceModel {
   }
 
   /**
-   * Get all devices for a user (for Google Home SYNC)
+   * Find all devices of an owner, including deleted ones
    */
-  static findAllForSync(ownerUserId) {
+  static findByOwnerAnyStatus(ownerUserId) {
+    const stmt = db.prepare('SELECT * FROM devices WHERE owner_user_id = ? ORDER BY provisioned_at ASC');
+    return stmt.all(ownerUserId);
+  }
+
+  /**
+   * Find devices in a household
+   */
+  static findByHousehold(householdId) {
+    const stmt = db.prepare('SELECT * FROM devices WHERE household_id = ? AND is_active = 1 ORDER BY provisioned_at ASC');
+    return stmt.all(householdId).map(device => {
+      if (device.capabilities) device.capabilities = JSON.parse(device.capabilities);
+      if (device.device_config) device.device_config = JSON.parse(device.device_config);
+      return device;
+    });
+  }
+
+  /**
+   * Move a device into a household, or out of it with null
+   */
+  static setHousehold(deviceUuid, householdId) {
+    const stmt = db.prepare('UPDATE devices SET household_id = ? WHERE device_uuid = ?');
+    stmt.run(householdId, deviceUuid);
+  }
+
+  /**
+   * Give a device to another owner
+   * The device leaves its household and loses its per-device permissions
+   */
+  static setOwner(deviceUuid, ownerUserId) {
+    db.transaction(() => {
+      db.prepare('UPDATE devices SET owner_user_id = ?, household_id = NULL WHERE device_uuid = ?').run(ownerUserId, deviceUuid);
+      db.prepare('DELETE FROM device_permissions WHERE device_uuid = ?').run(deviceUuid);
+    })();
+  }
+
+  /**
+   * Get the devices a user owns or may share through a household
+   * Household devices still need a permission check (householdService)
+   */
+  static findAccessibleByUser(userId) {
     const stmt = db.prepare(`
-      SELECT device_uuid, device_name, device_type, device_label, capabilities, is_online
-      FROM devices 
-      WHERE owner_user_id = ? AND is_active = 1
+      SELECT * FROM devices
+      WHERE is_active = 1 AND (
+        owner_user_id = ? OR
+        household_id IN (
+          SELECT m.household_id FROM household_members m
+          JOIN households h ON h.id = m.household_id AND h.is_active = 1
+          WHERE m.user_id = ?
+        )
+      )
       ORDER BY provisioned_at ASC
     `);
-    const devices = stmt.all(ownerUserId);
+    const devices = stmt.all(userId, userId);
     return devices.map(device => {
       if (device.capabilities) device.capabilities = JSON.parse(device.capabilities);
+      if (device.device_config) device.device_config = JSON.parse(device.device_config);
       return device;
     });
   }
 }
 
 /**
- * Google Account Link Model
+ * Device Profile Model
  */
-export class GoogleAccountLinkModel {
+export class DeviceProfileModel {
   /**
-   * Create or update Google account link
+   * Create or update profile by name
    */
-  static createOrUpdate({ userId, googleAgentUserId, googleAccountId = null, accessToken = null, refreshToken = null, tokenExpiresAt = null }) {
+  static upsert({ name, description = null, definition, source }) {
     const now = Date.now();
+    const stmt = db.prepare(`
+      INSERT INTO device_profiles (name, description, definition, source, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET description = excluded.description, definition = excluded.definition,
+        source = excluded.source, updated_at = excluded.updated_at
+    `);
+    stmt.run(name, description, JSON.stringify(definition), source, now, now);
+  }
 
-    // Check if link exists
-    const existing = this.findByAgentUserId(googleAgentUserId);
-    
-    if (existing) {
-      const stmt = db.prepare(`
-        UPDATE google_account_links 
-        SET user_id = ?, google_account_id = ?, access_token = ?, refresh_token = ?, token_expires_at = ?, last_sync_at = ?, is_active = 1
-        WHERE google_agent_user_id = ?
-      `);
-      stmt.run(userId, googleAccountId, accessToken, refreshToken, tokenExpiresAt, now, googleAgentUserId);
-      return { ...existing, userId, googleAccountId, lastSyncAt: now };
-    } else {
-      const stmt = db.prepare(`
-        INSERT INTO google_account_links (user_id, google_agent_user_id, google_account_id, access_token, refresh_token, token_expires_at, linked_at, last_sync_at, is_active)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
-      `);
-      const result = stmt.run(userId, googleAgentUserId, googleAccountId, accessToken, refreshToken, tokenExpiresAt, now, now);
-      return {
-        id: result.lastInsertRowid,
-        userId,
-        googleAgentUserId,
-        googleAccountId,
-        linkedAt: now,
-        lastSyncAt: now
-      };
+  /**
+   * Find profile by name
+   */
+  static findByName(name) {
+    const stmt = db.prepare('SELECT * FROM device_profiles WHERE name = ?');
+    const profile = stmt.get(name);
+    if (profile) {
+      profile.definition = JSON.parse(profile.definition);
     }
+    return profile;
   }
 
   /**
-   * Find by Google agent user ID
+   * Get all profiles
    */
-  static findByAgentUserId(googleAgentUserId) {
-    const stmt = db.prepare('SELECT * FROM google_account_links WHERE google_agent_user_id = ? AND is_active = 1');
-    return stmt.get(googleAgentUserId);
+  static findAll() {
+    const stmt = db.prepare('SELECT * FROM device_profiles ORDER BY name ASC');
+    return stmt.all().map(profile => {
+      profile.definition = JSON.parse(profile.definition);
+      return profile;
+    });
   }
+}
 
+/**
+ * Scene Model
+ */
+export class SceneModel {
   /**
-   * Find by user ID
+   * Create a new scene
    */
-  static findByUserId(userId) {
-    const stmt = db.prepare('SELECT * FROM google_account_links WHERE user_id = ? AND is_active = 1');
-    return stmt.get(userId);
+  static create({ ownerUserId, name, targets }) {
+    const sceneUuid = uuidv4();
+    const now = Date.now();
+
+    const stmt = db.prepare(`
+      INSERT INTO scenes (scene_uuid, owner_user_id, name, targets, created_at, updated_at, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, 1)
+    `);
+    const result = stmt.run(sceneUuid, ownerUserId, name, JSON.stringify(targets), now, now);
+
+    return {
+      id: result.lastInsertRowid,
+      sceneUuid,
+      ownerUserId,
+      name,
+      targets,
+      createdAt: now,
+      updatedAt: now
+    };
   }
 
   /**
-   * Disconnect (soft delete)
+   * Find scene by UUID
    */
-  static disconnect(googleAgentUserId) {
-    const stmt = db.prepare('UPDATE google_account_links SET is_active = 0 WHERE google_agent_user_id = ?');
-    stmt.run(googleAgentUserId);
+  static findByUuid(sceneUuid) {
+    const stmt = db.prepare('SELECT * FROM scenes WHERE scene_uuid = ? AND is_active = 1');
+    const scene = stmt.get(sceneUuid);
+    if (scene) {
+      scene.targets = JSON.parse(scene.targets);
+    }
+    return scene;
   }
 
   /**
-   * Update last sync time
+   * Find scenes by owner user ID
    */
-  static updateLastSync(googleAgentUserId) {
-    const stmt = db.prepare('UPDATE google_account_links SET last_sync_at = ? WHERE google_agent_user_id = ?');
-    stmt.run(Date.now(), googleAgentUserId);
+  static findByOwner(ownerUserId) {
+    const stmt = db.prepare('SELECT * FROM scenes WHERE owner_user_id = ? AND is_active = 1 ORDER BY created_at ASC');
+    return stmt.all(ownerUserId).map(scene => {
+      scene.targets = JSON.parse(scene.targets);
+      return scene;
+    });
+  }
+
+  /**
+   * Update scene name and targets
+   */
+  static update(sceneUuid, { name, targets }) {
+    const stmt = db.prepare('UPDATE scenes SET name = ?, targets = ?, updated_at = ? WHERE scene_uuid = ?');
+    stmt.run(name, JSON.stringify(targets), Date.now(), sceneUuid);
+  }
+
+  /**
+   * Delete scene (soft delete)
+   */
+  static delete(sceneUuid) {
+    const stmt = db.prepare('UPDATE scenes SET is_active = 0 WHERE scene_uuid = ?');
+    stmt.run(sceneUuid);
   }
 }
 
 /**
- * ThingsBoard Session Model
+ * Household Model
  */
-export class ThingsBoardSessionModel {
+export class HouseholdModel {
   /**
-   * Create or update session
+   * Create a household with its creator as owner
    */
-  static createOrUpdate({ userId, jwtToken, refreshToken = null, expiresIn = 3600 }) {
+  static create({ name, createdBy }) {
+    const householdUuid = uuidv4();
     const now = Date.now();
-    const tokenExpiresAt = now + (expiresIn * 1000);
 
-    // Deactivate old sessions
-    const deactivateStmt = db.prepare('UPDATE thingsboard_sessions SET is_active = 0 WHERE user_id = ?');
-    deactivateStmt.run(userId);
+    const id = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO households (household_uuid, name, created_by, created_at, updated_at, is_active)
+        VALUES (?, ?, ?, ?, ?, 1)
+      `).run(householdUuid, name, createdBy, now, now);
+
+      db.prepare(`
+        INSERT INTO household_members (household_id, user_id, role, added_by, created_at, updated_at)
+        VALUES (?, ?, 'owner', ?, ?, ?)
+      `).run(result.lastInsertRowid, createdBy, createdBy, now, now);
+
+      return result.lastInsertRowid;
+    })();
 
-    // Create new session
-    const stmt = db.prepare(`
-      INSERT INTO thingsboard_sessions (user_id, jwt_token, refresh_token, token_expires_at, created_at, is_active)
-      VALUES (?, ?, ?, ?, ?, 1)
-    `);
-    const result = stmt.run(userId, jwtToken, refreshToken, tokenExpiresAt, now);
-    
     return {
-      id: result.lastInsertRowid,
-      userId,
-      jwtToken,
-      refreshToken,
-      tokenExpiresAt,
+      id,
+      householdUuid,
+      name,
       createdAt: now
     };
   }
 
   /**
-   * Get active session for user
+   * Find household by UUID
    */
-  static findActiveByUserId(userId) {
+  static findByUuid(householdUuid) {
+    const stmt = db.prepare('SELECT * FROM households WHERE household_uuid = ? AND is_active = 1');
+    return stmt.get(householdUuid);
+  }
+
+  /**
+   * Find household by ID
+   */
+  static findById(id) {
+    const stmt = db.prepare('SELECT * FROM households WHERE id = ? AND is_active = 1');
+    return stmt.get(id);
+  }
+
+  /**
+   * Get the households of a user with the user's role
+   */
+  static findByUserId(userId) {
     const stmt = db.prepare(`
-      SELECT * FROM thingsboard_sessions 
-      WHERE user_id = ? AND is_active = 1 AND token_expires_at > ?
-      ORDER BY created_at DESC LIMIT 1
+      SELECT h.*, m.role FROM households h
+      JOIN household_members m ON m.household_id = h.id
+      WHERE m.user_id = ? AND h.is_active = 1
+      ORDER BY h.created_at ASC
     `);
-    return stmt.get(userId, Date.now());
+    return stmt.all(userId);
   }
 
   /**
-   * Invalidate session
+   * Rename household
    */
-  static invalidate(userId) {
-    const stmt = db.prepare('UPDATE thingsboard_sessions SET is_active = 0 WHERE user_id = ?');
-    stmt.run(userId);
+  static update(householdUuid, { name }) {
+    const stmt = db.prepare('UPDATE households SET name = ?, updated_at = ? WHERE household_uuid = ?');
+    stmt.run(name, Date.now(), householdUuid);
+  }
+
+  /**
+   * Delete (soft) a household: its devices go back to their owners only,
+   * memberships and device permissions are removed
+   */
+  static delete(householdId) {
+    db.transaction(() => {
+      db.prepare(`
+        DELETE FROM device_permissions
+        WHERE device_uuid IN (SELECT device_uuid FROM devices WHERE household_id = ?)
+      `).run(householdId);
+      db.prepare('UPDATE devices SET household_id = NULL WHERE household_id = ?').run(householdId);
+      db.prepare('DELETE FROM household_members WHERE household_id = ?').run(householdId);
+      db.prepare('UPDATE households SET is_active = 0, updated_at = ? WHERE id = ?').run(Date.now(), householdId);
+    })();
   }
 }
 
 /**
- * Audit Log Model
+ * Household Member Model
  */
-export class AuditLogModel {
+export class HouseholdMemberModel {
   /**
-   * Create audit log entry
+   * Add a user to a household
    */
-  static log({ userId = null, action, resourceType, resourceId = null, details = null, ipAddress = null, userAgent = null }) {
+  static add({ householdId, userId, role, addedBy }) {
     const now = Date.now();
-    const detailsJson = details ? JSON.stringify(details) : null;
-
     const stmt = db.prepare(`
-      INSERT INTO audit_log (user_id, action, resource_type, resource_id, details, ip_address, user_agent, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO household_members (household_id, user_id, role, added_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
     `);
-    stmt.run(userId, action, resourceType, resourceId, detailsJson, ipAddress, userAgent, now);
+    stmt.run(householdId, userId, role, addedBy, now, now);
   }
 
   /**
-   * Get logs for user
+   * Find a user's membership in a household
    */
-  static findByUser(userId, limit = 100) {
+  static find(householdId, userId) {
+    const stmt = db.prepare('SELECT * FROM household_members WHERE household_id = ? AND user_id = ?');
+    return stmt.get(householdId, userId);
+  }
+
+  /**
+   * Get the members of a household with their user details
+   */
+  static findByHousehold(householdId) {
     const stmt = db.prepare(`
-      SELECT * FROM audit_log 
-      WHERE user_id = ? 
-      ORDER BY created_at DESC 
-      LIMIT ?
+      SELECT m.*, u.backend_user_id, u.username, u.email FROM household_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.household_id = ?
+      ORDER BY m.created_at ASC
     `);
-    return stmt.all(userId, limit);
+    return stmt.all(householdId);
+  }
+
+  /**
+   * Change a member's role
+   */
+  static updateRole(householdId, userId, role) {
+    const stmt = db.prepare('UPDATE household_members SET role = ?, updated_at = ? WHERE household_id = ? AND user_id = ?');
+    stmt.run(role, Date.now(), householdId, userId);
+  }
+
+  /**
+   * Remove a member: the member's devices leave the household and the
+   * member's permissions on household devices are removed
+   * @returns {string[]} UUIDs of the member's devices that left the household
+   */
+  static remove(householdId, userId) {
+    return db.transaction(() => {
+      const ownDevices = db.prepare('SELECT device_uuid FROM devices WHERE household_id = ? AND owner_user_id = ?')
+        .all(householdId, userId)
+        .map(device => device.device_uuid);
+
+      db.prepare(`
+        DELETE FROM device_permissions
+        WHERE (user_id = ? AND device_uuid IN (SELECT device_uuid FROM devices WHERE household_id = ?))
+          OR device_uuid IN (SELECT device_uuid FROM devices WHERE household_id = ? AND owner_user_id = ?)
+      `).run(userId, householdId, householdId, userId);
+      db.prepare('UPDATE devices SET household_id = NULL WHERE household_id = ? AND owner_user_id = ?').run(householdId, userId);
+      db.prepare('DELETE FROM household_members WHERE household_id = ? AND user_id = ?').run(householdId, userId);
+
+      return ownDevices;
+    })();
+  }
+}
+
+/**
+ * Device Permission Model
+ * Per-device permissions of household members, overriding their role default
+ */
+export class DevicePermissionModel {
+  /**
+   * Set a user's permission on a device
+   */
+  static set({ deviceUuid, userId, permission, grantedBy }) {
+    const now = Date.now();
+    const stmt = db.prepare(`
+      INSERT INTO device_permissions (device_uuid, user_id, permission, granted_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(device_uuid, user_id) DO UPDATE SET permission = excluded.permission,
+        granted_by = excluded.granted_by, updated_at = excluded.updated_at
+    `);
+    stmt.run(deviceUuid, userId, permission, grantedBy, now, now);
+  }
+
+  /**
+   * Find a user's permission on a device
+   */
+  static find(deviceUuid, userId) {
+    const stmt = db.prepare('SELECT * FROM device_permissions WHERE device_uuid = ? AND user_id = ?');
+    return stmt.get(deviceUuid, userId);
+  }
+
+  /**
+   * Get all permissions set on a device
+   */
+  static findByDevice(deviceUuid) {
+    const stmt = db.prepare('SELECT * FROM device_permissions WHERE device_uuid = ?');
+    return stmt.all(deviceUuid);
+  }
+
+  /**
+   * Get all permissions of a user, keyed by device UUID
+   */
+  static findByUserId(userId) {
+    const stmt = db.prepare('SELECT device_uuid, permission FROM device_permissions WHERE user_id = ?');
+    return new Map(stmt.all(userId).map(row => [row.device_uuid, row.permission]));
+  }
+
+  /**
+   * Remove a user's permission on a device (back to the role default)
+   * @returns {boolean} False if none was set
+   */
+  static remove(deviceUuid, userId) {
+    const stmt = db.prepare('DELETE FROM device_permissions WHERE device_uuid = ? AND user_id = ?');
+    return stmt.run(deviceUuid, userId).changes === 1;
+  }
+
+  /**
+   * Remove all permissions on a device
+   */
+  static removeForDevice(deviceUuid) {
+    db.prepare('DELETE FROM device_permissions WHERE device_uuid = ?').run(deviceUuid);
+  }
+}
+
+/**
+ * Google Account Link Model
+ */
+export class GoogleAccountLinkModel {
+  /**
+   * Parse JSON columns of a link row
+   */
+  static parse(link) {
+    if (link && link.shared_devices) {
+      link.shared_devices = JSON.parse(link.shared_devices);
+    }
+    return link;
+  }
+
+  /**
+   * Create or update Google account link
+   * sharedDevices: device UUIDs the user consented to share, null for all devices
+   */
+  static createOrUpdate({ userId, googleAgentUserId, googleAccountId = null, accessToken = null, refreshToken = null, tokenExpiresAt = null, authorizationCodeId, tokenFamily, clientId, sharedDevices }) {
+    const now = Date.now();
+
+    // Check if link exists, including disconnected links being relinked
+    const existing = db.prepare('SELECT * FROM google_account_links WHERE google_agent_user_id = ?').get(googleAgentUserId);
+    
+    if (existing) {
+      // Token refreshes keep the authorization code and token family the link came from
+      const stmt = db.prepare(`
+        UPDATE google_account_links 
+        SET user_id = ?, google_account_id = ?, access_token = ?, refresh_token = ?, token_expires_at = ?, last_sync_at = ?, is_active = 1,
+            authorization_code_id = ?, token_family = ?, client_id = ?, shared_devices = ?
+        WHERE google_agent_user_id = ?
+      `);
+      stmt.run(userId, googleAccountId, accessToken, refreshToken, tokenExpiresAt, now,
+        authorizationCodeId === undefined ? existing.authorization_code_id : authorizationCodeId,
+        tokenFamily === undefined ? existing.token_family : tokenFamily,
+        clientId === undefined ? existing.client_id : clientId,
+        sharedDevices === undefined ? existing.shared_devices : (sharedDevices && JSON.stringify(sharedDevices)),
+        googleAgentUserId);
+      return { ...existing, userId, googleAccountId, lastSyncAt: now };
+    } else {
+      const stmt = db.prepare(`
+        INSERT INTO google_account_links (user_id, google_agent_user_id, google_account_id, access_token, refresh_token, token_expires_at, linked_at, last_sync_at, is_active, authorization_code_id, token_family, client_id, shared_devices)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?)
+      `);
+      const result = stmt.run(userId, googleAgentUserId, googleAccountId, accessToken, refreshToken, tokenExpiresAt, now, now,
+        authorizationCodeId ?? null, tokenFamily ?? null, clientId ?? null, sharedDevices ? JSON.stringify(sharedDevices) : null);
+      return {
+        id: result.lastInsertRowid,
+        userId,
+        googleAgentUserId,
+        googleAccountId,
+        linkedAt: now,
+        lastSyncAt: now
+      };
+    }
+  }
+
+  /**
+   * Find by Google agent user ID
+   */
+  static findByAgentUserId(googleAgentUserId) {
+    const stmt = db.prepare('SELECT * FROM google_account_links WHERE google_agent_user_id = ? AND is_active = 1');
+    return this.parse(stmt.get(googleAgentUserId));
+  }
+
+  /**
+   * Get the agent user ID for a user and OAuth client
+   * Relinks reuse the ID of the latest link through the same client so the
+   * platform keeps one agent user
+   */
+  static getAgentUserIdForUser(userId, clientId) {
+    const stmt = db.prepare(`
+      SELECT google_agent_user_id FROM google_account_links
+      WHERE user_id = ? AND client_id IS ?
+      ORDER BY is_active DESC, COALESCE(last_sync_at, linked_at) DESC, id DESC
+      LIMIT 1
+    `);
+    const existing = stmt.get(userId, clientId)?.google_agent_user_id;
+    if (existing) {
+      return existing;
+    }
+
+    // The first client linked gets the plain ID
+    const plainId = `agent_${userId}`;
+    const taken = db.prepare('SELECT 1 FROM google_account_links WHERE google_agent_user_id = ?').get(plainId);
+    return taken ? `${plainId}_${clientId}` : plainId;
+  }
+
+  /**
+   * Keep a single link per user and OAuth client, deleting links left behind by relinks
+   * The active, most recently used link is kept
+   * @returns {string[]} Agent user IDs of the deleted links
+   */
+  static consolidateDuplicates() {
+    const links = db.prepare(`
+      SELECT id, user_id, client_id, google_agent_user_id FROM google_account_links
+      ORDER BY user_id, client_id, is_active DESC, COALESCE(last_sync_at, linked_at) DESC, id DESC
+    `).all();
+
+    const kept = new Set();
+    const orphaned = links.filter(link => {
+      const key = `${link.user_id}:${link.client_id}`;
+      if (kept.has(key)) {
+        return true;
+      }
+      kept.add(key);
+      return false;
+    });
+
+    const deleteStmt = db.prepare('DELETE FROM google_account_links WHERE id = ?');
+    db.transaction(() => {
+      for (const link of orphaned) {
+        deleteStmt.run(link.id);
+      }
+    })();
+
+    return orphaned.map(link => link.google_agent_user_id);
+  }
+
+  /**
+   * Attach links made before the client registry to a client
+   * @returns {number} Number of links updated
+   */
+  static assignClientToLegacyLinks(clientId) {
+    const stmt = db.prepare('UPDATE google_account_links SET client_id = ? WHERE client_id IS NULL');
+    return stmt.run(clientId).changes;
+  }
+
+  /**
+   * Find active link by its current access token
+   */
+  static findByAccessToken(accessToken) {
+    const stmt = db.prepare('SELECT * FROM google_account_links WHERE access_token = ? AND is_active = 1');
+    return this.parse(stmt.get(accessToken));
+  }
+
+  /**
+   * Find active link by its current refresh token
+   */
+  static findByRefreshToken(refreshToken) {
+    const stmt = db.prepare('SELECT * FROM google_account_links WHERE refresh_token = ? AND is_active = 1');
+    return this.parse(stmt.get(refreshToken));
+  }
+
+  /**
+   * Find by user ID
+   */
+  static findByUserId(userId) {
+    const stmt = db.prepare('SELECT * FROM google_account_links WHERE user_id = ? AND is_active = 1');
+    return this.parse(stmt.get(userId));
+  }
+
+  /**
+   * Find all active links for user
+   */
+  static findAllByUserId(userId) {
+    const stmt = db.prepare('SELECT * FROM google_account_links WHERE user_id = ? AND is_active = 1');
+    return stmt.all(userId).map(link => this.parse(link));
+  }
+
+  /**
+   * Find all active links for user made through clients of a provider
+   * Links without a client predate the registry and are Google links
+   */
+  static findAllByUserIdAndProvider(userId, provider) {
+    const stmt = db.prepare(`
+      SELECT l.* FROM google_account_links l
+      LEFT JOIN oauth_clients c ON c.client_id = l.client_id
+      WHERE l.user_id = ? AND l.is_active = 1 AND COALESCE(c.provider, 'google') = ?
+    `);
+    return stmt.all(userId, provider).map(link => this.parse(link));
+  }
+
+  /**
+   * Disconnect all links of an OAuth client
+   * @returns {number} Number of links disconnected
+   */
+  static disconnectByClient(clientId) {
+    const stmt = db.prepare('UPDATE google_account_links SET is_active = 0, access_token = NULL, refresh_token = NULL WHERE client_id = ? AND is_active = 1');
+    return stmt.run(clientId).changes;
+  }
+
+  /**
+   * Disconnect (soft delete) and revoke the link's tokens
+   */
+  static disconnect(googleAgentUserId) {
+    const stmt = db.prepare('UPDATE google_account_links SET is_active = 0, access_token = NULL, refresh_token = NULL WHERE google_agent_user_id = ?');
+    stmt.run(googleAgentUserId);
+  }
+
+  /**
+   * Revoke the access token of a link, keeping its refresh token
+   */
+  static revokeAccessToken(googleAgentUserId) {
+    const stmt = db.prepare('UPDATE google_account_links SET access_token = NULL WHERE google_agent_user_id = ?');
+    stmt.run(googleAgentUserId);
+  }
+
+  /**
+   * Revoke all tokens of a link (the whole refresh token family)
+   * The link stays active so Google can link again with a new authorization code
+   */
+  static revokeTokens(googleAgentUserId) {
+    const stmt = db.prepare('UPDATE google_account_links SET access_token = NULL, refresh_token = NULL WHERE google_agent_user_id = ?');
+    stmt.run(googleAgentUserId);
+  }
+
+  /**
+   * Revoke tokens issued from an authorization code
+   * @returns {number} Number of links whose tokens were revoked
+   */
+  static revokeByAuthorizationCode(authorizationCodeId) {
+    const stmt = db.prepare(`
+      UPDATE google_account_links SET access_token = NULL, refresh_token = NULL
+      WHERE authorization_code_id = ?
+    `);
+    return stmt.run(authorizationCodeId).changes;
+  }
+
+  /**
+   * Update the devices shared through a link, null shares all devices
+   */
+  static updateSharedDevices(googleAgentUserId, sharedDevices) {
+    const stmt = db.prepare('UPDATE google_account_links SET shared_devices = ? WHERE google_agent_user_id = ? AND is_active = 1');
+    stmt.run(sharedDevices ? JSON.stringify(sharedDevices) : null, googleAgentUserId);
+  }
+
+  /**
+   * Update last sync time
+   */
+  static updateLastSync(googleAgentUserId) {
+    const stmt = db.prepare('UPDATE google_account_links SET last_sync_at = ? WHERE google_agent_user_id = ?');
+    stmt.run(Date.now(), googleAgentUserId);
+  }
+}
+
+/**
+ * OAuth Client Model
+ */
+export class OAuthClientModel {
+  /**
+   * Parse JSON columns of a client row
+   */
+  static parse(client) {
+    if (!client) {
+      return client;
+    }
+    client.redirect_uris = JSON.parse(client.redirect_uris);
+    client.scopes = JSON.parse(client.scopes);
+    client.grant_types = JSON.parse(client.grant_types);
+    return client;
+  }
+
+  /**
+   * Register a client
+   */
+  static create({ clientId, clientSecretHash = null, name, provider, redirectUris, scopes, grantTypes }) {
+    const now = Date.now();
+
+    const stmt = db.prepare(`
+      INSERT INTO oauth_clients (client_id, client_secret_hash, name, provider, redirect_uris, scopes, grant_types, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(clientId, clientSecretHash, name, provider,
+      JSON.stringify(redirectUris), JSON.stringify(scopes), JSON.stringify(grantTypes), now, now);
+
+    return {
+      id: result.lastInsertRowid,
+      clientId,
+      name,
+      provider,
+      createdAt: now
+    };
+  }
+
+  /**
+   * Find active client by client ID
+   */
+  static findByClientId(clientId) {
+    const stmt = db.prepare('SELECT * FROM oauth_clients WHERE client_id = ? AND is_active = 1');
+    return this.parse(stmt.get(clientId));
+  }
+
+  /**
+   * Get all active clients
+   */
+  static findAll() {
+    const stmt = db.prepare('SELECT * FROM oauth_clients WHERE is_active = 1 ORDER BY created_at ASC');
+    return stmt.all().map(client => this.parse(client));
+  }
+
+  /**
+   * Update client settings
+   */
+  static update(clientId, { name, provider, redirectUris, scopes, grantTypes }) {
+    const stmt = db.prepare(`
+      UPDATE oauth_clients
+      SET name = ?, provider = ?, redirect_uris = ?, scopes = ?, grant_types = ?, updated_at = ?
+      WHERE client_id = ?
+    `);
+    stmt.run(name, provider, JSON.stringify(redirectUris), JSON.stringify(scopes), JSON.stringify(grantTypes), Date.now(), clientId);
+  }
+
+  /**
+   * Replace client secret hash
+   */
+  static updateSecret(clientId, clientSecretHash) {
+    const stmt = db.prepare('UPDATE oauth_clients SET client_secret_hash = ?, updated_at = ? WHERE client_id = ?');
+    stmt.run(clientSecretHash, Date.now(), clientId);
+  }
+
+  /**
+   * Delete client (soft delete)
+   */
+  static delete(clientId) {
+    const stmt = db.prepare('UPDATE oauth_clients SET is_active = 0, updated_at = ? WHERE client_id = ?');
+    stmt.run(Date.now(), clientId);
+  }
+}
+
+/**
+ * OAuth Authorization Code Model
+ */
+export class AuthorizationCodeModel {
+  /**
+   * Store a new authorization code
+   */
+  static create({ code, userId, clientId, redirectUri, scope = null, sharedDevices = null, codeChallenge = null, codeChallengeMethod = null, expiresIn = 600 }) {
+    const now = Date.now();
+
+    // Codes past expiry can no longer be exchanged or replayed
+    db.prepare('DELETE FROM oauth_authorization_codes WHERE expires_at < ?').run(now);
+
+    const stmt = db.prepare(`
+      INSERT INTO oauth_authorization_codes (code, user_id, client_id, redirect_uri, scope, shared_devices, code_challenge, code_challenge_method, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(code, userId, clientId, redirectUri, scope, sharedDevices ? JSON.stringify(sharedDevices) : null,
+      codeChallenge, codeChallengeMethod, now, now + (expiresIn * 1000));
+
+    return {
+      id: result.lastInsertRowid,
+      code,
+      expiresAt: now + (expiresIn * 1000)
+    };
+  }
+
+  /**
+   * Find code (consumed or not)
+   */
+  static findByCode(code) {
+    const stmt = db.prepare('SELECT * FROM oauth_authorization_codes WHERE code = ?');
+    const authCode = stmt.get(code);
+    if (authCode && authCode.shared_devices) {
+      authCode.shared_devices = JSON.parse(authCode.shared_devices);
+    }
+    return authCode;
+  }
+
+  /**
+   * Mark code as consumed
+   * @returns {boolean} False if the code was already consumed
+   */
+  static consume(id) {
+    const stmt = db.prepare('UPDATE oauth_authorization_codes SET consumed_at = ? WHERE id = ? AND consumed_at IS NULL');
+    return stmt.run(Date.now(), id).changes === 1;
+  }
+}
+
+/**
+ * User Session Model
+ * Refresh sessions of app logins; access tokens carry the session ID
+ */
+export class UserSessionModel {
+  /**
+   * Create session
+   */
+  static create({ sessionId, userId, refreshTokenHash, deviceName = null, userAgent = null, ipAddress = null, expiresAt }) {
+    const now = Date.now();
+
+    // Sessions past expiry can no longer be refreshed
+    db.prepare('DELETE FROM user_sessions WHERE expires_at < ?').run(now);
+
+    const stmt = db.prepare(`
+      INSERT INTO user_sessions (session_id, user_id, refresh_token_hash, device_name, user_agent, ip_address, created_at, last_used_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(sessionId, userId, refreshTokenHash, deviceName, userAgent, ipAddress, now, now, expiresAt);
+
+    return {
+      id: result.lastInsertRowid,
+      sessionId,
+      userId,
+      createdAt: now,
+      expiresAt
+    };
+  }
+
+  /**
+   * Find session (revoked or not)
+   */
+  static findBySessionId(sessionId) {
+    const stmt = db.prepare('SELECT * FROM user_sessions WHERE session_id = ?');
+    return stmt.get(sessionId);
+  }
+
+  /**
+   * Find session that is neither revoked nor expired
+   */
+  static findActive(sessionId) {
+    const stmt = db.prepare('SELECT * FROM user_sessions WHERE session_id = ? AND revoked_at IS NULL AND expires_at > ?');
+    return stmt.get(sessionId, Date.now());
+  }
+
+  /**
+   * Get active sessions of a user, most recently used first
+   */
+  static findActiveByUserId(userId) {
+    const stmt = db.prepare(`
+      SELECT * FROM user_sessions
+      WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+      ORDER BY last_used_at DESC
+    `);
+    return stmt.all(userId, Date.now());
+  }
+
+  /**
+   * Replace the refresh token of a session, keeping the old hash for reuse detection
+   */
+  static rotate(sessionId, { refreshTokenHash, userAgent, ipAddress, expiresAt }) {
+    const stmt = db.prepare(`
+      UPDATE user_sessions
+      SET previous_refresh_token_hash = refresh_token_hash, refresh_token_hash = ?,
+          user_agent = COALESCE(?, user_agent), ip_address = COALESCE(?, ip_address), last_used_at = ?, expires_at = ?
+      WHERE session_id = ?
+    `);
+    stmt.run(refreshTokenHash, userAgent, ipAddress, Date.now(), expiresAt, sessionId);
+  }
+
+  /**
+   * Revoke session
+   */
+  static revoke(sessionId) {
+    const stmt = db.prepare('UPDATE user_sessions SET revoked_at = ? WHERE session_id = ? AND revoked_at IS NULL');
+    return stmt.run(Date.now(), sessionId).changes === 1;
+  }
+
+  /**
+   * Revoke all sessions of a user
+   * @returns {number} Number of revoked sessions
+   */
+  static revokeAllForUser(userId) {
+    const stmt = db.prepare('UPDATE user_sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL');
+    return stmt.run(Date.now(), userId).changes;
+  }
+}
+
+/**
+ * User Token Model
+ * Single-use tokens for email verification and password reset, stored hashed
+ */
+export class UserTokenModel {
+  /**
+   * Store a new token, replacing the user's unused tokens of the same purpose
+   */
+  static create({ userId, purpose, tokenHash, email = null, expiresAt }) {
+    const now = Date.now();
+
+    db.prepare('DELETE FROM user_tokens WHERE expires_at < ? OR (user_id = ? AND purpose = ? AND used_at IS NULL)')
+      .run(now, userId, purpose);
+
+    const stmt = db.prepare(`
+      INSERT INTO user_tokens (token_hash, user_id, purpose, email, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(tokenHash, userId, purpose, email, now, expiresAt);
+
+    return {
+      id: result.lastInsertRowid,
+      expiresAt
+    };
+  }
+
+  /**
+   * Find an unused, unexpired token
+   */
+  static findValid(tokenHash, purpose) {
+    const stmt = db.prepare(`
+      SELECT * FROM user_tokens
+      WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?
+    `);
+    return stmt.get(tokenHash, purpose, Date.now());
+  }
+
+  /**
+   * Mark token as used
+   * @returns {boolean} False if the token was already used
+   */
+  static consume(id) {
+    const stmt = db.prepare('UPDATE user_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL');
+    return stmt.run(Date.now(), id).changes === 1;
+  }
+}
+
+/**
+ * Personal Access Token Model
+ * Named, scoped API tokens; only the SHA-256 of a token is stored
+ */
+export class PersonalAccessTokenModel {
+  /**
+   * Parse scopes JSON
+   */
+  static parse(token) {
+    if (token && token.scopes) {
+      token.scopes = JSON.parse(token.scopes);
+    }
+    return token;
+  }
+
+  /**
+   * Create token
+   */
+  static create({ tokenId, userId, name, tokenHash, scopes, expiresAt }) {
+    const now = Date.now();
+
+    const stmt = db.prepare(`
+      INSERT INTO personal_access_tokens (token_id, user_id, name, token_hash, scopes, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(tokenId, userId, name, tokenHash, JSON.stringify(scopes), now, expiresAt);
+
+    return this.parse(db.prepare('SELECT * FROM personal_access_tokens WHERE id = ?').get(result.lastInsertRowid));
+  }
+
+  /**
+   * Find token by hash that is neither revoked nor expired
+   */
+  static findActiveByHash(tokenHash) {
+    const stmt = db.prepare('SELECT * FROM personal_access_tokens WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > ?');
+    return this.parse(stmt.get(tokenHash, Date.now()));
+  }
+
+  /**
+   * Find token by ID (revoked or not)
+   */
+  static findByTokenId(tokenId) {
+    const stmt = db.prepare('SELECT * FROM personal_access_tokens WHERE token_id = ?');
+    return this.parse(stmt.get(tokenId));
+  }
+
+  /**
+   * Get a user's tokens that are not revoked (including expired ones), newest first
+   */
+  static findByUserId(userId) {
+    const stmt = db.prepare('SELECT * FROM personal_access_tokens WHERE user_id = ? AND revoked_at IS NULL ORDER BY created_at DESC');
+    return stmt.all(userId).map(token => this.parse(token));
+  }
+
+  /**
+   * Record token use
+   */
+  static touch(id) {
+    db.prepare('UPDATE personal_access_tokens SET last_used_at = ? WHERE id = ?').run(Date.now(), id);
+  }
+
+  /**
+   * Revoke token
+   * @returns {boolean} False if already revoked
+   */
+  static revoke(tokenId) {
+    const stmt = db.prepare('UPDATE personal_access_tokens SET revoked_at = ? WHERE token_id = ? AND revoked_at IS NULL');
+    return stmt.run(Date.now(), tokenId).changes === 1;
+  }
+
+  /**
+   * Revoke all tokens of a user
+   * @returns {number} Number of tokens revoked
+   */
+  static revokeAllForUser(userId) {
+    const stmt = db.prepare('UPDATE personal_access_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL');
+    return stmt.run(Date.now(), userId).changes;
+  }
+}
+
+/**
+ * Recovery Code Model
+ * Single-use two-factor recovery codes, stored hashed
+ */
+export class RecoveryCodeModel {
+  /**
+   * Replace all recovery codes of a user
+   */
+  static replaceForUser(userId, codeHashes) {
+    const now = Date.now();
+    const insert = db.prepare('INSERT INTO user_recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, ?)');
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+      for (const codeHash of codeHashes) {
+        insert.run(userId, codeHash, now);
+      }
+    })();
+  }
+
+  /**
+   * Use a recovery code
+   * @returns {boolean} False if the code is unknown or already used
+   */
+  static consume(userId, codeHash) {
+    const stmt = db.prepare('UPDATE user_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL');
+    return stmt.run(Date.now(), userId, codeHash).changes === 1;
+  }
+
+  /**
+   * Count unused recovery codes of a user
+   */
+  static countUnused(userId) {
+    const stmt = db.prepare('SELECT COUNT(*) AS count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL');
+    return stmt.get(userId).count;
+  }
+
+  /**
+   * Delete all recovery codes of a user
+   */
+  static deleteForUser(userId) {
+    db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+  }
+}
+
+/**
+ * Login Throttle Model
+ */
+export class LoginThrottleModel {
+  /**
+   * Find the failure record of a username
+   */
+  static findByUsername(username) {
+    return db.prepare('SELECT * FROM login_throttles WHERE username = ?').get(username);
+  }
+
+  /**
+   * Store the failure record of a username
+   */
+  static save(username, { failedCount, lockoutCount, lastFailedAt, lockedUntil }) {
+    const stmt = db.prepare(`
+      INSERT INTO login_throttles (username, failed_count, lockout_count, last_failed_at, locked_until)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(username) DO UPDATE SET
+        failed_count = excluded.failed_count,
+        lockout_count = excluded.lockout_count,
+        last_failed_at = excluded.last_failed_at,
+        locked_until = excluded.locked_until
+    `);
+    stmt.run(username, failedCount, lockoutCount, lastFailedAt, lockedUntil);
+  }
+
+  /**
+   * Forget the failures of a username
+   * @returns {boolean} False if there were none
+   */
+  static clear(username) {
+    return db.prepare('DELETE FROM login_throttles WHERE username = ?').run(username).changes === 1;
+  }
+
+  /**
+   * Delete records whose last failure and lockout end are before a time
+   */
+  static deleteStale(before) {
+    const stmt = db.prepare('DELETE FROM login_throttles WHERE last_failed_at < ? AND (locked_until IS NULL OR locked_until < ?)');
+    return stmt.run(before, before).changes;
+  }
+}
+
+/**
+ * ThingsBoard Session Model
+ */
+export class ThingsBoardSessionModel {
+  /**
+   * Create or update session
+   */
+  static createOrUpdate({ userId, jwtToken, refreshToken = null, expiresIn = 3600 }) {
+    const now = Date.now();
+    const tokenExpiresAt = now + (expiresIn * 1000);
+
+    // Deactivate old sessions
+    const deactivateStmt = db.prepare('UPDATE thingsboard_sessions SET is_active = 0 WHERE user_id = ?');
+    deactivateStmt.run(userId);
+
+    // Create new session
+    const stmt = db.prepare(`
+      INSERT INTO thingsboard_sessions (user_id, jwt_token, refresh_token, token_expires_at, created_at, is_active)
+      VALUES (?, ?, ?, ?, ?, 1)
+    `);
+    const result = stmt.run(userId, jwtToken, refreshToken, tokenExpiresAt, now);
+    
+    return {
+      id: result.lastInsertRowid,
+      userId,
+      jwtToken,
+      refreshToken,
+      tokenExpiresAt,
+      createdAt: now
+    };
+  }
+
+  /**
+   * Get active session for user
+   */
+  static findActiveByUserId(userId) {
+    const stmt = db.prepare(`
+      SELECT * FROM thingsboard_sessions 
+      WHERE user_id = ? AND is_active = 1 AND token_expires_at > ?
+      ORDER BY created_at DESC LIMIT 1
+    `);
+    return stmt.get(userId, Date.now());
+  }
+
+  /**
+   * Invalidate session
+   */
+  static invalidate(userId) {
+    const stmt = db.prepare('UPDATE thingsboard_sessions SET is_active = 0 WHERE user_id = ?');
+    stmt.run(userId);
+  }
+}
+
+/**
+ * HomeGraph State Report Model
+ */
+export class StateReportModel {
+  /**
+   * Record state reported to HomeGraph for a Google device
+   */
+  static record({ googleDeviceId, deviceUuid, state }) {
+    const now = Date.now();
+    const stmt = db.prepare(`
+      INSERT INTO homegraph_state_reports (google_device_id, device_uuid, last_state, last_reported_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(google_device_id) DO UPDATE SET last_state = excluded.last_state, last_reported_at = excluded.last_reported_at
+    `);
+    stmt.run(googleDeviceId, deviceUuid, JSON.stringify(state), now);
+  }
+
+  /**
+   * Get last reports for a device
+   */
+  static findByDeviceUuid(deviceUuid) {
+    const stmt = db.prepare('SELECT * FROM homegraph_state_reports WHERE device_uuid = ?');
+    return stmt.all(deviceUuid).map(report => {
+      if (report.last_state) report.last_state = JSON.parse(report.last_state);
+      return report;
+    });
+  }
+}
+
+/**
+ * Provisioning Request Model
+ * Device provisioning attempts
+ */
+export class ProvisioningRequestModel {
+  /**
+   * Parse request data JSON
+   */
+  static parse(request) {
+    if (request && request.request_data) {
+      request.request_data = JSON.parse(request.request_data);
+    }
+    return request;
+  }
+
+  /**
+   * Create a pending provisioning attempt
+   */
+  static create({ requestId, deviceUuid, userId = null, batchId = null, hardwareId = null, requestData = null }) {
+    const now = Date.now();
+
+    const stmt = db.prepare(`
+      INSERT INTO provisioning_requests (request_id, device_uuid, user_id, batch_id, hardware_id, request_data, status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+    `);
+    const result = stmt.run(requestId, deviceUuid, userId, batchId, hardwareId, requestData ? JSON.stringify(requestData) : null, now, now);
+
+    return this.parse(db.prepare('SELECT * FROM provisioning_requests WHERE id = ?').get(result.lastInsertRowid));
+  }
+
+  /**
+   * Move an attempt to another status
+   * completed_at is set when it reaches completed or failed
+   */
+  static updateStatus(id, status, { thingsboardDeviceId, errorMessage } = {}) {
+    const now = Date.now();
+    const finished = status === 'completed' || status === 'failed';
+
+    const stmt = db.prepare(`
+      UPDATE provisioning_requests SET
+        status = ?,
+        thingsboard_device_id = COALESCE(?, thingsboard_device_id),
+        error_message = COALESCE(?, error_message),
+        updated_at = ?,
+        completed_at = ?
+      WHERE id = ?
+    `);
+    stmt.run(status, thingsboardDeviceId || null, errorMessage || null, now, finished ? now : null, id);
+  }
+
+  /**
+   * Find attempt by request ID, with the user's backend ID and username and the batch ID
+   */
+  static findByRequestId(requestId) {
+    return this.parse(db.prepare(`${this.selectWithNames()} WHERE p.request_id = ?`).get(requestId));
+  }
+
+  /**
+   * Find the latest attempt for a hardware ID
+   */
+  static findLatestByHardwareId(hardwareId) {
+    const stmt = db.prepare('SELECT * FROM provisioning_requests WHERE hardware_id = ? ORDER BY created_at DESC, id DESC LIMIT 1');
+    return this.parse(stmt.get(hardwareId));
+  }
+
+  /**
+   * Attempts query joined with the user's backend ID and username and the batch ID
+   */
+  static selectWithNames() {
+    return `
+      SELECT p.*, u.backend_user_id, u.username, b.batch_id AS batch_uuid FROM provisioning_requests p
+      LEFT JOIN users u ON u.id = p.user_id
+      LEFT JOIN provisioning_batches b ON b.id = p.batch_id
+    `;
+  }
+
+  /**
+   * Search provisioning requests, newest first, with the user's backend ID and username
+   * @param {Object} filters - { status, userId, deviceUuid, hardwareId, limit, offset }
+   * @returns {{ requests: Object[], total: number }}
+   */
+  static search({ status = null, userId = null, deviceUuid = null, hardwareId = null, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('p.status = ?');
+      params.push(status);
+    }
+    if (userId !== null) {
+      conditions.push('p.user_id = ?');
+      params.push(userId);
+    }
+    if (deviceUuid) {
+      conditions.push('p.device_uuid = ?');
+      params.push(deviceUuid);
+    }
+    if (hardwareId) {
+      conditions.push('p.hardware_id = ?');
+      params.push(hardwareId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM provisioning_requests p ${where}`).get(...params).count;
+    const requests = db.prepare(`
+      ${this.selectWithNames()}
+      ${where}
+      ORDER BY p.created_at DESC, p.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset)
+      .map(request => this.parse(request));
+
+    return { requests, total };
+  }
+}
+
+/**
+ * Provisioning Batch Model
+ * Keys that let factory-flashed panels provision themselves
+ */
+export class ProvisioningBatchModel {
+  /**
+   * Create batch
+   */
+  static create({ batchId, name, keyHash, maxDevices = null, createdBy = null, expiresAt = null }) {
+    const stmt = db.prepare(`
+      INSERT INTO provisioning_batches (batch_id, name, key_hash, max_devices, created_by, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(batchId, name, keyHash, maxDevices, createdBy, Date.now(), expiresAt);
+
+    return this.findById(result.lastInsertRowid);
+  }
+
+  /**
+   * Find batch with its number of provisioned and claimed devices
+   */
+  static findById(id) {
+    return db.prepare(`${this.selectWithCounts()} WHERE b.id = ?`).get(id);
+  }
+
+  /**
+   * Find batch by its public ID
+   */
+  static findByBatchId(batchId) {
+    return db.prepare(`${this.selectWithCounts()} WHERE b.batch_id = ?`).get(batchId);
+  }
+
+  /**
+   * Find batch by key hash that is neither revoked nor expired
+   */
+  static findActiveByKeyHash(keyHash) {
+    const stmt = db.prepare(`${this.selectWithCounts()} WHERE b.key_hash = ? AND b.revoked_at IS NULL AND (b.expires_at IS NULL OR b.expires_at > ?)`);
+    return stmt.get(keyHash, Date.now());
+  }
+
+  /**
+   * Get all batches, newest first
+   */
+  static findAll() {
+    return db.prepare(`${this.selectWithCounts()} ORDER BY b.created_at DESC, b.id DESC`).all();
+  }
+
+  /**
+   * Batch query with provisioned_count and claimed_count
+   */
+  static selectWithCounts() {
+    return `
+      SELECT b.*,
+        (SELECT COUNT(*) FROM device_claims c WHERE c.batch_id = b.id) AS provisioned_count,
+        (SELECT COUNT(*) FROM device_claims c WHERE c.batch_id = b.id AND c.claimed_at IS NOT NULL) AS claimed_count
+      FROM provisioning_batches b
+    `;
+  }
+
+  /**
+   * Revoke batch key; provisioned devices can still be claimed
+   * @returns {boolean} False if already revoked
+   */
+  static revoke(batchId) {
+    const stmt = db.prepare('UPDATE provisioning_batches SET revoked_at = ? WHERE batch_id = ? AND revoked_at IS NULL');
+    return stmt.run(Date.now(), batchId).changes === 1;
+  }
+}
+
+/**
+ * Device Claim Model
+ * Provisioned panels waiting for a user to claim them
+ */
+export class DeviceClaimModel {
+  /**
+   * Parse capabilities and config JSON
+   */
+  static parse(claim) {
+    if (claim && claim.capabilities) {
+      claim.capabilities = JSON.parse(claim.capabilities);
+    }
+    if (claim && claim.device_config) {
+      claim.device_config = JSON.parse(claim.device_config);
+    }
+    return claim;
+  }
+
+  /**
+   * Create claim for a provisioned device
+   */
+  static create({ deviceUuid, batchId, thingsboardDeviceId, deviceName, deviceType, deviceLabel = null, capabilities, deviceConfig = null, accessToken, claimCodeHash, claimExpiresAt, retrySecretHash = null }) {
+    const stmt = db.prepare(`
+      INSERT INTO device_claims (device_uuid, batch_id, thingsboard_device_id, device_name, device_type, device_label, capabilities, device_config, access_token, claim_code_hash, claim_expires_at, retry_secret_hash, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      deviceUuid, batchId, thingsboardDeviceId, deviceName, deviceType, deviceLabel,
+      JSON.stringify(capabilities), deviceConfig ? JSON.stringify(deviceConfig) : null,
+      accessToken, claimCodeHash, claimExpiresAt, retrySecretHash, Date.now()
+    );
+
+    return this.parse(db.prepare('SELECT * FROM device_claims WHERE id = ?').get(result.lastInsertRowid));
+  }
+
+  /**
+   * Find unclaimed device by its claim code hash, if the code has not expired
+   */
+  static findClaimableByCodeHash(claimCodeHash) {
+    const stmt = db.prepare('SELECT * FROM device_claims WHERE claim_code_hash = ? AND claimed_at IS NULL AND claim_expires_at > ?');
+    return this.parse(stmt.get(claimCodeHash, Date.now()));
+  }
+
+  /**
+   * Find claim by device UUID (claimed or not)
+   */
+  static findByDeviceUuid(deviceUuid) {
+    return this.parse(db.prepare('SELECT * FROM device_claims WHERE device_uuid = ?').get(deviceUuid));
+  }
+
+  /**
+   * Replace the claim code of an unclaimed device
+   * @returns {boolean} False if the device was claimed meanwhile
+   */
+  static setClaimCode(id, claimCodeHash, claimExpiresAt) {
+    const stmt = db.prepare('UPDATE device_claims SET claim_code_hash = ?, claim_expires_at = ? WHERE id = ? AND claimed_at IS NULL');
+    return stmt.run(claimCodeHash, claimExpiresAt, id).changes === 1;
+  }
+
+  /**
+   * Mark device claimed; the code and access token are dropped, the device row has the token
+   * @returns {boolean} False if already claimed
+   */
+  static markClaimed(id, userId) {
+    const stmt = db.prepare(`
+      UPDATE device_claims SET claimed_at = ?, claimed_by = ?, claim_code_hash = NULL, access_token = NULL
+      WHERE id = ? AND claimed_at IS NULL
+    `);
+    return stmt.run(Date.now(), userId, id).changes === 1;
+  }
+
+  /**
+   * Undo markClaimed after a failed claim, restoring the code and access token
+   */
+  static unmarkClaimed(id, { claimCodeHash, accessToken }) {
+    const stmt = db.prepare(`
+      UPDATE device_claims SET claimed_at = NULL, claimed_by = NULL, claim_code_hash = ?, access_token = ?
+      WHERE id = ?
+    `);
+    stmt.run(claimCodeHash, accessToken, id);
+  }
+}
+
+/**
+ * Audit Log Model
+ */
+export class AuditLogModel {
+  /**
+   * Create audit log entry
+   */
+  static log({ userId = null, action, resourceType, resourceId = null, details = null, ipAddress = null, userAgent = null }) {
+    const now = Date.now();
+    const detailsJson = details ? JSON.stringify(details) : null;
+
+    const stmt = db.prepare(`
+      INSERT INTO audit_log (user_id, action, resource_type, resource_id, details, ip_address, user_agent, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run(userId, action, resourceType, resourceId, detailsJson, ipAddress, userAgent, now);
+  }
+
+  /**
+   * Get logs for user
+   */
+  static findByUser(userId, limit = 100) {
+    const stmt = db.prepare(`
+      SELECT * FROM audit_log 
+      WHERE user_id = ? 
+      ORDER BY created_at DESC 
+      LIMIT ?
+    `);
+    return stmt.all(userId, limit);
+  }
+
+  /**
+   * Search logs, newest first, with the user's backend ID and username
+   * @param {Object} filters - { userId, action, resourceType, resourceId, from, to (ms timestamps), limit, offset }
+   * @returns {{ entries: Object[], total: number }}
+   */
+  static search({ userId = null, action = null, resourceType = null, resourceId = null, from = null, to = null, limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (userId !== null) {
+      conditions.push('a.user_id = ?');
+      params.push(userId);
+    }
+    if (action) {
+      conditions.push('a.action = ?');
+      params.push(action);
+    }
+    if (resourceType) {
+      conditions.push('a.resource_type = ?');
+      params.push(resourceType);
+    }
+    if (resourceId) {
+      conditions.push('a.resource_id = ?');
+      params.push(resourceId);
+    }
+    if (from) {
+      conditions.push('a.created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('a.created_at < ?');
+      params.push(to);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM audit_log a ${where}`).get(...params).count;
+    const entries = db.prepare(`
+      SELECT a.*, u.backend_user_id, u.username FROM audit_log a
+      LEFT JOIN users u ON u.id = a.user_id
+      ${where}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return { entries, total };
   }
 }
 
 export default {
   UserModel,
   DeviceModel,
+  DeviceProfileModel,
+  SceneModel,
+  HouseholdModel,
+  HouseholdMemberModel,
+  DevicePermissionModel,
   GoogleAccountLinkModel,
+  OAuthClientModel,
+  AuthorizationCodeModel,
   ThingsBoardSessionModel,
+  UserSessionModel,
+  UserTokenModel,
+  PersonalAccessTokenModel,
+  RecoveryCodeModel,
+  LoginThrottleModel,
+  StateReportModel,
+  ProvisioningRequestModel,
+  ProvisioningBatchModel,
+  DeviceClaimModel,
   AuditLogModel
 };
@@ -5,10 +5,19 @@ import compression from 'compression';
 import morgan from 'morgan';
 import { RateLimiterMemory } from 'rate-limiter-flexible';
 import { migrate } from './database/db.js';
+import { GoogleAccountLinkModel } from './database/models.js';
 import authRoutes from './routes/auth.routes.js';
 import deviceRoutes from './routes/device.routes.js';
+import sceneRoutes from './routes/scene.routes.js';
+import householdRoutes from './routes/household.routes.js';
+import adminRoutes from './routes/admin.routes.js';
 import oauthRoutes from './routes/oauth.routes.js';
 import smarthomeRoutes from './routes/smarthome.routes.js';
+import profileService from './services/profile.service.js';
+import homegraphService from './services/homegraph.service.js';
+import oauthClientService from './services/oauthClient.service.js';
+import adminService from './services/admin.service.js';
+import accountDataService from './services/accountData.service.js';
 import { log } from './utils/logger.js';
 import dotenv from 'dotenv';
 
@@ -27,6 +36,20 @@ const HOST = process.env.HOST || '0.0.0.0';
 try {
   log.info('Initializing database...');
   migrate();
+  profileService.loadFromDirectory();
+  oauthClientService.seedFromEnv();
+  adminService.seedFromEnv();
+
+  // Links orphaned by relinks before agent user IDs were stable
+  const orphanedAgentUserIds = GoogleAccountLinkModel.consolidateDuplicates();
+  if (orphanedAgentUserIds.length > 0) {
+    log.info('Consolidated duplicate Google account links', { count: orphanedAgentUserIds.length });
+    homegraphService.deleteAgentUsers(orphanedAgentUserIds);
+  }
+
+  // Accounts past their deletion grace period
+  accountDataService.startPurgeSchedule();
+
   log.info('Database initialized successfully');
 } catch (error) {
   log.error('Database initialization failed', { error: error.message });
@@ -116,6 +139,9 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/device', deviceRoutes);
+app.use('/api/scene', sceneRoutes);
+app.use('/api/household', householdRoutes);
+app.use('/api/admin', adminRoutes);
 
 // OAuth routes
 app.use('/oauth', oauthRoutes);
@@ -133,6 +159,9 @@ app.get('/', (req, res) => {
       health: '/health',
       auth: '/api/auth/*',
       devices: '/api/device/*',
+      scenes: '/api/scene/*',
+      households: '/api/household/*',
+      admin: '/api/admin/*',
       oauth: '/oauth/*',
       smarthome: '/smarthome/fulfillment'
     }
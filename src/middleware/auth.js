@@ -1,12 +1,18 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
-import { UserModel, GoogleAccountLinkModel } from '../database/models.js';
+import { UserModel, UserSessionModel, GoogleAccountLinkModel, AuthorizationCodeModel } from '../database/models.js';
+import accessTokenService from '../services/accessToken.service.js';
 import { log } from '../utils/logger.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'change-this-secret-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
 /**
- * Authentication middleware - verify JWT token
+ * Authentication middleware - verify JWT token or personal access token
+ * The token's session must still be active, so logout and revocation take
+ * effect before the token expires
+ * req.user.scopes is null for sessions and the token's scopes for personal
+ * access tokens (see requireScope)
  */
 export const authenticate = (req, res, next) => {
   try {
@@ -20,15 +26,48 @@ export const authenticate = (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
+
+    if (accessTokenService.isAccessToken(token)) {
+      const result = accessTokenService.authenticate(token);
+      if (!result) {
+        log.warn('Invalid personal access token');
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Invalid, revoked or expired access token'
+        });
+      }
+
+      req.user = {
+        id: result.user.id,
+        backendUserId: result.user.backend_user_id,
+        username: result.user.username,
+        tokenId: result.record.token_id,
+        scopes: result.record.scopes
+      };
+
+      return next();
+    }
     
     try {
       const decoded = jwt.verify(token, JWT_SECRET);
+
+      // Only session tokens from /api/auth/login, not OAuth tokens
+      const session = decoded.sid ? UserSessionModel.findActive(decoded.sid) : null;
+      if (!session || session.user_id !== decoded.userId) {
+        log.warn('Token session revoked or expired', { userId: decoded.userId, sessionId: decoded.sid });
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Session has been revoked or expired'
+        });
+      }
       
       // Attach user info to request
       req.user = {
         id: decoded.userId,
         backendUserId: decoded.backendUserId,
-        username: decoded.username
+        username: decoded.username,
+        sessionId: decoded.sid,
+        scopes: null
       };
       
       next();
@@ -49,7 +88,64 @@ export const authenticate = (req, res, next) => {
 };
 
 /**
- * Google API key authentication (for Google Smart Home requests)
+ * Scope middleware - use after authenticate
+ * Sessions have every scope; personal access tokens need `scope`, or the
+ * scope limited to the resource in req.params[resourceParam]
+ */
+export const requireScope = (scope, resourceParam = null) => (req, res, next) => {
+  const scopes = req.user?.scopes;
+  const resourceId = resourceParam ? req.params[resourceParam] : null;
+
+  if (scopes && !accessTokenService.hasScope(scopes, scope, resourceId)) {
+    log.warn('Access token scope denied', { userId: req.user.id, tokenId: req.user.tokenId, scope, resourceId });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Access token requires scope: ${resourceId ? `${scope} or ${scope}:${resourceId}` : scope}`
+    });
+  }
+
+  next();
+};
+
+/**
+ * Session middleware - use after authenticate
+ * Account and credential management is not available to personal access tokens
+ */
+export const requireSession = (req, res, next) => {
+  if (req.user?.scopes) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Not available to access tokens, sign in instead'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Role authorization middleware - use after authenticate
+ * The role is read from the database, so role changes apply immediately
+ * @param {...string} roles - Roles allowed to continue, e.g. authorize('admin')
+ */
+export const authorize = (...roles) => (req, res, next) => {
+  const user = req.user ? UserModel.findById(req.user.id) : null;
+
+  if (!user || !roles.includes(user.role)) {
+    log.warn('Role authorization denied', { userId: req.user?.id, roles, path: req.path });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Requires role: ${roles.join(' or ')}`
+    });
+  }
+
+  req.user.role = user.role;
+  next();
+};
+
+/**
+ * Google Smart Home authentication
+ * The bearer token must be an access token we issued and still the current
+ * token of an active account link, so DISCONNECT and refresh revoke old tokens
  */
 export const authenticateGoogleRequest = (req, res, next) => {
   try {
@@ -64,44 +160,24 @@ export const authenticateGoogleRequest = (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
-    
-    // For Google Smart Home, the token is the OAuth access token
-    // We need to decode it to get the agentUserId
-    // In production, you would validate this with Google's token endpoint
-    
-    // For now, we'll extract agentUserId from the token payload
-    try {
-      // Google sends JWT tokens, but we can also use our own tokens
-      const decoded = jwt.decode(token);
-      
-      if (decoded && decoded.agentUserId) {
-        req.googleUser = {
-          agentUserId: decoded.agentUserId
-        };
-      } else {
-        // If not a JWT, treat as opaque token and look it up
-        const link = GoogleAccountLinkModel.findByAccessToken(token);
-        if (link) {
-          req.googleUser = {
-            agentUserId: link.google_agent_user_id
-          };
-        } else {
-          log.warn('Invalid Google access token');
-          return res.status(401).json({
-            error: 'Unauthorized',
-            message: 'Invalid access token'
-          });
-        }
-      }
-      
-      next();
-    } catch (error) {
-      log.error('Google token validation error', { error: error.message });
+    const decoded = verifyAccessToken(token);
+    const link = decoded ? GoogleAccountLinkModel.findByAccessToken(token) : null;
+
+    if (!link || link.google_agent_user_id !== decoded.agentUserId || link.user_id !== decoded.userId) {
+      log.warn('Invalid Google access token', { agentUserId: decoded?.agentUserId });
       return res.status(401).json({
         error: 'Unauthorized',
-        message: 'Invalid token format'
+        message: 'Invalid access token'
       });
     }
+
+    req.googleUser = {
+      agentUserId: link.google_agent_user_id,
+      userId: link.user_id,
+      accountLink: link
+    };
+
+    next();
   } catch (error) {
     log.error('Google authentication error', { error: error.message });
     return res.status(500).json({
@@ -112,32 +188,116 @@ export const authenticateGoogleRequest = (req, res, next) => {
 };
 
 /**
- * Generate JWT token for user
+ * Generate short-lived JWT access token for a user session
  */
-export const generateToken = (user) => {
+export const generateToken = (user, sessionId) => {
   const payload = {
     userId: user.id,
     backendUserId: user.backend_user_id || user.backendUserId,
-    username: user.username
+    username: user.username,
+    sid: sessionId
   };
   
   return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
 };
 
 /**
- * Generate OAuth authorization code
+ * Generate and store a single-use OAuth authorization code
+ * PKCE challenge is stored with the code and checked at the token endpoint
  */
-export const generateAuthCode = (userId, clientId, redirectUri) => {
-  const payload = {
+export const generateAuthCode = (userId, clientId, redirectUri, { scope = null, sharedDevices = null, codeChallenge = null, codeChallengeMethod = null } = {}) => {
+  const code = crypto.randomBytes(32).toString('base64url');
+
+  // Short-lived auth code (10 minutes)
+  AuthorizationCodeModel.create({
+    code,
     userId,
     clientId,
     redirectUri,
-    type: 'auth_code',
-    timestamp: Date.now()
-  };
-  
-  // Short-lived auth code (10 minutes)
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: '10m' });
+    scope,
+    sharedDevices,
+    codeChallenge,
+    codeChallengeMethod,
+    expiresIn: 600
+  });
+
+  return code;
+};
+
+/**
+ * Sign a token carrying a validated authorization request between the steps
+ * of the authorization page
+ */
+const signAuthorizationStep = (type, userId, authRequest, expiresIn) => {
+  return jwt.sign({ sub: userId, request: authRequest, type }, JWT_SECRET, { expiresIn });
+};
+
+/**
+ * Verify a token of signAuthorizationStep
+ * @returns {{ userId, request }|null}
+ */
+const verifyAuthorizationStep = (type, token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    if (decoded.type !== type) {
+      throw new Error('Invalid token type');
+    }
+
+    return { userId: decoded.sub, request: decoded.request };
+  } catch (error) {
+    log.warn('Invalid authorization step token', { type, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Generate consent token for the authorization request of a signed in user
+ * Carries the validated request from the login step to the consent step
+ */
+export const generateConsentToken = (userId, authRequest) => {
+  return signAuthorizationStep('oauth_consent', userId, authRequest, '10m');
+};
+
+/**
+ * Verify consent token
+ * @returns {{ userId, request }|null}
+ */
+export const verifyConsentToken = (token) => {
+  return verifyAuthorizationStep('oauth_consent', token);
+};
+
+/**
+ * Generate two-factor token for a user who passed the password step
+ * The user is not signed in until the code step accepts a second factor
+ */
+export const generateTwoFactorToken = (userId, authRequest) => {
+  return signAuthorizationStep('oauth_two_factor', userId, authRequest, '5m');
+};
+
+/**
+ * Verify two-factor token
+ * @returns {{ userId, request }|null}
+ */
+export const verifyTwoFactorToken = (token) => {
+  return verifyAuthorizationStep('oauth_two_factor', token);
+};
+
+/**
+ * Verify PKCE code_verifier against the stored code_challenge (RFC 7636)
+ */
+export const verifyCodeVerifier = (codeVerifier, codeChallenge, codeChallengeMethod) => {
+  if (!codeVerifier) {
+    return false;
+  }
+
+  const computed = codeChallengeMethod === 'S256'
+    ? crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+    : codeVerifier;
+
+  const expected = Buffer.from(codeChallenge);
+  const actual = Buffer.from(computed);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
 };
 
 /**
@@ -151,36 +311,40 @@ export const generateAccessToken = (userId, agentUserId, scope = 'smart_home') =
     type: 'access_token'
   };
   
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: '30d' });
+  // jwtid keeps tokens issued within the same second distinct
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: '30d', jwtid: crypto.randomUUID() });
 };
 
 /**
  * Generate OAuth refresh token
+ * Rotated refresh tokens of one grant share the same family
  */
-export const generateRefreshToken = (userId, agentUserId) => {
+export const generateRefreshToken = (userId, agentUserId, family, scope = 'smart_home') => {
   const payload = {
     userId,
     agentUserId,
+    family,
+    scope,
     type: 'refresh_token'
   };
   
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: '90d' });
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: '90d', jwtid: crypto.randomUUID() });
 };
 
 /**
- * Verify OAuth authorization code
+ * Verify OAuth access token
  */
-export const verifyAuthCode = (code) => {
+export const verifyAccessToken = (token) => {
   try {
-    const decoded = jwt.verify(code, JWT_SECRET);
+    const decoded = jwt.verify(token, JWT_SECRET);
     
-    if (decoded.type !== 'auth_code') {
+    if (decoded.type !== 'access_token') {
       throw new Error('Invalid token type');
     }
     
     return decoded;
   } catch (error) {
-    log.warn('Invalid auth code', { error: error.message });
+    log.warn('Invalid access token', { error: error.message });
     return null;
   }
 };
@@ -205,11 +369,19 @@ export const verifyRefreshToken = (token) => {
 
 export default {
   authenticate,
+  requireScope,
+  requireSession,
+  authorize,
   authenticateGoogleRequest,
   generateToken,
   generateAuthCode,
+  generateConsentToken,
+  verifyConsentToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
   generateAccessToken,
   generateRefreshToken,
-  verifyAuthCode,
+  verifyCodeVerifier,
+  verifyAccessToken,
   verifyRefreshToken
 };
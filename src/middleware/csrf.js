@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+
+const CSRF_SECRET = process.env.CSRF_SECRET || process.env.JWT_SECRET || 'change-this-secret-in-production';
+const SESSION_COOKIE = 'oauth_sid';
+const SESSION_MAX_AGE_MS = 60 * 60 * 1000;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Read a cookie from the request (no cookie parser installed)
+ */
+const readCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.substring(0, separator).trim() === name) {
+      return decodeURIComponent(part.substring(separator + 1).trim());
+    }
+  }
+  return null;
+};
+
+const csrfTokenFor = (sessionId) => {
+  return crypto.createHmac('sha256', CSRF_SECRET).update(sessionId).digest('base64url');
+};
+
+/**
+ * Browser session of the OAuth pages
+ * Starts a session (HttpOnly cookie) if the request has none and sets
+ * req.oauthSession = { id, csrfToken }
+ */
+export const oauthSession = (req, res, next) => {
+  let sessionId = readCookie(req, SESSION_COOKIE);
+
+  if (!sessionId || !SESSION_ID_PATTERN.test(sessionId)) {
+    sessionId = crypto.randomBytes(32).toString('base64url');
+    res.cookie(SESSION_COOKIE, sessionId, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/oauth',
+      maxAge: SESSION_MAX_AGE_MS
+    });
+  }
+
+  req.oauthSession = {
+    id: sessionId,
+    csrfToken: csrfTokenFor(sessionId)
+  };
+
+  next();
+};
+
+/**
+ * Check the csrf_token form field against the session (use after oauthSession)
+ */
+export const verifyCsrfToken = (req) => {
+  const token = req.body?.csrf_token;
+  if (typeof token !== 'string' || !req.oauthSession) {
+    return false;
+  }
+
+  const expected = Buffer.from(req.oauthSession.csrfToken);
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+export default {
+  oauthSession,
+  verifyCsrfToken
+};
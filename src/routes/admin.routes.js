@@ -0,0 +1,1014 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import {
+  UserModel,
+  DeviceModel,
+  HouseholdModel,
+  UserSessionModel,
+  GoogleAccountLinkModel,
+  OAuthClientModel,
+  ProvisioningRequestModel,
+  ProvisioningBatchModel,
+  AuditLogModel
+} from '../database/models.js';
+import oauthClientService, { OAUTH_PROVIDERS, OAUTH_GRANT_TYPES } from '../services/oauthClient.service.js';
+import adminService, { USER_ROLES } from '../services/admin.service.js';
+import deviceClaimService from '../services/deviceClaim.service.js';
+import { PROVISIONING_STATUS } from '../services/provisioning.service.js';
+import twoFactorService from '../services/twoFactor.service.js';
+import loginThrottleService from '../services/loginThrottle.service.js';
+import { authenticate, authorize, requireScope } from '../middleware/auth.js';
+import { log } from '../utils/logger.js';
+
+const router = express.Router();
+
+const SCOPE_PATTERN = /^[\w:.-]+$/;
+
+/**
+ * Format OAuth client for API responses (never includes the secret hash)
+ */
+const formatClient = (client) => ({
+  clientId: client.client_id,
+  name: client.name,
+  provider: client.provider,
+  public: oauthClientService.isPublic(client),
+  redirectUris: client.redirect_uris,
+  scopes: client.scopes,
+  grantTypes: client.grant_types,
+  createdAt: client.created_at,
+  updatedAt: client.updated_at
+});
+
+/**
+ * Validation for client settings
+ * @param {boolean} optional - Fields may be omitted (updates)
+ */
+const clientValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().notEmpty().withMessage('Client name is required'),
+    field('provider').isIn(OAUTH_PROVIDERS).withMessage(`Provider must be one of: ${OAUTH_PROVIDERS.join(', ')}`),
+    field('redirectUris').isArray({ min: 1 }).withMessage('Redirect URIs must be a non-empty array'),
+    body('redirectUris.*').isURL({ require_tld: false, require_protocol: true }).withMessage('Invalid redirect URI'),
+    body('scopes').optional().isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+    body('scopes.*').matches(SCOPE_PATTERN).withMessage('Invalid scope'),
+    body('grantTypes').optional().isArray({ min: 1 }).withMessage('Grant types must be a non-empty array'),
+    body('grantTypes.*').isIn(OAUTH_GRANT_TYPES).withMessage(`Grant type must be one of: ${OAUTH_GRANT_TYPES.join(', ')}`)
+  ];
+};
+
+/**
+ * Format user for API responses (never includes secrets)
+ */
+const formatUser = (user) => ({
+  backendUserId: user.backend_user_id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  active: user.is_active === 1,
+  emailVerified: Boolean(user.email_verified_at),
+  twoFactorEnabled: twoFactorService.isEnabled(user),
+  thingsboardUserId: user.thingsboard_user_id,
+  thingsboardCustomerId: user.thingsboard_customer_id,
+  deletionScheduledAt: user.deletion_scheduled_at,
+  lockedUntil: loginThrottleService.lockedUntil(user.username),
+  createdAt: user.created_at,
+  updatedAt: user.updated_at
+});
+
+/**
+ * Format provisioning attempt for API responses
+ */
+const formatProvisioningRequest = (request) => ({
+  requestId: request.request_id,
+  deviceUuid: request.device_uuid,
+  backendUserId: request.backend_user_id,
+  username: request.username,
+  batchId: request.batch_uuid,
+  hardwareId: request.hardware_id,
+  status: request.status,
+  thingsboardDeviceId: request.thingsboard_device_id,
+  requestData: request.request_data,
+  errorMessage: request.error_message,
+  createdAt: request.created_at,
+  updatedAt: request.updated_at,
+  completedAt: request.completed_at
+});
+
+/**
+ * Format provisioning batch for API responses (never includes the key)
+ */
+const formatBatch = (batch) => ({
+  batchId: batch.batch_id,
+  name: batch.name,
+  maxDevices: batch.max_devices,
+  provisionedDevices: batch.provisioned_count,
+  claimedDevices: batch.claimed_count,
+  createdAt: batch.created_at,
+  expiresAt: batch.expires_at,
+  revokedAt: batch.revoked_at
+});
+
+/**
+ * Validation for limit/offset paging
+ */
+const pagingValidation = [
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be 1-500').toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or more').toInt()
+];
+
+/**
+ * Find the user of the :backendUserId parameter, including deactivated users
+ * @returns {Object|null} null after sending 404
+ */
+const findTargetUser = (req, res) => {
+  const user = UserModel.findByBackendUserIdAnyStatus(req.params.backendUserId);
+  if (!user) {
+    res.status(404).json({
+      error: 'User not found'
+    });
+    return null;
+  }
+  return user;
+};
+
+/**
+ * Resolve a backendUserId filter to the internal user ID
+ * Unknown IDs resolve to 0, which matches nothing
+ */
+const resolveUserFilter = (backendUserId) => {
+  if (!backendUserId) {
+    return null;
+  }
+  return UserModel.findByBackendUserIdAnyStatus(backendUserId)?.id || 0;
+};
+
+router.use(authenticate, requireScope('admin'), authorize('admin'));
+
+/**
+ * GET /api/admin/oauth-clients
+ * List registered OAuth clients
+ */
+router.get('/oauth-clients', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      clients: OAuthClientModel.findAll().map(formatClient)
+    });
+  } catch (error) {
+    log.error('List OAuth clients error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list OAuth clients',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/oauth-clients
+ * Register OAuth client
+ * The client secret is only returned in this response
+ */
+router.post('/oauth-clients',
+  [
+    body('clientId').optional().matches(/^[\w.-]{8,128}$/).withMessage('Client ID must be 8-128 letters, digits, ".", "-" or "_"'),
+    body('public').optional().isBoolean().withMessage('Public must be a boolean'),
+    ...clientValidation(false)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { clientId, name, provider, redirectUris, scopes, grantTypes } = req.body;
+
+      if (clientId && OAuthClientModel.findByClientId(clientId)) {
+        return res.status(409).json({
+          error: 'OAuth client already exists'
+        });
+      }
+
+      const { client, clientSecret } = oauthClientService.create({
+        clientId,
+        name,
+        provider,
+        redirectUris,
+        scopes,
+        grantTypes,
+        isPublic: req.body.public === true
+      });
+
+      AuditLogModel.log({
+        userId: req.user.id,
+        action: 'oauth_client_created',
+        resourceType: 'oauth_client',
+        resourceId: client.client_id,
+        details: { name, provider },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.status(201).json({
+        success: true,
+        client: formatClient(client),
+        clientSecret
+      });
+    } catch (error) {
+      log.error('Create OAuth client error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to create OAuth client',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/oauth-clients/:clientId
+ * Get OAuth client details
+ */
+router.get('/oauth-clients/:clientId', async (req, res) => {
+  try {
+    const client = OAuthClientModel.findByClientId(req.params.clientId);
+
+    if (!client) {
+      return res.status(404).json({
+        error: 'OAuth client not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      client: formatClient(client)
+    });
+  } catch (error) {
+    log.error('Get OAuth client error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get OAuth client',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/oauth-clients/:clientId
+ * Update OAuth client settings
+ */
+router.put('/oauth-clients/:clientId',
+  clientValidation(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { clientId } = req.params;
+      const client = OAuthClientModel.findByClientId(clientId);
+
+      if (!client) {
+        return res.status(404).json({
+          error: 'OAuth client not found'
+        });
+      }
+
+      OAuthClientModel.update(clientId, {
+        name: req.body.name ?? client.name,
+        provider: req.body.provider ?? client.provider,
+        redirectUris: req.body.redirectUris ?? client.redirect_uris,
+        scopes: req.body.scopes ?? client.scopes,
+        grantTypes: req.body.grantTypes ?? client.grant_types
+      });
+
+      AuditLogModel.log({
+        userId: req.user.id,
+        action: 'oauth_client_updated',
+        resourceType: 'oauth_client',
+        resourceId: clientId,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.json({
+        success: true,
+        client: formatClient(OAuthClientModel.findByClientId(clientId))
+      });
+    } catch (error) {
+      log.error('Update OAuth client error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to update OAuth client',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/oauth-clients/:clientId/secret
+ * Rotate client secret, the old secret stops working immediately
+ */
+router.post('/oauth-clients/:clientId/secret', async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const client = OAuthClientModel.findByClientId(clientId);
+
+    if (!client) {
+      return res.status(404).json({
+        error: 'OAuth client not found'
+      });
+    }
+
+    if (oauthClientService.isPublic(client)) {
+      return res.status(400).json({
+        error: 'Public clients have no secret'
+      });
+    }
+
+    const clientSecret = oauthClientService.rotateSecret(clientId);
+
+    AuditLogModel.log({
+      userId: req.user.id,
+      action: 'oauth_client_secret_rotated',
+      resourceType: 'oauth_client',
+      resourceId: clientId,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      clientSecret
+    });
+  } catch (error) {
+    log.error('Rotate OAuth client secret error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to rotate client secret',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/oauth-clients/:clientId
+ * Delete OAuth client and disconnect the accounts linked through it
+ */
+router.delete('/oauth-clients/:clientId', async (req, res) => {
+  try {
+    const { clientId } = req.params;
+
+    if (!OAuthClientModel.findByClientId(clientId)) {
+      return res.status(404).json({
+        error: 'OAuth client not found'
+      });
+    }
+
+    const disconnected = oauthClientService.remove(clientId);
+
+    AuditLogModel.log({
+      userId: req.user.id,
+      action: 'oauth_client_deleted',
+      resourceType: 'oauth_client',
+      resourceId: clientId,
+      details: { disconnectedLinks: disconnected },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'OAuth client deleted successfully',
+      disconnectedLinks: disconnected
+    });
+  } catch (error) {
+    log.error('Delete OAuth client error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to delete OAuth client',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/users
+ * List and search users
+ * Query: q (username, email or backend user ID), role, status (active, inactive, all), limit, offset
+ */
+router.get('/users',
+  [
+    query('q').optional().isString(),
+    query('role').optional().isIn(USER_ROLES).withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+    query('status').optional().isIn(['active', 'inactive', 'all']).withMessage('Status must be active, inactive or all'),
+    ...pagingValidation
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { q, role, status = 'all', limit = 50, offset = 0 } = req.query;
+      const { users, total } = UserModel.search({
+        query: q || null,
+        role: role || null,
+        active: status === 'all' ? null : status === 'active',
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        users: users.map(formatUser),
+        total,
+        limit,
+        offset
+      });
+    } catch (error) {
+      log.error('List users error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to list users',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/users/:backendUserId
+ * Get user details with devices, households, linked accounts and sessions
+ */
+router.get('/users/:backendUserId', async (req, res) => {
+  try {
+    const user = findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      user: {
+        ...formatUser(user),
+        devices: DeviceModel.findByOwner(user.id).map(device => ({
+          deviceUuid: device.device_uuid,
+          deviceName: device.device_label || device.device_name,
+          deviceType: device.device_type,
+          thingsboardDeviceId: device.thingsboard_device_id,
+          householdId: device.household_id ? HouseholdModel.findById(device.household_id)?.household_uuid || null : null,
+          isOnline: device.is_online === 1
+        })),
+        households: HouseholdModel.findByUserId(user.id).map(household => ({
+          householdId: household.household_uuid,
+          name: household.name,
+          role: household.role
+        })),
+        links: GoogleAccountLinkModel.findAllByUserId(user.id).map(link => ({
+          agentUserId: link.google_agent_user_id,
+          clientId: link.client_id,
+          linkedAt: link.linked_at,
+          lastSyncAt: link.last_sync_at
+        })),
+        activeSessions: UserSessionModel.findActiveByUserId(user.id).length
+      }
+    });
+  } catch (error) {
+    log.error('Get user error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get user',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:backendUserId/role
+ * Change user role; admins cannot change their own role
+ */
+router.put('/users/:backendUserId/role',
+  [
+    body('role').isIn(USER_ROLES).withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = findTargetUser(req, res);
+      if (!user) {
+        return;
+      }
+
+      if (user.id === req.user.id) {
+        return res.status(400).json({
+          error: 'Cannot change own role'
+        });
+      }
+
+      UserModel.setRole(user.id, req.body.role);
+
+      AuditLogModel.log({
+        userId: req.user.id,
+        action: 'admin_user_role_changed',
+        resourceType: 'user',
+        resourceId: user.backend_user_id,
+        details: { from: user.role, to: req.body.role },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.json({
+        success: true,
+        user: formatUser(UserModel.findByBackendUserIdAnyStatus(user.backend_user_id))
+      });
+    } catch (error) {
+      log.error('Change user role error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to change user role',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/users/:backendUserId/deactivate
+ * Deactivate user: sign-in is refused, sessions are revoked and linked
+ * accounts disconnected; admins cannot deactivate themselves
+ */
+router.post('/users/:backendUserId/deactivate', async (req, res) => {
+  try {
+    const user = findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        error: 'Cannot deactivate own account'
+      });
+    }
+
+    const result = adminService.deactivateUser(user);
+    if (!result) {
+      return res.status(409).json({
+        error: 'User already deactivated'
+      });
+    }
+
+    AuditLogModel.log({
+      userId: req.user.id,
+      action: 'admin_user_deactivated',
+      resourceType: 'user',
+      resourceId: user.backend_user_id,
+      details: result,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    log.error('Deactivate user error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to deactivate user',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:backendUserId/activate
+ * Reactivate a deactivated user
+ */
+router.post('/users/:backendUserId/activate', async (req, res) => {
+  try {
+    const user = findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    if (!adminService.activateUser(user)) {
+      return res.status(409).json({
+        error: 'User already active'
+      });
+    }
+
+    AuditLogModel.log({
+      userId: req.user.id,
+      action: 'admin_user_activated',
+      resourceType: 'user',
+      resourceId: user.backend_user_id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'User activated'
+    });
+  } catch (error) {
+    log.error('Activate user error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to activate user',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:backendUserId/unlock
+ * Lift a sign-in lockout after too many failed attempts
+ */
+router.post('/users/:backendUserId/unlock', async (req, res) => {
+  try {
+    const user = findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    if (!loginThrottleService.unlock(user.username)) {
+      return res.status(409).json({
+        error: 'User not locked'
+      });
+    }
+
+    AuditLogModel.log({
+      userId: req.user.id,
+      action: 'admin_user_unlocked',
+      resourceType: 'user',
+      resourceId: user.backend_user_id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'User unlocked'
+    });
+  } catch (error) {
+    log.error('Unlock user error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to unlock user',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:backendUserId/links[/:agentUserId]
+ * Force-unlink all of a user's linked accounts, or one of them
+ */
+router.delete(['/users/:backendUserId/links', '/users/:backendUserId/links/:agentUserId'], async (req, res) => {
+  try {
+    const user = findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    const { agentUserId = null } = req.params;
+    const unlinkedAccounts = adminService.unlinkAccounts(user.id, agentUserId);
+
+    if (agentUserId && unlinkedAccounts === 0) {
+      return res.status(404).json({
+        error: 'Account link not found'
+      });
+    }
+
+    AuditLogModel.log({
+      userId: req.user.id,
+      action: 'admin_accounts_unlinked',
+      resourceType: 'user',
+      resourceId: user.backend_user_id,
+      details: { agentUserId, unlinkedAccounts },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      unlinkedAccounts
+    });
+  } catch (error) {
+    log.error('Unlink accounts error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to unlink accounts',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/devices/:deviceUuid/owner
+ * Reassign device to another user, also in ThingsBoard
+ * The device leaves its household and loses its per-device permissions
+ */
+router.put('/devices/:deviceUuid/owner',
+  [
+    body('backendUserId').notEmpty().withMessage('Backend user ID is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const device = DeviceModel.findByUuid(req.params.deviceUuid);
+      if (!device) {
+        return res.status(404).json({
+          error: 'Device not found'
+        });
+      }
+
+      const newOwner = UserModel.findByBackendUserId(req.body.backendUserId);
+      if (!newOwner) {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      if (newOwner.id === device.owner_user_id) {
+        return res.status(409).json({
+          error: 'User already owns the device'
+        });
+      }
+
+      const previousOwner = UserModel.findById(device.owner_user_id);
+      await adminService.reassignDevice(device, newOwner);
+
+      AuditLogModel.log({
+        userId: req.user.id,
+        action: 'admin_device_reassigned',
+        resourceType: 'device',
+        resourceId: device.device_uuid,
+        details: {
+          from: previousOwner ? previousOwner.backend_user_id : null,
+          to: newOwner.backend_user_id
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.json({
+        success: true,
+        message: 'Device reassigned'
+      });
+    } catch (error) {
+      log.error('Reassign device error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to reassign device',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/provisioning-requests
+ * Browse device provisioning attempts
+ * Query: status, backendUserId, deviceUuid, hardwareId, limit, offset
+ */
+router.get('/provisioning-requests',
+  [
+    query('status').optional().isIn(Object.values(PROVISIONING_STATUS)).withMessage('Unknown status'),
+    query('backendUserId').optional().isString(),
+    query('deviceUuid').optional().isString(),
+    query('hardwareId').optional().isString(),
+    ...pagingValidation
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { status, backendUserId, deviceUuid, hardwareId, limit = 50, offset = 0 } = req.query;
+      const { requests, total } = ProvisioningRequestModel.search({
+        status: status || null,
+        userId: resolveUserFilter(backendUserId),
+        deviceUuid: deviceUuid || null,
+        hardwareId: hardwareId || null,
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        requests: requests.map(formatProvisioningRequest),
+        total,
+        limit,
+        offset
+      });
+    } catch (error) {
+      log.error('List provisioning requests error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to list provisioning requests',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/provisioning-requests/:requestId
+ * Get one provisioning attempt
+ */
+router.get('/provisioning-requests/:requestId', async (req, res) => {
+  try {
+    const request = ProvisioningRequestModel.findByRequestId(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({
+        error: 'Provisioning request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      request: formatProvisioningRequest(request)
+    });
+  } catch (error) {
+    log.error('Get provisioning request error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get provisioning request',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/provisioning-batches
+ * List provisioning batches for claim-code provisioning
+ */
+router.get('/provisioning-batches', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      batches: ProvisioningBatchModel.findAll().map(formatBatch)
+    });
+  } catch (error) {
+    log.error('List provisioning batches error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list provisioning batches',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/provisioning-batches
+ * Create a provisioning batch; the key is flashed into the batch's panels
+ * The provisioning key is only returned in this response
+ */
+router.post('/provisioning-batches',
+  [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+    body('maxDevices').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Max devices must be a positive integer').toInt(),
+    body('expiresInDays').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Expiry must be a positive number of days').toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, maxDevices = null, expiresInDays = null } = req.body;
+      const { key, batch } = deviceClaimService.createBatch(req.user, { name, maxDevices, expiresInDays });
+
+      AuditLogModel.log({
+        userId: req.user.id,
+        action: 'provisioning_batch_created',
+        resourceType: 'provisioning_batch',
+        resourceId: batch.batch_id,
+        details: { name, maxDevices },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.status(201).json({
+        success: true,
+        batch: formatBatch(batch),
+        provisioningKey: key
+      });
+    } catch (error) {
+      log.error('Create provisioning batch error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to create provisioning batch',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/provisioning-batches/:batchId
+ * Revoke a batch's provisioning key; devices already provisioned can still be claimed
+ */
+router.delete('/provisioning-batches/:batchId', async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    if (!ProvisioningBatchModel.findByBatchId(batchId)) {
+      return res.status(404).json({
+        error: 'Provisioning batch not found'
+      });
+    }
+
+    if (!ProvisioningBatchModel.revoke(batchId)) {
+      return res.status(409).json({
+        error: 'Provisioning batch already revoked'
+      });
+    }
+
+    AuditLogModel.log({
+      userId: req.user.id,
+      action: 'provisioning_batch_revoked',
+      resourceType: 'provisioning_batch',
+      resourceId: batchId,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Provisioning batch revoked'
+    });
+  } catch (error) {
+    log.error('Revoke provisioning batch error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to revoke provisioning batch',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit-log
+ * Browse the audit log
+ * Query: backendUserId, action, resourceType, resourceId, from, to (ISO 8601), limit, offset
+ */
+router.get('/audit-log',
+  [
+    query('backendUserId').optional().isString(),
+    query('action').optional().isString(),
+    query('resourceType').optional().isString(),
+    query('resourceId').optional().isString(),
+    query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+    ...pagingValidation
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { backendUserId, action, resourceType, resourceId, from, to, limit = 100, offset = 0 } = req.query;
+      const { entries, total } = AuditLogModel.search({
+        userId: resolveUserFilter(backendUserId),
+        action: action || null,
+        resourceType: resourceType || null,
+        resourceId: resourceId || null,
+        from: from ? Date.parse(from) : null,
+        to: to ? Date.parse(to) : null,
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        entries: entries.map(entry => ({
+          id: entry.id,
+          backendUserId: entry.backend_user_id,
+          username: entry.username,
+          action: entry.action,
+          resourceType: entry.resource_type,
+          resourceId: entry.resource_id,
+          details: entry.details ? JSON.parse(entry.details) : null,
+          ipAddress: entry.ip_address,
+          userAgent: entry.user_agent,
+          createdAt: entry.created_at
+        })),
+        total,
+        limit,
+        offset
+      });
+    } catch (error) {
+      log.error('Browse audit log error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to browse audit log',
+        message: error.message
+      });
+    }
+  }
+);
+
+export default router;
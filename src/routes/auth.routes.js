@@ -1,12 +1,30 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import { UserModel, AuditLogModel } from '../database/models.js';
-import { authenticate, generateToken } from '../middleware/auth.js';
+import { UserModel, UserSessionModel, PersonalAccessTokenModel, RecoveryCodeModel, GoogleAccountLinkModel, OAuthClientModel, AuditLogModel } from '../database/models.js';
+import { authenticate, requireScope, requireSession } from '../middleware/auth.js';
+import sessionService from '../services/session.service.js';
+import accountService from '../services/account.service.js';
+import twoFactorService from '../services/twoFactor.service.js';
+import accessTokenService, { TOKEN_SCOPES, RESOURCE_SCOPES } from '../services/accessToken.service.js';
+import accountDataService, { DELETION_DEVICE_ACTIONS } from '../services/accountData.service.js';
+import loginThrottleService from '../services/loginThrottle.service.js';
+import householdService from '../services/household.service.js';
 import thingsboardService from '../services/thingsboard.service.js';
+import homegraphService from '../services/homegraph.service.js';
+import { selectLocale } from '../utils/i18n.js';
 import { log } from '../utils/logger.js';
 
 const router = express.Router();
 
+/**
+ * Client details recorded with a session
+ */
+const sessionClient = (req) => ({
+  deviceName: req.body?.deviceName || null,
+  userAgent: req.get('user-agent') || null,
+  ipAddress: req.ip
+});
+
 /**
  * POST /api/auth/register
  * Register new user
@@ -15,7 +33,8 @@ router.post('/register',
   [
     body('username').notEmpty().isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
     body('email').isEmail().withMessage('Valid email is required'),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('deviceName').optional().isString().isLength({ max: 100 }).withMessage('Device name must be at most 100 characters')
   ],
   async (req, res) => {
     try {
@@ -64,8 +83,8 @@ router.post('/register',
         thingsboardCustomerId
       });
 
-      // Generate JWT token
-      const token = generateToken(user);
+      // Start session (access token + refresh token)
+      const tokens = sessionService.create(user, sessionClient(req));
 
       // Audit log
       AuditLogModel.log({
@@ -79,9 +98,13 @@ router.post('/register',
 
       log.auth('register', user.id, true, { username, email });
 
+      accountService.sendVerificationEmail(user, selectLocale(req)).catch(error => {
+        log.error('Verification email error', { userId: user.id, error: error.message });
+      });
+
       res.status(201).json({
         success: true,
-        token,
+        ...tokens,
         user: {
           backendUserId: user.backendUserId,
           username: user.username,
@@ -105,7 +128,9 @@ router.post('/register',
 router.post('/login',
   [
     body('username').notEmpty().withMessage('Username is required'),
-    body('password').notEmpty().withMessage('Password is required')
+    body('password').notEmpty().withMessage('Password is required'),
+    body('otp').optional().isString().withMessage('Two-factor code must be a string'),
+    body('deviceName').optional().isString().isLength({ max: 100 }).withMessage('Device name must be at most 100 characters')
   ],
   async (req, res) => {
     try {
@@ -116,9 +141,24 @@ router.post('/login',
 
       const { username, password } = req.body;
 
+      // Per-username delays and lockout, checked before the password
+      const throttle = loginThrottleService.check(username);
+      if (!throttle.allowed) {
+        log.auth('login', null, false, { username, reason: `throttled_${throttle.reason}` });
+        res.set('Retry-After', String(throttle.retryAfter));
+        return res.status(429).json({
+          error: 'Too many failed attempts',
+          message: throttle.reason === 'locked'
+            ? 'Sign-in is temporarily locked after too many failed attempts'
+            : 'Please wait before trying again',
+          retryAfter: throttle.retryAfter
+        });
+      }
+
       // Find user
       const user = UserModel.findByUsername(username);
       if (!user) {
+        loginThrottleService.recordFailure(username, sessionClient(req));
         log.auth('login', null, false, { username, reason: 'user_not_found' });
         return res.status(401).json({
           error: 'Authentication failed',
@@ -129,6 +169,7 @@ router.post('/login',
       // Verify password
       const isValidPassword = UserModel.verifyPassword(password, user.password_hash);
       if (!isValidPassword) {
+        loginThrottleService.recordFailure(username, sessionClient(req));
         log.auth('login', user.id, false, { username, reason: 'invalid_password' });
         return res.status(401).json({
           error: 'Authentication failed',
@@ -136,8 +177,45 @@ router.post('/login',
         });
       }
 
-      // Generate JWT token
-      const token = generateToken(user);
+      // Second factor, if the user enrolled
+      if (twoFactorService.isEnabled(user)) {
+        if (!req.body.otp) {
+          return res.status(401).json({
+            error: 'Two-factor authentication required',
+            message: 'Enter the code from your authenticator app or a recovery code',
+            twoFactorRequired: true
+          });
+        }
+
+        const method = twoFactorService.verify(user, req.body.otp);
+
+        if (method !== 'totp') {
+          AuditLogModel.log({
+            userId: user.id,
+            action: method === 'recovery' ? 'two_factor_recovery_code_used' : 'two_factor_failed',
+            resourceType: 'user',
+            resourceId: user.backend_user_id,
+            details: { context: 'login' },
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+          });
+        }
+
+        if (!method) {
+          loginThrottleService.recordFailure(username, sessionClient(req));
+          log.auth('login', user.id, false, { username, reason: 'invalid_two_factor_code' });
+          return res.status(401).json({
+            error: 'Authentication failed',
+            message: 'Invalid two-factor code',
+            twoFactorRequired: true
+          });
+        }
+      }
+
+      loginThrottleService.recordSuccess(username);
+
+      // Start session (access token + refresh token)
+      const tokens = sessionService.create(user, sessionClient(req));
 
       // Audit log
       AuditLogModel.log({
@@ -153,7 +231,7 @@ router.post('/login',
 
       res.json({
         success: true,
-        token,
+        ...tokens,
         user: {
           backendUserId: user.backend_user_id,
           username: user.username,
@@ -170,11 +248,295 @@ router.post('/login',
   }
 );
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ * Each refresh token works once; reusing one revokes its session
+ */
+router.post('/refresh',
+  [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const tokens = sessionService.refresh(req.body.refreshToken, sessionClient(req));
+      if (!tokens) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Invalid or expired refresh token'
+        });
+      }
+
+      res.json({
+        success: true,
+        ...tokens
+      });
+    } catch (error) {
+      log.error('Token refresh error', { error: error.message });
+      res.status(500).json({
+        error: 'Token refresh failed',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/logout
+ * End the current session, or all sessions of the user with all: true
+ */
+router.post('/logout', authenticate, requireSession, async (req, res) => {
+  try {
+    const all = req.body?.all === true;
+    const revoked = all
+      ? UserSessionModel.revokeAllForUser(req.user.id)
+      : Number(UserSessionModel.revoke(req.user.sessionId));
+
+    AuditLogModel.log({
+      userId: req.user.id,
+      action: all ? 'user_logout_all' : 'user_logout',
+      resourceType: 'session',
+      resourceId: req.user.sessionId,
+      details: { revoked },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    log.auth('logout', req.user.id, true, { sessionId: req.user.sessionId, all });
+
+    res.json({
+      success: true,
+      revoked
+    });
+  } catch (error) {
+    log.error('Logout error', { error: error.message });
+    res.status(500).json({
+      error: 'Logout failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the user's active sessions
+ */
+router.get('/sessions', authenticate, requireSession, async (req, res) => {
+  try {
+    const sessions = UserSessionModel.findActiveByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        sessionId: session.session_id,
+        deviceName: session.device_name,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.session_id === req.user.sessionId
+      }))
+    });
+  } catch (error) {
+    log.error('List sessions error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list sessions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Revoke one of the user's sessions (e.g. a lost phone)
+ */
+router.delete('/sessions/:sessionId', authenticate, requireSession, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = UserSessionModel.findBySessionId(sessionId);
+    if (!session || session.revoked_at) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+
+    if (session.user_id !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied'
+      });
+    }
+
+    UserSessionModel.revoke(sessionId);
+
+    AuditLogModel.log({
+      userId: req.user.id,
+      action: 'session_revoked',
+      resourceType: 'session',
+      resourceId: sessionId,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    log.error('Revoke session error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Format personal access token for API responses (never includes the token)
+ */
+const formatAccessToken = (token) => ({
+  tokenId: token.token_id,
+  name: token.name,
+  scopes: token.scopes,
+  createdAt: token.created_at,
+  expiresAt: token.expires_at,
+  lastUsedAt: token.last_used_at,
+  expired: token.expires_at <= Date.now()
+});
+
+/**
+ * POST /api/auth/tokens
+ * Create a personal access token for scripts and integrations
+ * The token is only returned in this response
+ */
+router.post('/tokens',
+  authenticate,
+  requireSession,
+  [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Token name is required (max 100 characters)'),
+    body('scopes').isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+    body('scopes.*').custom(scope => accessTokenService.isValidScope(scope)).withMessage(`Scope must be one of: ${TOKEN_SCOPES.join(', ')} (${RESOURCE_SCOPES.join(', ')} may end in :<id>)`),
+    body('expiresInDays').optional().isInt({ min: 1, max: accessTokenService.maxTtlDays }).withMessage(`Expiry must be 1-${accessTokenService.maxTtlDays} days`).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = UserModel.findById(req.user.id);
+      const { name, scopes, expiresInDays } = req.body;
+
+      if (scopes.includes('admin') && user.role !== 'admin') {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Only admins can create tokens with the admin scope'
+        });
+      }
+
+      const { token, record } = accessTokenService.create(user, { name, scopes, expiresInDays });
+
+      AuditLogModel.log({
+        userId: user.id,
+        action: 'access_token_created',
+        resourceType: 'access_token',
+        resourceId: record.token_id,
+        details: { name, scopes: record.scopes, expiresAt: record.expires_at },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.status(201).json({
+        success: true,
+        token,
+        accessToken: formatAccessToken(record)
+      });
+    } catch (error) {
+      log.error('Create access token error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to create access token',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/auth/tokens
+ * List the user's personal access tokens (revoked ones are left out)
+ */
+router.get('/tokens', authenticate, requireSession, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      tokens: PersonalAccessTokenModel.findByUserId(req.user.id).map(formatAccessToken)
+    });
+  } catch (error) {
+    log.error('List access tokens error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list access tokens',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/tokens/:tokenId
+ * Revoke a personal access token
+ */
+router.delete('/tokens/:tokenId', authenticate, requireSession, async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+
+    const token = PersonalAccessTokenModel.findByTokenId(tokenId);
+    if (!token || token.revoked_at) {
+      return res.status(404).json({
+        error: 'Access token not found'
+      });
+    }
+
+    if (token.user_id !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied'
+      });
+    }
+
+    PersonalAccessTokenModel.revoke(tokenId);
+
+    AuditLogModel.log({
+      userId: req.user.id,
+      action: 'access_token_revoked',
+      resourceType: 'access_token',
+      resourceId: tokenId,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Access token revoked'
+    });
+  } catch (error) {
+    log.error('Revoke access token error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to revoke access token',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/auth/me
  * Get current user info
  */
-router.get('/me', authenticate, async (req, res) => {
+router.get('/me', authenticate, requireScope('account:read'), async (req, res) => {
   try {
     const user = UserModel.findByBackendUserId(req.user.backendUserId);
     
@@ -190,7 +552,11 @@ router.get('/me', authenticate, async (req, res) => {
         backendUserId: user.backend_user_id,
         username: user.username,
         email: user.email,
+        role: user.role,
+        emailVerified: Boolean(user.email_verified_at),
+        twoFactorEnabled: twoFactorService.isEnabled(user),
         thingsboardUserId: user.thingsboard_user_id,
+        deletionScheduledAt: user.deletion_scheduled_at,
         createdAt: user.created_at
       }
     });
@@ -204,14 +570,77 @@ router.get('/me', authenticate, async (req, res) => {
 });
 
 /**
- * POST /api/auth/thingsboard/link
- * Link user to ThingsBoard account
+ * Check the password of the authenticated user and, with two-factor
+ * authentication enabled, a second factor
+ * Guards two-factor changes against stolen access tokens
+ * @returns {Object|null} User, or null after sending the error response
  */
-router.post('/thingsboard/link',
+const reauthenticate = (req, res) => {
+  const user = UserModel.findById(req.user.id);
+
+  if (!user || !req.body.password || !UserModel.verifyPassword(req.body.password, user.password_hash)) {
+    res.status(401).json({
+      error: 'Authentication failed',
+      message: 'Invalid password'
+    });
+    return null;
+  }
+
+  if (twoFactorService.isEnabled(user) && !twoFactorService.verify(user, req.body.code)) {
+    AuditLogModel.log({
+      userId: user.id,
+      action: 'two_factor_failed',
+      resourceType: 'user',
+      resourceId: user.backend_user_id,
+      details: { context: req.path },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(401).json({
+      error: 'Authentication failed',
+      message: 'Invalid two-factor code'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * GET /api/auth/2fa
+ * Two-factor status of the user
+ */
+router.get('/2fa', authenticate, requireSession, async (req, res) => {
+  try {
+    const user = UserModel.findById(req.user.id);
+    const enabled = twoFactorService.isEnabled(user);
+
+    res.json({
+      success: true,
+      enabled,
+      enabledAt: user.totp_enabled_at,
+      recoveryCodesRemaining: enabled ? RecoveryCodeModel.countUnused(user.id) : 0
+    });
+  } catch (error) {
+    log.error('Get two-factor status error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get two-factor status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enroll
+ * Start enrollment: returns the secret and an otpauth:// URI for a QR code
+ * Takes effect after POST /api/auth/2fa/confirm
+ */
+router.post('/2fa/enroll',
   authenticate,
+  requireSession,
   [
-    body('thingsboardUsername').notEmpty().withMessage('ThingsBoard username is required'),
-    body('thingsboardPassword').notEmpty().withMessage('ThingsBoard password is required')
+    body('password').notEmpty().withMessage('Password is required')
   ],
   async (req, res) => {
     try {
@@ -220,45 +649,732 @@ router.post('/thingsboard/link',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { thingsboardUsername, thingsboardPassword } = req.body;
-      const userId = req.user.id;
-
-      // Login to ThingsBoard
-      const { token } = await thingsboardService.login(thingsboardUsername, thingsboardPassword);
-      
-      if (!token) {
-        return res.status(401).json({
-          error: 'ThingsBoard authentication failed',
-          message: 'Invalid ThingsBoard credentials'
+      if (twoFactorService.isEnabled(UserModel.findById(req.user.id))) {
+        return res.status(409).json({
+          error: 'Two-factor authentication already enabled'
         });
       }
 
-      // Get ThingsBoard user info
-      const tbUser = await thingsboardService.getUserByEmail(thingsboardUsername);
-      
-      if (tbUser && tbUser.id) {
-        UserModel.updateThingsBoardMapping(
-          userId,
-          tbUser.id.id,
-          tbUser.customerId?.id || null
-        );
+      const user = reauthenticate(req, res);
+      if (!user) {
+        return;
+      }
 
-        log.auth('thingsboard_link', userId, true, { thingsboardUsername });
+      const { secret, otpauthUri } = twoFactorService.startEnrollment(user);
 
-        res.json({
-          success: true,
-          message: 'ThingsBoard account linked successfully'
-        });
-      } else {
-        res.status(500).json({
-          error: 'Failed to link ThingsBoard account',
-          message: 'Could not retrieve ThingsBoard user info'
-        });
-      }
+      AuditLogModel.log({
+        userId: user.id,
+        action: 'two_factor_enrollment_started',
+        resourceType: 'user',
+        resourceId: user.backend_user_id,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.json({
+        success: true,
+        secret,
+        otpauthUri
+      });
     } catch (error) {
-      log.error('ThingsBoard link error', { error: error.message });
+      log.error('Two-factor enrollment error', { error: error.message });
       res.status(500).json({
-        error: 'Failed to link ThingsBoard account',
+        error: 'Failed to start two-factor enrollment',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/2fa/confirm
+ * Finish enrollment with a code from the authenticator app
+ * Returns the recovery codes; they are only shown this once
+ */
+router.post('/2fa/confirm',
+  authenticate,
+  requireSession,
+  [
+    body('code').isString().notEmpty().withMessage('Code is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = UserModel.findById(req.user.id);
+
+      if (twoFactorService.isEnabled(user)) {
+        return res.status(409).json({
+          error: 'Two-factor authentication already enabled'
+        });
+      }
+
+      if (!user.totp_secret) {
+        return res.status(400).json({
+          error: 'No enrollment pending',
+          message: 'Start with POST /api/auth/2fa/enroll'
+        });
+      }
+
+      const recoveryCodes = twoFactorService.confirmEnrollment(user, req.body.code);
+
+      AuditLogModel.log({
+        userId: user.id,
+        action: recoveryCodes ? 'two_factor_enabled' : 'two_factor_failed',
+        resourceType: 'user',
+        resourceId: user.backend_user_id,
+        details: recoveryCodes ? null : { context: 'enrollment' },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      if (!recoveryCodes) {
+        return res.status(400).json({
+          error: 'Invalid code',
+          message: 'The code does not match; check the time on your device'
+        });
+      }
+
+      res.json({
+        success: true,
+        recoveryCodes
+      });
+    } catch (error) {
+      log.error('Two-factor confirmation error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to enable two-factor authentication',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes (password and a current code required)
+ */
+router.post('/2fa/recovery-codes',
+  authenticate,
+  requireSession,
+  [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').isString().notEmpty().withMessage('Code is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const current = UserModel.findById(req.user.id);
+      if (!twoFactorService.isEnabled(current)) {
+        return res.status(400).json({
+          error: 'Two-factor authentication not enabled'
+        });
+      }
+
+      const user = reauthenticate(req, res);
+      if (!user) {
+        return;
+      }
+
+      const recoveryCodes = twoFactorService.regenerateRecoveryCodes(user.id);
+
+      AuditLogModel.log({
+        userId: user.id,
+        action: 'two_factor_recovery_codes_regenerated',
+        resourceType: 'user',
+        resourceId: user.backend_user_id,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.json({
+        success: true,
+        recoveryCodes
+      });
+    } catch (error) {
+      log.error('Recovery code regeneration error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to regenerate recovery codes',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn off two-factor authentication (password and a current code required)
+ */
+router.post('/2fa/disable',
+  authenticate,
+  requireSession,
+  [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').isString().notEmpty().withMessage('Code is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const current = UserModel.findById(req.user.id);
+      if (!twoFactorService.isEnabled(current)) {
+        return res.status(400).json({
+          error: 'Two-factor authentication not enabled'
+        });
+      }
+
+      const user = reauthenticate(req, res);
+      if (!user) {
+        return;
+      }
+
+      twoFactorService.disable(user.id);
+
+      AuditLogModel.log({
+        userId: user.id,
+        action: 'two_factor_disabled',
+        resourceType: 'user',
+        resourceId: user.backend_user_id,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      log.error('Two-factor disable error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to disable two-factor authentication',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/auth/account/export
+ * Download the user's personal data as JSON
+ */
+router.get('/account/export', authenticate, requireSession, async (req, res) => {
+  try {
+    const user = UserModel.findById(req.user.id);
+    const data = accountDataService.export(user);
+
+    AuditLogModel.log({
+      userId: user.id,
+      action: 'account_exported',
+      resourceType: 'user',
+      resourceId: user.backend_user_id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.attachment(`account-${user.backend_user_id}.json`);
+    res.json(data);
+  } catch (error) {
+    log.error('Account export error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to export account data',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/account/deletion
+ * Scheduled account deletion, if any
+ */
+router.get('/account/deletion', authenticate, requireSession, async (req, res) => {
+  try {
+    const user = UserModel.findById(req.user.id);
+
+    res.json({
+      success: true,
+      scheduled: Boolean(user.deletion_scheduled_at),
+      requestedAt: user.deletion_requested_at,
+      scheduledAt: user.deletion_scheduled_at,
+      devices: user.deletion_device_action
+    });
+  } catch (error) {
+    log.error('Get account deletion error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get account deletion',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/account/deletion
+ * Schedule account deletion (password, and code with two-factor authentication)
+ * Signs out everywhere and disconnects linked accounts now; the account is
+ * purged after the grace period unless the user signs in and cancels
+ * devices: 'delete' (default) or 'release' the ThingsBoard devices
+ */
+router.post('/account/deletion',
+  authenticate,
+  requireSession,
+  [
+    body('devices').optional().isIn(DELETION_DEVICE_ACTIONS).withMessage(`Devices must be one of: ${DELETION_DEVICE_ACTIONS.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = reauthenticate(req, res);
+      if (!user) {
+        return;
+      }
+
+      if (user.deletion_scheduled_at) {
+        return res.status(409).json({
+          error: 'Account deletion already scheduled',
+          scheduledAt: user.deletion_scheduled_at
+        });
+      }
+
+      const deviceAction = req.body.devices || 'delete';
+      const result = accountDataService.requestDeletion(user, deviceAction);
+
+      AuditLogModel.log({
+        userId: user.id,
+        action: 'account_deletion_requested',
+        resourceType: 'user',
+        resourceId: user.backend_user_id,
+        details: { ...result, deviceAction },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.status(202).json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      log.error('Account deletion request error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to schedule account deletion',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/auth/account/deletion
+ * Cancel scheduled account deletion
+ * Linked accounts stay disconnected and have to be linked again
+ */
+router.delete('/account/deletion', authenticate, requireSession, async (req, res) => {
+  try {
+    const user = UserModel.findById(req.user.id);
+
+    if (!accountDataService.cancelDeletion(user)) {
+      return res.status(404).json({
+        error: 'No account deletion scheduled'
+      });
+    }
+
+    AuditLogModel.log({
+      userId: user.id,
+      action: 'account_deletion_cancelled',
+      resourceType: 'user',
+      resourceId: user.backend_user_id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    log.error('Cancel account deletion error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to cancel account deletion',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/email/verification
+ * Send (again) a verification link to the user's email address
+ */
+router.post('/email/verification', authenticate, requireSession, async (req, res) => {
+  try {
+    const user = UserModel.findById(req.user.id);
+
+    if (!user || !user.email) {
+      return res.status(400).json({
+        error: 'No email address',
+        message: 'The account has no email address'
+      });
+    }
+
+    if (user.email_verified_at) {
+      return res.status(400).json({
+        error: 'Email already verified'
+      });
+    }
+
+    await accountService.sendVerificationEmail(user, selectLocale(req));
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    log.error('Send verification email error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to send verification email',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/email/verify
+ * Confirm an email address with the token from the verification link
+ */
+router.post('/email/verify',
+  [
+    body('token').isString().notEmpty().withMessage('Token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = accountService.verifyEmail(req.body.token);
+      if (!user) {
+        return res.status(400).json({
+          error: 'Invalid token',
+          message: 'The verification link is invalid or has expired'
+        });
+      }
+
+      AuditLogModel.log({
+        userId: user.id,
+        action: 'email_verified',
+        resourceType: 'user',
+        resourceId: user.backend_user_id,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.json({
+        success: true,
+        message: 'Email verified'
+      });
+    } catch (error) {
+      log.error('Email verification error', { error: error.message });
+      res.status(500).json({
+        error: 'Email verification failed',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/password/forgot
+ * Email a password reset link
+ * Always answers the same, so it does not reveal which addresses have accounts
+ */
+router.post('/password/forgot',
+  [
+    body('email').isEmail().withMessage('Valid email is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+
+    // Not awaited: the response time must not depend on the address
+    accountService.requestPasswordReset(email, selectLocale(req))
+      .then(user => {
+        if (user) {
+          AuditLogModel.log({
+            userId: user.id,
+            action: 'password_reset_requested',
+            resourceType: 'user',
+            resourceId: user.backend_user_id,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+          });
+        }
+      })
+      .catch(error => {
+        log.error('Password reset email error', { error: error.message });
+      });
+
+    res.json({
+      success: true,
+      message: 'If an account uses this address, a reset link has been sent'
+    });
+  }
+);
+
+/**
+ * POST /api/auth/password/reset
+ * Set a new password with the token from the reset link
+ * Ends all app sessions and revokes personal access tokens unless
+ * revokeSessions is false; unlinkAccounts: true
+ * also disconnects Google and other linked accounts
+ */
+router.post('/password/reset',
+  [
+    body('token').isString().notEmpty().withMessage('Token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('revokeSessions').optional().isBoolean().withMessage('revokeSessions must be a boolean').toBoolean(),
+    body('unlinkAccounts').optional().isBoolean().withMessage('unlinkAccounts must be a boolean').toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, password, revokeSessions = true, unlinkAccounts = false } = req.body;
+
+      const result = accountService.resetPassword(token, password, { revokeSessions, unlinkAccounts });
+
+      if (!result) {
+        return res.status(400).json({
+          error: 'Invalid token',
+          message: 'The reset link is invalid or has expired'
+        });
+      }
+
+      AuditLogModel.log({
+        userId: result.user.id,
+        action: 'password_reset',
+        resourceType: 'user',
+        resourceId: result.user.backend_user_id,
+        details: { revokedSessions: result.revokedSessions, revokedTokens: result.revokedTokens, unlinkedAccounts: result.unlinkedAccounts },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      log.auth('password_reset', result.user.id, true, {});
+
+      res.json({
+        success: true,
+        revokedSessions: result.revokedSessions,
+        revokedTokens: result.revokedTokens,
+        unlinkedAccounts: result.unlinkedAccounts
+      });
+    } catch (error) {
+      log.error('Password reset error', { error: error.message });
+      res.status(500).json({
+        error: 'Password reset failed',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/thingsboard/link
+ * Link user to ThingsBoard account
+ */
+router.post('/thingsboard/link',
+  authenticate,
+  requireSession,
+  [
+    body('thingsboardUsername').notEmpty().withMessage('ThingsBoard username is required'),
+    body('thingsboardPassword').notEmpty().withMessage('ThingsBoard password is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { thingsboardUsername, thingsboardPassword } = req.body;
+      const userId = req.user.id;
+
+      // Login to ThingsBoard
+      const { token } = await thingsboardService.login(thingsboardUsername, thingsboardPassword);
+      
+      if (!token) {
+        return res.status(401).json({
+          error: 'ThingsBoard authentication failed',
+          message: 'Invalid ThingsBoard credentials'
+        });
+      }
+
+      // Get ThingsBoard user info
+      const tbUser = await thingsboardService.getUserByEmail(thingsboardUsername);
+      
+      if (tbUser && tbUser.id) {
+        UserModel.updateThingsBoardMapping(
+          userId,
+          tbUser.id.id,
+          tbUser.customerId?.id || null
+        );
+
+        log.auth('thingsboard_link', userId, true, { thingsboardUsername });
+
+        res.json({
+          success: true,
+          message: 'ThingsBoard account linked successfully'
+        });
+      } else {
+        res.status(500).json({
+          error: 'Failed to link ThingsBoard account',
+          message: 'Could not retrieve ThingsBoard user info'
+        });
+      }
+    } catch (error) {
+      log.error('ThingsBoard link error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to link ThingsBoard account',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * Format account link for API responses (never includes tokens)
+ */
+const formatAccountLink = (link) => {
+  const client = link.client_id ? OAuthClientModel.findByClientId(link.client_id) : null;
+
+  return {
+    agentUserId: link.google_agent_user_id,
+    clientId: link.client_id,
+    clientName: client ? client.name : null,
+    provider: client ? client.provider : 'google',
+    sharedDevices: link.shared_devices || null,
+    linkedAt: link.linked_at,
+    lastSyncAt: link.last_sync_at
+  };
+};
+
+/**
+ * GET /api/auth/links
+ * List the user's linked accounts and the devices shared with each
+ * sharedDevices null means all devices, including ones added later
+ */
+router.get('/links', authenticate, requireScope('account:read'), async (req, res) => {
+  try {
+    const links = GoogleAccountLinkModel.findAllByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      links: links.map(formatAccountLink)
+    });
+  } catch (error) {
+    log.error('List account links error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list account links',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/auth/links/:agentUserId/devices
+ * Change the devices shared through a linked account
+ * Send devices: null to share all devices, including ones added later
+ */
+router.put('/links/:agentUserId/devices',
+  authenticate,
+  requireSession,
+  [
+    body('devices').custom(value => value === null || Array.isArray(value)).withMessage('Devices must be an array or null'),
+    body('devices.*').isString().withMessage('Device UUIDs must be strings')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { agentUserId } = req.params;
+      const userId = req.user.id;
+
+      const link = GoogleAccountLinkModel.findByAgentUserId(agentUserId);
+      if (!link) {
+        return res.status(404).json({
+          error: 'Account link not found'
+        });
+      }
+
+      if (link.user_id !== userId) {
+        return res.status(403).json({
+          error: 'Access denied'
+        });
+      }
+
+      let sharedDevices = null;
+      if (req.body.devices !== null) {
+        const accessibleDevices = new Set(householdService.getAccessibleDevices(userId).map(device => device.device_uuid));
+        sharedDevices = [...new Set(req.body.devices)];
+
+        const unknown = sharedDevices.filter(deviceUuid => !accessibleDevices.has(deviceUuid));
+        if (unknown.length > 0) {
+          return res.status(400).json({
+            error: 'Device not found',
+            message: `Unknown devices: ${unknown.join(', ')}`
+          });
+        }
+      }
+
+      GoogleAccountLinkModel.updateSharedDevices(agentUserId, sharedDevices);
+
+      AuditLogModel.log({
+        userId,
+        action: 'account_link_devices_updated',
+        resourceType: 'account_link',
+        resourceId: agentUserId,
+        details: { sharedDevices },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      const updated = formatAccountLink(GoogleAccountLinkModel.findByAgentUserId(agentUserId));
+
+      // Let Google pick up added and removed devices
+      if (updated.provider === 'google') {
+        homegraphService.requestSync(agentUserId).catch(error => {
+          log.error('HomeGraph requestSync error', { agentUserId, error: error.message });
+        });
+      }
+
+      res.json({
+        success: true,
+        link: updated
+      });
+    } catch (error) {
+      log.error('Update shared devices error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to update shared devices',
         message: error.message
       });
     }
@@ -1,24 +1,73 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import { v4 as uuidv4 } from 'uuid';
-import { UserModel, DeviceModel, AuditLogModel } from '../database/models.js';
+import { body, query, validationResult } from 'express-validator';
+import { UserModel, DeviceModel, HouseholdModel, HouseholdMemberModel, DevicePermissionModel, DeviceClaimModel, ProvisioningRequestModel, AuditLogModel } from '../database/models.js';
 import thingsboardService from '../services/thingsboard.service.js';
-import { authenticate, generateToken } from '../middleware/auth.js';
+import homegraphService from '../services/homegraph.service.js';
+import profileService from '../services/profile.service.js';
+import householdService from '../services/household.service.js';
+import accessTokenService from '../services/accessToken.service.js';
+import deviceClaimService from '../services/deviceClaim.service.js';
+import provisioningService, { PROVISIONING_STATUS } from '../services/provisioning.service.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
 import { log } from '../utils/logger.js';
+import { getDeviceChannels, getChannelTelemetryKeys } from '../utils/channels.js';
 
 const router = express.Router();
 
+/**
+ * Find the household a new device should be shared with
+ * The user must belong to it, not as guest
+ * @returns {Object|null|false} null without householdId, false after sending 403
+ */
+const findTargetHousehold = (req, res, householdId) => {
+  if (!householdId) {
+    return null;
+  }
+
+  const household = HouseholdModel.findByUuid(householdId);
+  const membership = household && HouseholdMemberModel.find(household.id, req.user.id);
+
+  if (!membership || membership.role === 'guest') {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'Not allowed to add devices to this household'
+    });
+    return false;
+  }
+  return household;
+};
+
+/**
+ * Optional hardware ID (e.g. chip ID or MAC address) that makes retries idempotent
+ */
+const hardwareIdValidation = body('hardwareId').optional().isString().trim().isLength({ min: 1, max: 128 })
+  .withMessage('Hardware ID must be 1-128 characters');
+
+/**
+ * MQTT connection details for provisioned devices
+ */
+const mqttSettings = () => ({
+  thingsboardUrl: process.env.THINGSBOARD_URL,
+  mqttServer: process.env.THINGSBOARD_URL.replace(/^https?:\/\//, ''),
+  mqttPort: 1883
+});
+
 /**
  * POST /api/device/register
  * Device auto-provisioning endpoint
  * Called by ESP32 on first boot
+ * Optional householdId shares the device with a household the user belongs to
+ * (not as guest); with hardwareId, a retry after success returns the same device
  */
 router.post('/register',
   authenticate,
+  requireScope('devices:write'),
   [
     body('deviceName').notEmpty().withMessage('Device name is required'),
     body('deviceType').notEmpty().withMessage('Device type is required'),
-    body('capabilities').isArray().withMessage('Capabilities must be an array')
+    body('capabilities').isArray().withMessage('Capabilities must be an array'),
+    body('householdId').optional().isUUID().withMessage('Household ID must be a UUID'),
+    hardwareIdValidation
   ],
   async (req, res) => {
     try {
@@ -28,58 +77,74 @@ router.post('/register',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { deviceName, deviceType, capabilities, deviceLabel, deviceConfig } = req.body;
+      const { deviceName, deviceType, capabilities, deviceLabel, deviceConfig, householdId, hardwareId } = req.body;
       const userId = req.user.id;
 
-      log.device('provision_start', null, userId, { deviceName, deviceType });
-
-      // Generate device UUID
-      const deviceUuid = uuidv4();
+      const household = findTargetHousehold(req, res, householdId);
+      if (household === false) {
+        return;
+      }
 
-      // Create device in ThingsBoard
-      const tbDevice = await thingsboardService.createDevice(deviceName, deviceType, deviceLabel);
-      
-      if (!tbDevice || !tbDevice.id || !tbDevice.id.id) {
-        log.error('ThingsBoard device creation failed', { deviceName, deviceType });
-        return res.status(500).json({
-          error: 'Device provisioning failed',
-          message: 'Failed to create device in ThingsBoard'
+      // Retries of a device that sends its hardware ID get the same device
+      const previous = hardwareId ? await provisioningService.findPrevious(hardwareId) : null;
+      if (previous && provisioningService.isInProgress(previous)) {
+        return res.status(409).json({
+          error: 'Provisioning in progress',
+          requestId: previous.request_id
         });
       }
 
-      const thingsboardDeviceId = tbDevice.id.id;
-
-      // Get device credentials (access token)
-      const credentials = await thingsboardService.getDeviceCredentials(thingsboardDeviceId);
-      
-      if (!credentials || !credentials.credentialsId) {
-        log.error('Failed to get device credentials', { thingsboardDeviceId });
-        return res.status(500).json({
-          error: 'Device provisioning failed',
-          message: 'Failed to get device access token'
+      const existing = previous && previous.status === PROVISIONING_STATUS.COMPLETED
+        ? DeviceModel.findByUuid(previous.device_uuid)
+        : null;
+      if (existing && existing.owner_user_id !== userId) {
+        return res.status(409).json({
+          error: 'Device already registered',
+          message: 'This hardware is registered to another account'
         });
       }
-
-      const accessToken = credentials.credentialsId;
-
-      // Get user's ThingsBoard customer ID
-      const user = UserModel.findByBackendUserId(req.user.backendUserId);
-      if (user && user.thingsboard_customer_id) {
-        // Assign device to customer
-        await thingsboardService.assignDeviceToCustomer(thingsboardDeviceId, user.thingsboard_customer_id);
+      if (existing) {
+        log.device('provision_retry', existing.device_uuid, userId, { requestId: previous.request_id });
+        return res.json({
+          success: true,
+          existing: true,
+          requestId: previous.request_id,
+          device: {
+            deviceUuid: existing.device_uuid,
+            deviceName: existing.device_name,
+            deviceType: existing.device_type,
+            accessToken: existing.access_token,
+            ...mqttSettings()
+          }
+        });
       }
 
-      // Store device in database
-      const device = DeviceModel.create({
-        deviceUuid,
-        thingsboardDeviceId,
+      const user = UserModel.findById(userId);
+
+      const { requestId, deviceUuid, thingsboardDeviceId, accessToken } = await provisioningService.run({
+        userId,
+        hardwareId,
+        requestData: { deviceName, deviceType, deviceLabel, capabilities, deviceConfig, householdId: householdId || null },
         deviceName,
         deviceType,
-        ownerUserId: userId,
-        accessToken,
-        capabilities,
-        deviceLabel,
-        deviceConfig
+        deviceLabel
+      }, async ({ deviceUuid, thingsboardDeviceId, accessToken }) => {
+        if (user.thingsboard_customer_id) {
+          await thingsboardService.assignDeviceToCustomer(thingsboardDeviceId, user.thingsboard_customer_id);
+        }
+
+        return DeviceModel.create({
+          deviceUuid,
+          thingsboardDeviceId,
+          deviceName,
+          deviceType,
+          ownerUserId: userId,
+          accessToken,
+          capabilities,
+          deviceLabel,
+          deviceConfig,
+          householdId: household ? household.id : null
+        });
       });
 
       // Audit log
@@ -88,32 +153,300 @@ router.post('/register',
         action: 'device_provisioned',
         resourceType: 'device',
         resourceId: deviceUuid,
-        details: { deviceName, deviceType, thingsboardDeviceId },
+        details: { deviceName, deviceType, thingsboardDeviceId, householdId: householdId || null, requestId },
         ipAddress: req.ip,
         userAgent: req.get('user-agent')
       });
 
-      log.device('provision_success', deviceUuid, userId, { 
-        thingsboardDeviceId,
-        deviceName 
-      });
+      // Let linked Google accounts (owner and household members) pick up the new device
+      homegraphService.requestSyncForDevice(DeviceModel.findByUuid(deviceUuid));
 
       res.status(201).json({
         success: true,
+        requestId,
         device: {
           deviceUuid,
           deviceName,
           deviceType,
           accessToken, // ESP32 needs this for MQTT
-          thingsboardUrl: process.env.THINGSBOARD_URL,
-          mqttServer: process.env.THINGSBOARD_URL.replace(/^https?:\/\//, ''),
-          mqttPort: 1883
+          ...mqttSettings()
         }
       });
     } catch (error) {
       log.error('Device provisioning error', { error: error.message, stack: error.stack });
       res.status(500).json({
         error: 'Device provisioning failed',
+        message: error.message,
+        requestId: error.requestId
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/device/provision
+ * Claim-code provisioning, called by factory-flashed panels on first boot
+ * Authenticated by the batch's provisioning key instead of a user; returns
+ * the MQTT access token and a claim code for the user
+ * Panels that send a hardwareId should also send a random retrySecret they
+ * keep; only a retry with the same secret gets the token and a new claim code
+ */
+router.post('/provision',
+  [
+    body('provisioningKey').isString().notEmpty().withMessage('Provisioning key is required'),
+    body('deviceName').notEmpty().withMessage('Device name is required'),
+    body('deviceType').notEmpty().withMessage('Device type is required'),
+    body('capabilities').isArray().withMessage('Capabilities must be an array'),
+    hardwareIdValidation,
+    body('retrySecret').optional().isString().isLength({ min: 16, max: 256 })
+      .withMessage('Retry secret must be 16-256 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { provisioningKey, deviceName, deviceType, capabilities, deviceLabel, deviceConfig, hardwareId, retrySecret } = req.body;
+
+      const batch = deviceClaimService.authenticateKey(provisioningKey);
+      if (!batch) {
+        log.warn('Invalid provisioning key', { ip: req.ip });
+        return res.status(401).json({
+          error: 'Invalid provisioning key'
+        });
+      }
+
+      // Retries of a panel that sends its hardware ID and retry secret get the
+      // same device and a new claim code
+      const previous = hardwareId ? await provisioningService.findPrevious(hardwareId) : null;
+      if (previous && provisioningService.isInProgress(previous)) {
+        return res.status(409).json({
+          error: 'Provisioning in progress',
+          requestId: previous.request_id
+        });
+      }
+
+      if (previous && previous.status === PROVISIONING_STATUS.COMPLETED) {
+        const previousClaim = DeviceClaimModel.findByDeviceUuid(previous.device_uuid);
+
+        if (previousClaim && !previousClaim.claimed_at && previousClaim.batch_id === batch.id) {
+          // Without proof the caller may not be the panel: no token, and the code it shows stays valid
+          if (!deviceClaimService.verifyRetrySecret(previousClaim, retrySecret)) {
+            log.warn('Provisioning retry without valid retry secret', {
+              deviceUuid: previousClaim.device_uuid,
+              requestId: previous.request_id,
+              ip: req.ip
+            });
+            return res.status(409).json({
+              error: 'Device already provisioned',
+              message: 'This hardware is already provisioned; retry with the retry secret of the first attempt',
+              requestId: previous.request_id
+            });
+          }
+
+          const renewed = deviceClaimService.renewClaimCode(previousClaim);
+          if (renewed) {
+            log.device('provision_retry', previousClaim.device_uuid, null, { requestId: previous.request_id });
+            return res.json({
+              success: true,
+              existing: true,
+              requestId: previous.request_id,
+              device: {
+                deviceUuid: previousClaim.device_uuid,
+                deviceName: previousClaim.device_name,
+                deviceType: previousClaim.device_type,
+                accessToken: previousClaim.access_token,
+                ...mqttSettings()
+              },
+              claimCode: renewed.claimCode,
+              claimCodeExpiresAt: renewed.expiresAt
+            });
+          }
+        }
+
+        // Claimed or registered devices are only provisioned again once deleted
+        if ((previousClaim && !previousClaim.claimed_at) || DeviceModel.findByUuid(previous.device_uuid)) {
+          return res.status(409).json({
+            error: 'Device already registered',
+            message: 'This hardware is already registered; delete it from its account first'
+          });
+        }
+      }
+
+      if (!deviceClaimService.hasCapacity(batch)) {
+        return res.status(403).json({
+          error: 'Provisioning batch is full',
+          message: `Batch ${batch.name} allows ${batch.max_devices} devices`
+        });
+      }
+
+      const { claim, claimCode, requestId } = await deviceClaimService.provision(batch, {
+        hardwareId,
+        retrySecret,
+        deviceName,
+        deviceType,
+        deviceLabel,
+        capabilities,
+        deviceConfig
+      });
+
+      AuditLogModel.log({
+        action: 'device_provisioned_unclaimed',
+        resourceType: 'device',
+        resourceId: claim.device_uuid,
+        details: { batchId: batch.batch_id, deviceName, deviceType, thingsboardDeviceId: claim.thingsboard_device_id, requestId },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.status(201).json({
+        success: true,
+        requestId,
+        device: {
+          deviceUuid: claim.device_uuid,
+          deviceName,
+          deviceType,
+          accessToken: claim.access_token,
+          ...mqttSettings()
+        },
+        claimCode,
+        claimCodeExpiresAt: claim.claim_expires_at
+      });
+    } catch (error) {
+      log.error('Device provisioning error', { error: error.message, stack: error.stack });
+      res.status(500).json({
+        error: 'Device provisioning failed',
+        message: error.message,
+        requestId: error.requestId
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/device/claim-code
+ * New claim code for an unclaimed panel whose code expired
+ * Authenticated by the device's own access token
+ */
+router.post('/claim-code',
+  [
+    body('deviceUuid').isUUID().withMessage('Device UUID is required'),
+    body('accessToken').isString().notEmpty().withMessage('Access token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Once claimed, the access token is kept with the device only
+      const claim = DeviceClaimModel.findByDeviceUuid(req.body.deviceUuid);
+      const accessToken = claim && (claim.claimed_at
+        ? DeviceModel.findByUuid(claim.device_uuid)?.access_token
+        : claim.access_token);
+
+      if (!accessToken || accessToken !== req.body.accessToken) {
+        return res.status(401).json({
+          error: 'Invalid device credentials'
+        });
+      }
+
+      const renewed = !claim.claimed_at && deviceClaimService.renewClaimCode(claim);
+      if (!renewed) {
+        return res.status(409).json({
+          error: 'Device already claimed'
+        });
+      }
+
+      res.json({
+        success: true,
+        claimCode: renewed.claimCode,
+        claimCodeExpiresAt: renewed.expiresAt
+      });
+    } catch (error) {
+      log.error('Renew claim code error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to renew claim code',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/device/claim
+ * Claim a panel provisioned with a claim code: the user becomes its owner
+ * Optional deviceName renames it, householdId shares it as with register
+ */
+router.post('/claim',
+  authenticate,
+  requireScope('devices:write'),
+  [
+    body('claimCode').isString().notEmpty().withMessage('Claim code is required'),
+    body('deviceName').optional().isString().notEmpty().withMessage('Device name must not be empty'),
+    body('householdId').optional().isUUID().withMessage('Household ID must be a UUID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const household = findTargetHousehold(req, res, req.body.householdId);
+      if (household === false) {
+        return;
+      }
+
+      const claim = deviceClaimService.findClaimable(req.body.claimCode);
+      if (!claim) {
+        log.device('claim_failed', null, req.user.id, { reason: 'invalid_claim_code' });
+        return res.status(404).json({
+          error: 'Invalid claim code',
+          message: 'The claim code is unknown, expired or already used'
+        });
+      }
+
+      const user = UserModel.findById(req.user.id);
+      const device = await deviceClaimService.claim(claim, user, {
+        deviceName: req.body.deviceName,
+        household
+      });
+
+      if (!device) {
+        return res.status(409).json({
+          error: 'Device already claimed'
+        });
+      }
+
+      AuditLogModel.log({
+        userId: req.user.id,
+        action: 'device_claimed',
+        resourceType: 'device',
+        resourceId: device.device_uuid,
+        details: { deviceName: device.device_name, thingsboardDeviceId: device.thingsboard_device_id, householdId: req.body.householdId || null },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.status(201).json({
+        success: true,
+        device: {
+          deviceUuid: device.device_uuid,
+          deviceName: device.device_name,
+          deviceType: device.device_type,
+          deviceLabel: device.device_label,
+          capabilities: device.capabilities,
+          householdId: req.body.householdId || null
+        }
+      });
+    } catch (error) {
+      log.error('Device claim error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to claim device',
         message: error.message
       });
     }
@@ -122,12 +455,18 @@ router.post('/register',
 
 /**
  * GET /api/device/list
- * List all devices for authenticated user
+ * List all devices the authenticated user can access: own devices and
+ * household devices the user may at least view
  */
-router.get('/list', authenticate, async (req, res) => {
+router.get('/list', authenticate, requireScope('devices:read'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const devices = DeviceModel.findByOwner(userId);
+
+    // Access tokens limited to some devices only list those
+    const allowed = accessTokenService.scopeResources(req.user.scopes, 'devices:read');
+    const devices = householdService.getAccessibleDevices(userId)
+      .filter(device => !allowed || allowed.has(device.device_uuid));
+    const households = new Map(HouseholdModel.findByUserId(userId).map(h => [h.id, h.household_uuid]));
 
     res.json({
       success: true,
@@ -139,7 +478,10 @@ router.get('/list', authenticate, async (req, res) => {
         capabilities: d.capabilities,
         isOnline: d.is_online === 1,
         lastSeen: d.last_seen_at,
-        provisionedAt: d.provisioned_at
+        provisionedAt: d.provisioned_at,
+        owned: d.owner_user_id === userId,
+        householdId: households.get(d.household_id) || null,
+        permission: d.permission
       }))
     });
   } catch (error) {
@@ -151,11 +493,98 @@ router.get('/list', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/device/provisioning-requests
+ * The user's provisioning attempts, newest first
+ * Query: status, hardwareId, deviceUuid, limit, offset
+ */
+router.get('/provisioning-requests',
+  authenticate,
+  requireScope('devices:read'),
+  [
+    query('status').optional().isIn(Object.values(PROVISIONING_STATUS)).withMessage('Unknown status'),
+    query('hardwareId').optional().isString(),
+    query('deviceUuid').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100').toInt(),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or more').toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { status, hardwareId, deviceUuid, limit = 20, offset = 0 } = req.query;
+      const { requests, total } = ProvisioningRequestModel.search({
+        status: status || null,
+        userId: req.user.id,
+        hardwareId: hardwareId || null,
+        deviceUuid: deviceUuid || null,
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        requests: requests.map(request => ({
+          requestId: request.request_id,
+          deviceUuid: request.device_uuid,
+          hardwareId: request.hardware_id,
+          status: request.status,
+          requestData: request.request_data,
+          errorMessage: request.error_message,
+          createdAt: request.created_at,
+          updatedAt: request.updated_at,
+          completedAt: request.completed_at
+        })),
+        total,
+        limit,
+        offset
+      });
+    } catch (error) {
+      log.error('List provisioning requests error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to list provisioning requests',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/device/profiles
+ * List device profiles (capability to Google trait mappings)
+ */
+router.get('/profiles', authenticate, requireScope('devices:read'), async (req, res) => {
+  try {
+    const profiles = profileService.list();
+
+    res.json({
+      success: true,
+      defaultProfile: profileService.defaultProfileName,
+      profiles: profiles.map(p => ({
+        name: p.name,
+        description: p.description,
+        capabilities: Object.keys(p.definition.capabilities),
+        source: p.source,
+        updatedAt: p.updated_at
+      }))
+    });
+  } catch (error) {
+    log.error('List profiles error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list profiles',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/device/:deviceUuid
  * Get device details
  */
-router.get('/:deviceUuid', authenticate, async (req, res) => {
+router.get('/:deviceUuid', authenticate, requireScope('devices:read', 'deviceUuid'), async (req, res) => {
   try {
     const { deviceUuid } = req.params;
     const userId = req.user.id;
@@ -168,8 +597,9 @@ router.get('/:deviceUuid', authenticate, async (req, res) => {
       });
     }
 
-    // Check ownership
-    if (device.owner_user_id !== userId) {
+    // Check permission
+    const permission = householdService.getDevicePermission(userId, device);
+    if (!permission) {
       return res.status(403).json({
         error: 'Access denied'
       });
@@ -178,7 +608,7 @@ router.get('/:deviceUuid', authenticate, async (req, res) => {
     // Get real-time data from ThingsBoard
     const telemetry = await thingsboardService.getLatestTelemetry(
       device.thingsboard_device_id,
-      ['device1_state', 'device2_state', 'device3_state', 'device4_state', 'fan_speed']
+      [...new Set(getDeviceChannels(device).flatMap(getChannelTelemetryKeys))]
     );
 
     const attributes = await thingsboardService.getDeviceAttributes(
@@ -197,6 +627,8 @@ router.get('/:deviceUuid', authenticate, async (req, res) => {
         isOnline: device.is_online === 1,
         lastSeen: device.last_seen_at,
         provisionedAt: device.provisioned_at,
+        owned: device.owner_user_id === userId,
+        permission,
         telemetry,
         attributes
       }
@@ -212,9 +644,9 @@ router.get('/:deviceUuid', authenticate, async (req, res) => {
 
 /**
  * DELETE /api/device/:deviceUuid
- * Delete device
+ * Delete device (manage permission)
  */
-router.delete('/:deviceUuid', authenticate, async (req, res) => {
+router.delete('/:deviceUuid', authenticate, requireScope('devices:write', 'deviceUuid'), async (req, res) => {
   try {
     const { deviceUuid } = req.params;
     const userId = req.user.id;
@@ -227,15 +659,19 @@ router.delete('/:deviceUuid', authenticate, async (req, res) => {
       });
     }
 
-    // Check ownership
-    if (device.owner_user_id !== userId) {
+    // Check permission
+    if (!householdService.hasDevicePermission(userId, device, 'manage')) {
       return res.status(403).json({
         error: 'Access denied'
       });
     }
 
+    // Everyone who could see the device, looked up before it is gone
+    const affectedUsers = householdService.getUsersWithAccess(device);
+
     // Soft delete in database
     DeviceModel.delete(deviceUuid);
+    DevicePermissionModel.removeForDevice(deviceUuid);
 
     // Audit log
     AuditLogModel.log({
@@ -249,6 +685,9 @@ router.delete('/:deviceUuid', authenticate, async (req, res) => {
 
     log.device('delete', deviceUuid, userId);
 
+    // Let linked Google accounts drop the device
+    homegraphService.requestSyncForUsers(affectedUsers);
+
     res.json({
       success: true,
       message: 'Device deleted successfully'
@@ -264,10 +703,11 @@ router.delete('/:deviceUuid', authenticate, async (req, res) => {
 
 /**
  * POST /api/device/:deviceUuid/control
- * Send control command to device via RPC
+ * Send control command to device via RPC (control permission)
  */
 router.post('/:deviceUuid/control',
   authenticate,
+  requireScope('devices:control', 'deviceUuid'),
   [
     body('method').notEmpty().withMessage('Method is required'),
     body('params').isObject().withMessage('Params must be an object')
@@ -291,8 +731,8 @@ router.post('/:deviceUuid/control',
         });
       }
 
-      // Check ownership
-      if (device.owner_user_id !== userId) {
+      // Check permission
+      if (!householdService.hasDevicePermission(userId, device, 'control')) {
         return res.status(403).json({
           error: 'Access denied'
         });
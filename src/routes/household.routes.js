@@ -0,0 +1,707 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import {
+  UserModel,
+  DeviceModel,
+  HouseholdModel,
+  HouseholdMemberModel,
+  DevicePermissionModel,
+  AuditLogModel
+} from '../database/models.js';
+import householdService, { DEVICE_PERMISSIONS } from '../services/household.service.js';
+import homegraphService from '../services/homegraph.service.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
+import { log } from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Roles that can be given to members; there is one owner, the creator
+const ASSIGNABLE_ROLES = ['admin', 'member', 'guest'];
+
+/**
+ * Format household for API responses
+ */
+const formatHousehold = (household, role) => ({
+  householdId: household.household_uuid,
+  name: household.name,
+  role,
+  createdAt: household.created_at,
+  updatedAt: household.updated_at
+});
+
+/**
+ * Format household member for API responses
+ */
+const formatMember = (member) => ({
+  backendUserId: member.backend_user_id,
+  username: member.username,
+  email: member.email,
+  role: member.role,
+  joinedAt: member.created_at
+});
+
+/**
+ * Load the household of the request and the user's membership
+ * @returns {{ household, membership }|null} null after sending 404 or 403
+ */
+const loadHousehold = (req, res) => {
+  const household = HouseholdModel.findByUuid(req.params.householdId);
+  if (!household) {
+    res.status(404).json({
+      error: 'Household not found'
+    });
+    return null;
+  }
+
+  const membership = HouseholdMemberModel.find(household.id, req.user.id);
+  if (!membership) {
+    res.status(403).json({
+      error: 'Access denied'
+    });
+    return null;
+  }
+
+  return { household, membership };
+};
+
+/**
+ * Check that a member may give `role` to (or change the role of) a member
+ * with `targetRole`: owners manage admins and below, admins manage members and guests
+ */
+const canChangeRole = (actorRole, targetRole, role) => {
+  if (actorRole === 'owner') {
+    return targetRole !== 'owner' && ASSIGNABLE_ROLES.includes(role);
+  }
+  if (actorRole === 'admin') {
+    return !['owner', 'admin'].includes(targetRole) && ['member', 'guest'].includes(role);
+  }
+  return false;
+};
+
+const audit = (req, action, resourceType, resourceId, details = null) => {
+  AuditLogModel.log({
+    userId: req.user.id,
+    action,
+    resourceType,
+    resourceId,
+    details,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+};
+
+/**
+ * POST /api/household
+ * Create household; the creator becomes its owner
+ */
+router.post('/', requireScope('households:write'),
+  [
+    body('name').isString().trim().notEmpty().withMessage('Household name is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const household = HouseholdModel.create({ name: req.body.name, createdBy: req.user.id });
+
+      audit(req, 'household_created', 'household', household.householdUuid, { name: req.body.name });
+
+      res.status(201).json({
+        success: true,
+        household: formatHousehold(HouseholdModel.findByUuid(household.householdUuid), 'owner')
+      });
+    } catch (error) {
+      log.error('Create household error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to create household',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/household/list
+ * List the user's households with the user's role
+ */
+router.get('/list', requireScope('households:read'), async (req, res) => {
+  try {
+    const households = HouseholdModel.findByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      households: households.map(household => formatHousehold(household, household.role))
+    });
+  } catch (error) {
+    log.error('List households error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list households',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/household/:householdId
+ * Household details with members, devices and per-device permissions
+ */
+router.get('/:householdId', requireScope('households:read'), async (req, res) => {
+  try {
+    const loaded = loadHousehold(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { household, membership } = loaded;
+    const members = HouseholdMemberModel.findByHousehold(household.id);
+    const backendUserIds = new Map(members.map(member => [member.user_id, member.backend_user_id]));
+
+    const devices = DeviceModel.findByHousehold(household.id).map(device => ({
+      deviceUuid: device.device_uuid,
+      deviceName: device.device_label || device.device_name,
+      owner: backendUserIds.get(device.owner_user_id) || null,
+      permission: householdService.getDevicePermission(req.user.id, device),
+      permissions: DevicePermissionModel.findByDevice(device.device_uuid).map(grant => ({
+        backendUserId: backendUserIds.get(grant.user_id) || null,
+        permission: grant.permission
+      }))
+    }));
+
+    res.json({
+      success: true,
+      household: {
+        ...formatHousehold(household, membership.role),
+        members: members.map(formatMember),
+        devices
+      }
+    });
+  } catch (error) {
+    log.error('Get household error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get household',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/household/:householdId
+ * Rename household (owner or admin)
+ */
+router.put('/:householdId', requireScope('households:write'),
+  [
+    body('name').isString().trim().notEmpty().withMessage('Household name is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const loaded = loadHousehold(req, res);
+      if (!loaded) {
+        return;
+      }
+
+      const { household, membership } = loaded;
+      if (!householdService.canManageHousehold(membership.role)) {
+        return res.status(403).json({
+          error: 'Access denied'
+        });
+      }
+
+      HouseholdModel.update(household.household_uuid, { name: req.body.name });
+
+      audit(req, 'household_updated', 'household', household.household_uuid, { name: req.body.name });
+
+      res.json({
+        success: true,
+        household: formatHousehold(HouseholdModel.findById(household.id), membership.role)
+      });
+    } catch (error) {
+      log.error('Update household error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to update household',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/household/:householdId
+ * Delete household (owner); devices go back to their owners only
+ */
+router.delete('/:householdId', requireScope('households:write'), async (req, res) => {
+  try {
+    const loaded = loadHousehold(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { household, membership } = loaded;
+    if (membership.role !== 'owner') {
+      return res.status(403).json({
+        error: 'Access denied'
+      });
+    }
+
+    const members = HouseholdMemberModel.findByHousehold(household.id).map(member => member.user_id);
+
+    HouseholdModel.delete(household.id);
+
+    audit(req, 'household_deleted', 'household', household.household_uuid);
+
+    // Members lose the household devices
+    homegraphService.requestSyncForUsers(members);
+
+    res.json({
+      success: true,
+      message: 'Household deleted'
+    });
+  } catch (error) {
+    log.error('Delete household error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to delete household',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/household/:householdId/members
+ * Add an existing user by username or email (owner or admin)
+ */
+router.post('/:householdId/members', requireScope('households:write'),
+  [
+    body('username').optional().isString(),
+    body('email').optional().isEmail().withMessage('Valid email is required'),
+    body('role').optional().isIn(ASSIGNABLE_ROLES).withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const loaded = loadHousehold(req, res);
+      if (!loaded) {
+        return;
+      }
+
+      const { household, membership } = loaded;
+      const { username, email, role = 'member' } = req.body;
+
+      if (!canChangeRole(membership.role, null, role)) {
+        return res.status(403).json({
+          error: 'Access denied'
+        });
+      }
+
+      const user = username ? UserModel.findByUsername(username) : email ? UserModel.findByEmail(email) : null;
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      if (HouseholdMemberModel.find(household.id, user.id)) {
+        return res.status(409).json({
+          error: 'Already a member'
+        });
+      }
+
+      HouseholdMemberModel.add({ householdId: household.id, userId: user.id, role, addedBy: req.user.id });
+
+      audit(req, 'household_member_added', 'household', household.household_uuid, {
+        memberId: user.backend_user_id,
+        role
+      });
+
+      homegraphService.requestSyncForUser(user.id);
+
+      res.status(201).json({
+        success: true,
+        member: formatMember({ ...user, role, created_at: Date.now() })
+      });
+    } catch (error) {
+      log.error('Add household member error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to add household member',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/household/:householdId/members/:backendUserId
+ * Change a member's role (owner: admins and below, admin: members and guests)
+ */
+router.put('/:householdId/members/:backendUserId', requireScope('households:write'),
+  [
+    body('role').isIn(ASSIGNABLE_ROLES).withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const loaded = loadHousehold(req, res);
+      if (!loaded) {
+        return;
+      }
+
+      const { household, membership } = loaded;
+      const user = UserModel.findByBackendUserId(req.params.backendUserId);
+      const target = user && HouseholdMemberModel.find(household.id, user.id);
+      if (!target) {
+        return res.status(404).json({
+          error: 'Member not found'
+        });
+      }
+
+      if (!canChangeRole(membership.role, target.role, req.body.role)) {
+        return res.status(403).json({
+          error: 'Access denied'
+        });
+      }
+
+      HouseholdMemberModel.updateRole(household.id, user.id, req.body.role);
+
+      audit(req, 'household_member_role_changed', 'household', household.household_uuid, {
+        memberId: user.backend_user_id,
+        from: target.role,
+        to: req.body.role
+      });
+
+      homegraphService.requestSyncForUser(user.id);
+
+      res.json({
+        success: true,
+        member: formatMember({ ...user, role: req.body.role, created_at: target.created_at })
+      });
+    } catch (error) {
+      log.error('Change household role error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to change role',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/household/:householdId/members/:backendUserId
+ * Remove a member (owner or admin), or leave the household (own backendUserId)
+ * The member's devices leave the household with the member
+ */
+router.delete('/:householdId/members/:backendUserId', requireScope('households:write'), async (req, res) => {
+  try {
+    const loaded = loadHousehold(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { household, membership } = loaded;
+    const user = UserModel.findByBackendUserId(req.params.backendUserId);
+    const target = user && HouseholdMemberModel.find(household.id, user.id);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    if (target.role === 'owner') {
+      return res.status(400).json({
+        error: 'Owner cannot leave',
+        message: 'Delete the household instead'
+      });
+    }
+
+    const leaving = user.id === req.user.id;
+    if (!leaving && !canChangeRole(membership.role, target.role, 'member')) {
+      return res.status(403).json({
+        error: 'Access denied'
+      });
+    }
+
+    // Everyone who could see the member's devices loses them
+    const remaining = HouseholdMemberModel.findByHousehold(household.id).map(member => member.user_id);
+
+    const removedDevices = HouseholdMemberModel.remove(household.id, user.id);
+
+    audit(req, leaving ? 'household_left' : 'household_member_removed', 'household', household.household_uuid, {
+      memberId: user.backend_user_id,
+      removedDevices
+    });
+
+    homegraphService.requestSyncForUsers(removedDevices.length > 0 ? remaining : [user.id]);
+
+    res.json({
+      success: true,
+      removedDevices
+    });
+  } catch (error) {
+    log.error('Remove household member error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to remove household member',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/household/:householdId/devices
+ * Share an own device with the household (members and above)
+ */
+router.post('/:householdId/devices', requireScope('households:write'),
+  [
+    body('deviceUuid').notEmpty().withMessage('Device UUID is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const loaded = loadHousehold(req, res);
+      if (!loaded) {
+        return;
+      }
+
+      const { household, membership } = loaded;
+      const device = DeviceModel.findByUuid(req.body.deviceUuid);
+      if (!device) {
+        return res.status(404).json({
+          error: 'Device not found'
+        });
+      }
+
+      if (device.owner_user_id !== req.user.id || membership.role === 'guest') {
+        return res.status(403).json({
+          error: 'Access denied'
+        });
+      }
+
+      if (device.household_id === household.id) {
+        return res.status(409).json({
+          error: 'Device already in household'
+        });
+      }
+
+      // Leaving another household drops the permissions set there
+      const previousUsers = householdService.getUsersWithAccess(device);
+      DevicePermissionModel.removeForDevice(device.device_uuid);
+      DeviceModel.setHousehold(device.device_uuid, household.id);
+
+      audit(req, 'household_device_added', 'device', device.device_uuid, { householdId: household.household_uuid });
+
+      homegraphService.requestSyncForUsers([
+        ...previousUsers,
+        ...householdService.getUsersWithAccess(DeviceModel.findByUuid(device.device_uuid))
+      ]);
+
+      res.status(201).json({
+        success: true,
+        message: 'Device shared with household'
+      });
+    } catch (error) {
+      log.error('Add household device error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to add device to household',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/household/:householdId/devices/:deviceUuid
+ * Stop sharing a device with the household (device owner, owner or admin)
+ */
+router.delete('/:householdId/devices/:deviceUuid', requireScope('households:write'), async (req, res) => {
+  try {
+    const loaded = loadHousehold(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { household, membership } = loaded;
+    const device = DeviceModel.findByUuid(req.params.deviceUuid);
+    if (!device || device.household_id !== household.id) {
+      return res.status(404).json({
+        error: 'Device not found'
+      });
+    }
+
+    if (device.owner_user_id !== req.user.id && !householdService.canManageHousehold(membership.role)) {
+      return res.status(403).json({
+        error: 'Access denied'
+      });
+    }
+
+    const previousUsers = householdService.getUsersWithAccess(device);
+    DevicePermissionModel.removeForDevice(device.device_uuid);
+    DeviceModel.setHousehold(device.device_uuid, null);
+
+    audit(req, 'household_device_removed', 'device', device.device_uuid, { householdId: household.household_uuid });
+
+    homegraphService.requestSyncForUsers(previousUsers);
+
+    res.json({
+      success: true,
+      message: 'Device removed from household'
+    });
+  } catch (error) {
+    log.error('Remove household device error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to remove device from household',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/household/:householdId/devices/:deviceUuid/permissions/:backendUserId
+ * Set a member's permission on a household device, overriding the role
+ * default (device owner, owner or admin)
+ * Owners and admins always manage household devices
+ */
+router.put('/:householdId/devices/:deviceUuid/permissions/:backendUserId', requireScope('households:write'),
+  [
+    body('permission').isIn(DEVICE_PERMISSIONS).withMessage(`Permission must be one of: ${DEVICE_PERMISSIONS.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const loaded = loadHousehold(req, res);
+      if (!loaded) {
+        return;
+      }
+
+      const { household, membership } = loaded;
+      const device = DeviceModel.findByUuid(req.params.deviceUuid);
+      if (!device || device.household_id !== household.id) {
+        return res.status(404).json({
+          error: 'Device not found'
+        });
+      }
+
+      if (device.owner_user_id !== req.user.id && !householdService.canManageHousehold(membership.role)) {
+        return res.status(403).json({
+          error: 'Access denied'
+        });
+      }
+
+      const user = UserModel.findByBackendUserId(req.params.backendUserId);
+      const target = user && HouseholdMemberModel.find(household.id, user.id);
+      if (!target) {
+        return res.status(404).json({
+          error: 'Member not found'
+        });
+      }
+
+      if (householdService.canManageHousehold(target.role) || user.id === device.owner_user_id) {
+        return res.status(400).json({
+          error: 'Permission not applicable',
+          message: 'Device owners, household owners and admins always manage the device'
+        });
+      }
+
+      DevicePermissionModel.set({
+        deviceUuid: device.device_uuid,
+        userId: user.id,
+        permission: req.body.permission,
+        grantedBy: req.user.id
+      });
+
+      audit(req, 'device_permission_set', 'device', device.device_uuid, {
+        householdId: household.household_uuid,
+        memberId: user.backend_user_id,
+        permission: req.body.permission
+      });
+
+      homegraphService.requestSyncForUser(user.id);
+
+      res.json({
+        success: true,
+        permission: req.body.permission
+      });
+    } catch (error) {
+      log.error('Set device permission error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to set device permission',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/household/:householdId/devices/:deviceUuid/permissions/:backendUserId
+ * Remove a member's permission on a device, back to the role default
+ */
+router.delete('/:householdId/devices/:deviceUuid/permissions/:backendUserId', requireScope('households:write'), async (req, res) => {
+  try {
+    const loaded = loadHousehold(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { household, membership } = loaded;
+    const device = DeviceModel.findByUuid(req.params.deviceUuid);
+    if (!device || device.household_id !== household.id) {
+      return res.status(404).json({
+        error: 'Device not found'
+      });
+    }
+
+    if (device.owner_user_id !== req.user.id && !householdService.canManageHousehold(membership.role)) {
+      return res.status(403).json({
+        error: 'Access denied'
+      });
+    }
+
+    const user = UserModel.findByBackendUserId(req.params.backendUserId);
+    if (!user || !DevicePermissionModel.remove(device.device_uuid, user.id)) {
+      return res.status(404).json({
+        error: 'Permission not found'
+      });
+    }
+
+    audit(req, 'device_permission_removed', 'device', device.device_uuid, {
+      householdId: household.household_uuid,
+      memberId: user.backend_user_id
+    });
+
+    homegraphService.requestSyncForUser(user.id);
+
+    res.json({
+      success: true,
+      permission: householdService.getDevicePermission(user.id, device)
+    });
+  } catch (error) {
+    log.error('Remove device permission error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to remove device permission',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,128 +1,268 @@
 import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
 import { body, validationResult } from 'express-validator';
-import { UserModel, GoogleAccountLinkModel, AuditLogModel } from '../database/models.js';
+import { UserModel, GoogleAccountLinkModel, OAuthClientModel, AuthorizationCodeModel, AuditLogModel } from '../database/models.js';
 import { 
   generateAuthCode, 
+  generateConsentToken,
+  verifyConsentToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
   generateAccessToken, 
   generateRefreshToken,
-  verifyAuthCode,
+  verifyCodeVerifier,
+  verifyAccessToken,
   verifyRefreshToken
 } from '../middleware/auth.js';
+import { oauthSession, verifyCsrfToken } from '../middleware/csrf.js';
+import oauthClientService, { OAUTH_GRANT_TYPES } from '../services/oauthClient.service.js';
+import thingsboardAccountService from '../services/thingsboardAccount.service.js';
+import twoFactorService from '../services/twoFactor.service.js';
+import loginThrottleService from '../services/loginThrottle.service.js';
+import householdService from '../services/household.service.js';
+import homegraphService from '../services/homegraph.service.js';
+import { render } from '../utils/template.js';
+import { selectLocale, translate, getMessages } from '../utils/i18n.js';
 import { log } from '../utils/logger.js';
 
 const router = express.Router();
 
+const PKCE_METHODS = ['S256', 'plain'];
+const PKCE_CHALLENGE_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+/**
+ * Validate PKCE parameters of an authorization request (RFC 7636)
+ * @returns {string|null} Error description or null if valid
+ */
+const validatePkceParams = (codeChallenge, codeChallengeMethod) => {
+  if (!codeChallenge) {
+    return codeChallengeMethod ? 'code_challenge_method without code_challenge' : null;
+  }
+  if (!PKCE_CHALLENGE_PATTERN.test(codeChallenge)) {
+    return 'Invalid code_challenge';
+  }
+  if (codeChallengeMethod && !PKCE_METHODS.includes(codeChallengeMethod)) {
+    return 'Unsupported code_challenge_method';
+  }
+  return null;
+};
+
+/**
+ * Validate client, redirect URI, scope and PKCE of an authorization request
+ * @returns {{ client, scope, codeChallengeMethod } | { error: { status, error, error_description } }}
+ */
+const validateAuthorizationRequest = ({ client_id, redirect_uri, scope, code_challenge, code_challenge_method }) => {
+  const client = OAuthClientModel.findByClientId(client_id);
+  if (!client) {
+    log.warn('Invalid OAuth client_id', { client_id });
+    return { error: { status: 401, error: 'unauthorized_client', error_description: 'Invalid client_id' } };
+  }
+
+  // Never redirect to an unregistered URI
+  if (!oauthClientService.isRedirectUriAllowed(client, redirect_uri)) {
+    log.warn('Unregistered OAuth redirect_uri', { client_id, redirect_uri });
+    return { error: { status: 400, error: 'invalid_request', error_description: 'Invalid redirect_uri' } };
+  }
+
+  if (!oauthClientService.allowsGrantType(client, 'authorization_code')) {
+    return { error: { status: 400, error: 'unauthorized_client', error_description: 'Client may not use authorization codes' } };
+  }
+
+  const grantedScope = oauthClientService.resolveScope(client, scope);
+  if (grantedScope === null) {
+    return { error: { status: 400, error: 'invalid_scope', error_description: 'Requested scope is not allowed' } };
+  }
+
+  const pkceError = validatePkceParams(code_challenge, code_challenge_method) ||
+    (oauthClientService.isPublic(client) && !code_challenge ? 'PKCE is required for public clients' : null);
+  if (pkceError) {
+    return { error: { status: 400, error: 'invalid_request', error_description: pkceError } };
+  }
+
+  return {
+    client,
+    scope: grantedScope,
+    codeChallengeMethod: code_challenge ? (code_challenge_method || 'plain') : null
+  };
+};
+
+/**
+ * Authenticate the OAuth client from the request body or HTTP Basic auth
+ * @returns {Object|null} Client
+ */
+const authenticateClient = (req) => {
+  let { client_id, client_secret } = req.body;
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.substring(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    client_id = decodeURIComponent(decoded.substring(0, separator));
+    client_secret = decodeURIComponent(decoded.substring(separator + 1));
+  }
+
+  return oauthClientService.authenticate(client_id, client_secret);
+};
+
+/**
+ * Render an OAuth page (src/views) in the language of the request
+ */
+const renderPage = (req, res, view, data = {}, status = 200) => {
+  const locale = selectLocale(req);
+  const t = getMessages(locale, { client: data.clientName || '' });
+
+  res.status(status).type('html').send(render('layout', {
+    locale,
+    t,
+    content: render(view, { ...data, t })
+  }));
+};
+
+/**
+ * Render the error page; errors are shown, never redirected, so an invalid
+ * redirect_uri cannot be used as an open redirect
+ */
+const renderError = (req, res, status, messageKey, detail = '') => {
+  renderPage(req, res, 'error', {
+    message: translate(selectLocale(req), messageKey),
+    detail
+  }, status);
+};
+
+/**
+ * Render the consent step with the user's devices
+ * Devices shared through the user's current link with the client are preselected
+ */
+const renderConsent = (req, res, userId, request, consentToken, { error = '', status = 200 } = {}) => {
+  const client = OAuthClientModel.findByClientId(request.clientId);
+  const existingLink = GoogleAccountLinkModel.findByAgentUserId(
+    GoogleAccountLinkModel.getAgentUserIdForUser(userId, request.clientId)
+  );
+  const sharedDevices = existingLink ? existingLink.shared_devices : null;
+
+  const devices = householdService.getAccessibleDevices(userId);
+  const deviceList = devices.length === 0
+    ? render('consent-no-devices', { t: getMessages(selectLocale(req)) })
+    : devices.map(device => render('consent-device', {
+      deviceUuid: device.device_uuid,
+      deviceName: device.device_label || device.device_name,
+      deviceType: device.device_type,
+      checked: !sharedDevices || sharedDevices.includes(device.device_uuid) ? 'checked' : ''
+    })).join('\n');
+
+  renderPage(req, res, 'consent', {
+    clientName: client ? client.name : request.clientId,
+    csrfToken: req.oauthSession.csrfToken,
+    consentToken,
+    devices: deviceList,
+    shareAllChecked: sharedDevices ? '' : 'checked',
+    error
+  }, status);
+};
+
+/**
+ * Add query parameters to a registered redirect URI
+ */
+const buildRedirectUrl = (redirectUri, params) => {
+  const url = new URL(redirectUri);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+};
+
+/**
+ * Authenticate the user signing in on the authorization page
+ * Backend credentials are tried first, then ThingsBoard credentials if enabled
+ * @returns {Promise<Object|null>} User
+ */
+const authenticateUser = async (req, username, password) => {
+  const user = UserModel.findByUsername(username);
+  if (user && UserModel.verifyPassword(password, user.password_hash)) {
+    return user;
+  }
+
+  if (!thingsboardAccountService.isEnabled()) {
+    return null;
+  }
+
+  const result = await thingsboardAccountService.authenticate(username, password);
+  if (!result) {
+    return null;
+  }
+
+  if (result.created || result.importedDevices > 0) {
+    AuditLogModel.log({
+      userId: result.user.id,
+      action: result.created ? 'thingsboard_user_created' : 'thingsboard_devices_imported',
+      resourceType: 'user',
+      resourceId: result.user.backend_user_id,
+      details: { thingsboardUserId: result.user.thingsboard_user_id, importedDevices: result.importedDevices },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  }
+
+  // Linked accounts pick up the imported devices
+  if (result.importedDevices > 0) {
+    homegraphService.requestSyncForUser(result.user.id);
+  }
+
+  log.auth('thingsboard_login', result.user.id, true, { created: result.created, importedDevices: result.importedDevices });
+
+  return result.user;
+};
+
 /**
  * GET /oauth/authorize
  * OAuth 2.0 Authorization endpoint
  * Google redirects user here to grant access
  */
-router.get('/authorize', async (req, res) => {
+router.get('/authorize', oauthSession, async (req, res) => {
   try {
-    const { client_id, redirect_uri, state, response_type } = req.query;
+    const { client_id, redirect_uri, state, response_type, code_challenge } = req.query;
 
     // Validate required parameters
     if (!client_id || !redirect_uri || !state) {
-      return res.status(400).json({
-        error: 'invalid_request',
-        error_description: 'Missing required parameters'
-      });
+      return renderError(req, res, 400, 'invalid_request', 'Missing required parameters');
     }
 
     if (response_type !== 'code') {
-      return res.status(400).json({
-        error: 'unsupported_response_type',
-        error_description: 'Only authorization code flow is supported'
-      });
+      return renderError(req, res, 400, 'invalid_request', 'Only authorization code flow is supported');
     }
 
-    // Validate client_id
-    const expectedClientId = process.env.OAUTH_CLIENT_ID;
-    if (client_id !== expectedClientId) {
-      log.warn('Invalid OAuth client_id', { client_id });
-      return res.status(401).json({
-        error: 'unauthorized_client',
-        error_description: 'Invalid client_id'
-      });
+    const authRequest = validateAuthorizationRequest(req.query);
+    if (authRequest.error) {
+      return renderError(req, res, authRequest.error.status, 'invalid_request', authRequest.error.error_description);
     }
 
-    // In production, this would render a login/consent page
-    // For now, we'll return a simple HTML form
-    const loginHtml = `
-<!DOCTYPE html>
-<html>
-<head>
-  <title>Smart Home Authorization</title>
-  <style>
-    body { font-family: Arial, sans-serif; max-width: 400px; margin: 50px auto; padding: 20px; }
-    h2 { color: #333; }
-    form { display: flex; flex-direction: column; gap: 10px; }
-    input { padding: 10px; border: 1px solid #ddd; border-radius: 4px; }
-    button { padding: 10px; background: #4285f4; color: white; border: none; border-radius: 4px; cursor: pointer; }
-    button:hover { background: #357ae8; }
-    .error { color: red; font-size: 14px; }
-  </style>
-</head>
-<body>
-  <h2>Smart Home Authorization</h2>
-  <p>Google Assistant wants to access your smart home devices.</p>
-  <form id="loginForm">
-    <input type="text" name="username" placeholder="Username" required />
-    <input type="password" name="password" placeholder="Password" required />
-    <button type="submit">Authorize</button>
-    <div id="error" class="error"></div>
-  </form>
-  <script>
-    document.getElementById('loginForm').addEventListener('submit', async (e) => {
-      e.preventDefault();
-      const formData = new FormData(e.target);
-      const username = formData.get('username');
-      const password = formData.get('password');
-      
-      try {
-        const response = await fetch('/oauth/authorize/submit', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            username,
-            password,
-            client_id: '${client_id}',
-            redirect_uri: '${redirect_uri}',
-            state: '${state}'
-          })
-        });
-        
-        const data = await response.json();
-        
-        if (data.success) {
-          window.location.href = data.redirectUrl;
-        } else {
-          document.getElementById('error').textContent = data.message || 'Authorization failed';
-        }
-      } catch (error) {
-        document.getElementById('error').textContent = 'Network error';
+    // Sign in, then choose the devices to share on the consent step
+    renderPage(req, res, 'authorize', {
+      clientName: authRequest.client.name,
+      csrfToken: req.oauthSession.csrfToken,
+      request: {
+        client_id,
+        redirect_uri,
+        state,
+        scope: authRequest.scope,
+        code_challenge: code_challenge || '',
+        code_challenge_method: authRequest.codeChallengeMethod || ''
       }
     });
-  </script>
-</body>
-</html>
-    `;
-
-    res.send(loginHtml);
   } catch (error) {
     log.error('OAuth authorize error', { error: error.message });
-    res.status(500).json({
-      error: 'server_error',
-      error_description: 'Internal server error'
-    });
+    renderError(req, res, 500, 'server_error');
   }
 });
 
 /**
  * POST /oauth/authorize/submit
- * Handle authorization form submission
+ * Handle sign in of the authorization page
+ * Renders the consent step with a consent token bound to the session, or
+ * the code step first if the user has two-factor authentication enabled
  */
 router.post('/authorize/submit',
+  oauthSession,
   [
     body('username').notEmpty(),
     body('password').notEmpty(),
@@ -132,53 +272,263 @@ router.post('/authorize/submit',
   ],
   async (req, res) => {
     try {
+      if (!verifyCsrfToken(req)) {
+        log.warn('OAuth CSRF token mismatch', { path: req.path });
+        return renderError(req, res, 403, 'session_expired');
+      }
+
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid request parameters'
-        });
+        return renderError(req, res, 400, 'invalid_request', 'Invalid request parameters');
       }
 
       const { username, password, client_id, redirect_uri, state } = req.body;
+      const authRequest = validateAuthorizationRequest({
+        ...req.body,
+        code_challenge: req.body.code_challenge || undefined,
+        code_challenge_method: req.body.code_challenge_method || undefined
+      });
+      if (authRequest.error) {
+        return renderError(req, res, authRequest.error.status, 'invalid_request', authRequest.error.error_description);
+      }
+
+      const codeChallenge = req.body.code_challenge || null;
+      const { codeChallengeMethod, scope } = authRequest;
+
+      const renderSignInError = (error, status) => renderPage(req, res, 'authorize', {
+        clientName: authRequest.client.name,
+        csrfToken: req.oauthSession.csrfToken,
+        request: {
+          client_id,
+          redirect_uri,
+          state,
+          scope,
+          code_challenge: codeChallenge || '',
+          code_challenge_method: codeChallengeMethod || ''
+        },
+        username,
+        error
+      }, status);
+
+      // Per-username delays and lockout, checked before the password
+      const throttle = loginThrottleService.check(username);
+      if (!throttle.allowed) {
+        log.auth('oauth_login', null, false, { client_id, username, reason: `throttled_${throttle.reason}` });
+        res.set('Retry-After', String(throttle.retryAfter));
+        return renderSignInError(translate(selectLocale(req), 'too_many_attempts', {
+          minutes: Math.ceil(throttle.retryAfter / 60)
+        }), 429);
+      }
 
       // Authenticate user
-      const user = UserModel.findByUsername(username);
-      if (!user || !UserModel.verifyPassword(password, user.password_hash)) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid username or password'
+      const user = await authenticateUser(req, username, password);
+      if (!user) {
+        loginThrottleService.recordFailure(username, { ipAddress: req.ip, userAgent: req.get('user-agent') });
+        log.auth('oauth_login', null, false, { client_id, username });
+
+        return renderSignInError(translate(selectLocale(req), 'invalid_credentials'), 401);
+      }
+
+      log.auth('oauth_login', user.id, true, { client_id });
+
+      const request = {
+        clientId: client_id,
+        redirectUri: redirect_uri,
+        state,
+        scope,
+        codeChallenge,
+        codeChallengeMethod,
+        sessionId: req.oauthSession.id
+      };
+
+      if (twoFactorService.isEnabled(user)) {
+        return renderPage(req, res, 'two-factor', {
+          clientName: authRequest.client.name,
+          csrfToken: req.oauthSession.csrfToken,
+          twoFactorToken: generateTwoFactorToken(user.id, request)
+        });
+      }
+
+      loginThrottleService.recordSuccess(username);
+
+      renderConsent(req, res, user.id, request, generateConsentToken(user.id, request));
+    } catch (error) {
+      log.error('OAuth authorize submit error', { error: error.message });
+      renderError(req, res, 500, 'server_error');
+    }
+  }
+);
+
+/**
+ * POST /oauth/authorize/two-factor
+ * Handle the code step of users with two-factor authentication
+ * Renders the consent step once a TOTP or recovery code is accepted
+ */
+router.post('/authorize/two-factor',
+  oauthSession,
+  [
+    body('two_factor_token').notEmpty(),
+    body('code').notEmpty()
+  ],
+  async (req, res) => {
+    try {
+      if (!verifyCsrfToken(req)) {
+        log.warn('OAuth CSRF token mismatch', { path: req.path });
+        return renderError(req, res, 403, 'session_expired');
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return renderError(req, res, 400, 'invalid_request', 'Invalid request parameters');
+      }
+
+      // The token must come from the password step of this browser session
+      const challenge = verifyTwoFactorToken(req.body.two_factor_token);
+      if (!challenge || challenge.request.sessionId !== req.oauthSession.id) {
+        return renderError(req, res, 401, 'session_expired');
+      }
+
+      const { userId, request } = challenge;
+      const user = UserModel.findById(userId);
+      if (!user) {
+        return renderError(req, res, 401, 'session_expired');
+      }
+
+      const client = OAuthClientModel.findByClientId(request.clientId);
+      const renderCodeError = (error, status) => renderPage(req, res, 'two-factor', {
+        clientName: client ? client.name : request.clientId,
+        csrfToken: req.oauthSession.csrfToken,
+        twoFactorToken: req.body.two_factor_token,
+        error
+      }, status);
+
+      // Code guesses count towards the same lockout as passwords
+      const throttle = loginThrottleService.check(user.username);
+      if (!throttle.allowed) {
+        log.auth('oauth_two_factor', userId, false, { client_id: request.clientId, reason: `throttled_${throttle.reason}` });
+        res.set('Retry-After', String(throttle.retryAfter));
+        return renderCodeError(translate(selectLocale(req), 'too_many_attempts', {
+          minutes: Math.ceil(throttle.retryAfter / 60)
+        }), 429);
+      }
+
+      const method = twoFactorService.verify(user, req.body.code);
+
+      if (method !== 'totp') {
+        AuditLogModel.log({
+          userId,
+          action: method === 'recovery' ? 'two_factor_recovery_code_used' : 'two_factor_failed',
+          resourceType: 'user',
+          resourceId: user.backend_user_id,
+          details: { context: 'oauth', client_id: request.clientId },
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
         });
       }
 
+      if (!method) {
+        loginThrottleService.recordFailure(user.username, { ipAddress: req.ip, userAgent: req.get('user-agent') });
+        log.auth('oauth_two_factor', userId, false, { client_id: request.clientId });
+
+        return renderCodeError(translate(selectLocale(req), 'invalid_code'), 401);
+      }
+
+      loginThrottleService.recordSuccess(user.username);
+
+      log.auth('oauth_two_factor', userId, true, { client_id: request.clientId, method });
+
+      renderConsent(req, res, userId, request, generateConsentToken(userId, request));
+    } catch (error) {
+      log.error('OAuth two-factor error', { error: error.message });
+      renderError(req, res, 500, 'server_error');
+    }
+  }
+);
+
+/**
+ * POST /oauth/authorize/consent
+ * Handle consent form submission
+ * Redirects to the client with an authorization code for the selected
+ * devices, or with access_denied if the user denies access
+ */
+router.post('/authorize/consent',
+  oauthSession,
+  [
+    body('consent_token').notEmpty(),
+    body('decision').isIn(['allow', 'deny'])
+  ],
+  async (req, res) => {
+    try {
+      if (!verifyCsrfToken(req)) {
+        log.warn('OAuth CSRF token mismatch', { path: req.path });
+        return renderError(req, res, 403, 'session_expired');
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return renderError(req, res, 400, 'invalid_request', 'Invalid request parameters');
+      }
+
+      // The consent token must come from the sign in of this browser session
+      const consent = verifyConsentToken(req.body.consent_token);
+      if (!consent || consent.request.sessionId !== req.oauthSession.id) {
+        return renderError(req, res, 401, 'session_expired');
+      }
+
+      const { userId, request } = consent;
+      const { clientId, redirectUri, state } = request;
+
+      if (req.body.decision === 'deny') {
+        log.auth('oauth_consent_denied', userId, true, { client_id: clientId });
+
+        return res.redirect(buildRedirectUrl(redirectUri, { error: 'access_denied', state }));
+      }
+
+      // Only devices the user can access (own and household) can be shared
+      let sharedDevices = null;
+      if (req.body.share_all !== 'true') {
+        const accessibleDevices = new Set(householdService.getAccessibleDevices(userId).map(device => device.device_uuid));
+        sharedDevices = [...new Set([].concat(req.body.devices || []))];
+
+        if (sharedDevices.some(deviceUuid => !accessibleDevices.has(deviceUuid))) {
+          return renderConsent(req, res, userId, request, req.body.consent_token, {
+            error: translate(selectLocale(req), 'unknown_device'),
+            status: 400
+          });
+        }
+      }
+
       // Generate authorization code
-      const authCode = generateAuthCode(user.id, client_id, redirect_uri);
+      const authCode = generateAuthCode(userId, clientId, redirectUri, {
+        scope: request.scope,
+        sharedDevices,
+        codeChallenge: request.codeChallenge,
+        codeChallengeMethod: request.codeChallengeMethod
+      });
 
       // Audit log
       AuditLogModel.log({
-        userId: user.id,
+        userId,
         action: 'oauth_authorize',
         resourceType: 'oauth',
-        details: { client_id, redirect_uri },
+        details: {
+          client_id: clientId,
+          redirect_uri: redirectUri,
+          scope: request.scope,
+          pkce: request.codeChallengeMethod,
+          sharedDevices
+        },
         ipAddress: req.ip,
         userAgent: req.get('user-agent')
       });
 
-      log.auth('oauth_authorize', user.id, true, { client_id });
-
-      // Redirect to Google with authorization code
-      const redirectUrl = `${redirect_uri}?code=${authCode}&state=${state}`;
+      log.auth('oauth_authorize', userId, true, { client_id: clientId });
 
-      res.json({
-        success: true,
-        redirectUrl
-      });
+      // Redirect to the client with authorization code
+      res.redirect(buildRedirectUrl(redirectUri, { code: authCode, state }));
     } catch (error) {
-      log.error('OAuth authorize submit error', { error: error.message });
-      res.status(500).json({
-        success: false,
-        message: 'Authorization failed'
-      });
+      log.error('OAuth consent error', { error: error.message });
+      renderError(req, res, 500, 'server_error');
     }
   }
 );
@@ -190,13 +540,11 @@ router.post('/authorize/submit',
  */
 router.post('/token', async (req, res) => {
   try {
-    const { grant_type, code, redirect_uri, client_id, client_secret, refresh_token } = req.body;
+    const { grant_type, code, redirect_uri, refresh_token } = req.body;
 
     // Validate client credentials
-    const expectedClientId = process.env.OAUTH_CLIENT_ID;
-    const expectedClientSecret = process.env.OAUTH_CLIENT_SECRET;
-
-    if (client_id !== expectedClientId || client_secret !== expectedClientSecret) {
+    const client = authenticateClient(req);
+    if (!client) {
       log.warn('Invalid OAuth client credentials');
       return res.status(401).json({
         error: 'invalid_client',
@@ -204,6 +552,13 @@ router.post('/token', async (req, res) => {
       });
     }
 
+    if (OAUTH_GRANT_TYPES.includes(grant_type) && !oauthClientService.allowsGrantType(client, grant_type)) {
+      return res.status(400).json({
+        error: 'unauthorized_client',
+        error_description: `Client may not use grant type ${grant_type}`
+      });
+    }
+
     if (grant_type === 'authorization_code') {
       // Exchange authorization code for tokens
       if (!code || !redirect_uri) {
@@ -214,8 +569,40 @@ router.post('/token', async (req, res) => {
       }
 
       // Verify authorization code
-      const authData = verifyAuthCode(code);
-      if (!authData) {
+      const authCode = AuthorizationCodeModel.findByCode(code);
+      if (!authCode) {
+        return res.status(400).json({
+          error: 'invalid_grant',
+          error_description: 'Invalid or expired authorization code'
+        });
+      }
+
+      // Codes are single use; a replayed code revokes every token issued from it (RFC 6749 §4.1.2)
+      const rejectReplay = () => {
+        const revoked = GoogleAccountLinkModel.revokeByAuthorizationCode(authCode.id);
+        log.warn('Authorization code replayed, tokens revoked', { userId: authCode.user_id, revoked });
+
+        AuditLogModel.log({
+          userId: authCode.user_id,
+          action: 'oauth_code_replayed',
+          resourceType: 'oauth',
+          details: { client_id: client.client_id, revoked },
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        });
+
+        return res.status(400).json({
+          error: 'invalid_grant',
+          error_description: 'Authorization code has already been used'
+        });
+      };
+
+      if (authCode.consumed_at) {
+        return rejectReplay();
+      }
+
+      // All checks come before consuming, so a bad request cannot burn the code
+      if (authCode.expires_at < Date.now() || authCode.client_id !== client.client_id) {
         return res.status(400).json({
           error: 'invalid_grant',
           error_description: 'Invalid or expired authorization code'
@@ -223,21 +610,37 @@ router.post('/token', async (req, res) => {
       }
 
       // Verify redirect_uri matches
-      if (authData.redirectUri !== redirect_uri) {
+      if (authCode.redirect_uri !== redirect_uri) {
         return res.status(400).json({
           error: 'invalid_grant',
           error_description: 'Redirect URI mismatch'
         });
       }
 
-      const userId = authData.userId;
+      // Verify PKCE code_verifier
+      if (authCode.code_challenge &&
+          !verifyCodeVerifier(req.body.code_verifier, authCode.code_challenge, authCode.code_challenge_method)) {
+        return res.status(400).json({
+          error: 'invalid_grant',
+          error_description: 'Invalid code_verifier'
+        });
+      }
 
-      // Generate agent user ID (unique per user-Google pair)
-      const agentUserId = `agent_${userId}_${Date.now()}`;
+      // A concurrent exchange of the same code consumed it first
+      if (!AuthorizationCodeModel.consume(authCode.id)) {
+        return rejectReplay();
+      }
 
-      // Generate tokens
-      const accessToken = generateAccessToken(userId, agentUserId);
-      const refreshToken = generateRefreshToken(userId, agentUserId);
+      const userId = authCode.user_id;
+
+      // Reuse the user's agent user ID so relinking does not duplicate devices in Google
+      const agentUserId = GoogleAccountLinkModel.getAgentUserIdForUser(userId, client.client_id);
+
+      // Generate tokens, starting a new refresh token family
+      const scope = authCode.scope || undefined;
+      const tokenFamily = uuidv4();
+      const accessToken = generateAccessToken(userId, agentUserId, scope);
+      const refreshToken = generateRefreshToken(userId, agentUserId, tokenFamily, scope);
 
       // Store account link
       GoogleAccountLinkModel.createOrUpdate({
@@ -245,10 +648,14 @@ router.post('/token', async (req, res) => {
         googleAgentUserId: agentUserId,
         accessToken,
         refreshToken,
-        tokenExpiresAt: Date.now() + (30 * 24 * 60 * 60 * 1000) // 30 days
+        tokenExpiresAt: Date.now() + (30 * 24 * 60 * 60 * 1000), // 30 days
+        authorizationCodeId: authCode.id,
+        tokenFamily,
+        clientId: client.client_id,
+        sharedDevices: authCode.shared_devices
       });
 
-      log.google('token_exchange', agentUserId, true, { grant_type });
+      log.google('token_exchange', agentUserId, true, { grant_type, clientId: client.client_id });
 
       res.json({
         token_type: 'Bearer',
@@ -275,18 +682,60 @@ router.post('/token', async (req, res) => {
         });
       }
 
-      const { userId, agentUserId } = tokenData;
+      const { userId, agentUserId, family, scope } = tokenData;
 
-      // Generate new access token
-      const newAccessToken = generateAccessToken(userId, agentUserId);
+      // Tokens of disconnected links and of earlier grants are revoked, as are
+      // all tokens of a link whose family was revoked (RFC 7009 or reuse)
+      const accountLink = GoogleAccountLinkModel.findByAgentUserId(agentUserId);
+      if (!accountLink || !accountLink.refresh_token || (accountLink.token_family || null) !== (family || null)) {
+        log.warn('Revoked refresh token used', { agentUserId });
+        return res.status(400).json({
+          error: 'invalid_grant',
+          error_description: 'Refresh token has been revoked'
+        });
+      }
+
+      // Refresh tokens are bound to the client they were issued to
+      if (accountLink.client_id && accountLink.client_id !== client.client_id) {
+        return res.status(400).json({
+          error: 'invalid_grant',
+          error_description: 'Refresh token was issued to another client'
+        });
+      }
+
+      // A rotated-out token of the current family was replayed: it may be stolen, kill the family
+      if (accountLink.refresh_token !== refresh_token) {
+        GoogleAccountLinkModel.revokeTokens(agentUserId);
+        log.warn('Refresh token reuse detected, token family revoked', { agentUserId });
+
+        AuditLogModel.log({
+          userId,
+          action: 'oauth_refresh_token_reused',
+          resourceType: 'oauth',
+          resourceId: agentUserId,
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        });
+
+        return res.status(400).json({
+          error: 'invalid_grant',
+          error_description: 'Refresh token has been revoked'
+        });
+      }
+
+      // Rotate: new access and refresh token, the presented refresh token is now spent
+      const tokenFamily = accountLink.token_family || uuidv4();
+      const newAccessToken = generateAccessToken(userId, agentUserId, scope);
+      const newRefreshToken = generateRefreshToken(userId, agentUserId, tokenFamily, scope);
 
       // Update account link
       GoogleAccountLinkModel.createOrUpdate({
         userId,
         googleAgentUserId: agentUserId,
         accessToken: newAccessToken,
-        refreshToken: refresh_token,
-        tokenExpiresAt: Date.now() + (30 * 24 * 60 * 60 * 1000)
+        refreshToken: newRefreshToken,
+        tokenExpiresAt: Date.now() + (30 * 24 * 60 * 60 * 1000),
+        tokenFamily
       });
 
       log.google('token_refresh', agentUserId, true);
@@ -294,6 +743,7 @@ router.post('/token', async (req, res) => {
       res.json({
         token_type: 'Bearer',
         access_token: newAccessToken,
+        refresh_token: newRefreshToken,
         expires_in: 2592000
       });
 
@@ -312,4 +762,148 @@ router.post('/token', async (req, res) => {
   }
 });
 
+/**
+ * Find the account link a token is the current access or refresh token of
+ * @returns {{ link, tokenType, decoded }|null}
+ */
+const findTokenState = (token, tokenTypeHint) => {
+  const lookups = [
+    ['access_token', () => GoogleAccountLinkModel.findByAccessToken(token), verifyAccessToken],
+    ['refresh_token', () => GoogleAccountLinkModel.findByRefreshToken(token), verifyRefreshToken]
+  ];
+
+  // Per RFC 7009 the hint only decides which lookup goes first
+  if (tokenTypeHint === 'refresh_token') {
+    lookups.reverse();
+  }
+
+  for (const [tokenType, findLink, verify] of lookups) {
+    const link = findLink();
+    if (link) {
+      return { link, tokenType, decoded: verify(token) };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check that a link's tokens were issued to a client
+ */
+const isIssuedTo = (link, client) => !link.client_id || link.client_id === client.client_id;
+
+/**
+ * POST /oauth/revoke
+ * OAuth 2.0 Token Revocation (RFC 7009)
+ * Revoking a refresh token also revokes the access token of the grant
+ */
+router.post('/revoke', async (req, res) => {
+  try {
+    const { token, token_type_hint } = req.body;
+
+    const client = authenticateClient(req);
+    if (!client) {
+      log.warn('Invalid OAuth client credentials');
+      return res.status(401).json({
+        error: 'invalid_client',
+        error_description: 'Invalid client credentials'
+      });
+    }
+
+    if (!token) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'Missing token'
+      });
+    }
+
+    const state = findTokenState(token, token_type_hint);
+
+    // Unknown, already revoked and other clients' tokens are not an error
+    if (state && isIssuedTo(state.link, client)) {
+      const agentUserId = state.link.google_agent_user_id;
+
+      if (state.tokenType === 'refresh_token') {
+        GoogleAccountLinkModel.revokeTokens(agentUserId);
+      } else {
+        GoogleAccountLinkModel.revokeAccessToken(agentUserId);
+      }
+
+      AuditLogModel.log({
+        userId: state.link.user_id,
+        action: 'oauth_token_revoked',
+        resourceType: 'oauth',
+        resourceId: agentUserId,
+        details: { token_type: state.tokenType },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      log.google('token_revoke', agentUserId, true, { tokenType: state.tokenType });
+    }
+
+    res.status(200).end();
+  } catch (error) {
+    log.error('OAuth revoke error', { error: error.message });
+    res.status(500).json({
+      error: 'server_error',
+      error_description: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /oauth/introspect
+ * OAuth 2.0 Token Introspection (RFC 7662)
+ * A token is active only while it is the current token of an active account link
+ */
+router.post('/introspect', async (req, res) => {
+  try {
+    const { token, token_type_hint } = req.body;
+
+    const client = authenticateClient(req);
+    if (!client) {
+      log.warn('Invalid OAuth client credentials');
+      return res.status(401).json({
+        error: 'invalid_client',
+        error_description: 'Invalid client credentials'
+      });
+    }
+
+    if (!token) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'Missing token'
+      });
+    }
+
+    const state = findTokenState(token, token_type_hint);
+
+    if (!state || !state.decoded || state.decoded.agentUserId !== state.link.google_agent_user_id ||
+        !isIssuedTo(state.link, client)) {
+      return res.json({ active: false });
+    }
+
+    const user = UserModel.findById(state.link.user_id);
+
+    res.json({
+      active: true,
+      token_type: state.tokenType,
+      scope: state.decoded.scope,
+      client_id: state.link.client_id,
+      username: user?.username,
+      sub: user?.backend_user_id,
+      agent_user_id: state.link.google_agent_user_id,
+      iat: state.decoded.iat,
+      exp: state.decoded.exp
+    });
+  } catch (error) {
+    log.error('OAuth introspect error', { error: error.message });
+    res.status(500).json({
+      error: 'server_error',
+      error_description: 'Internal server error'
+    });
+  }
+});
+
 export default router;
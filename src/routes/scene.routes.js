@@ -0,0 +1,308 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { SceneModel, AuditLogModel } from '../database/models.js';
+import sceneService from '../services/scene.service.js';
+import homegraphService from '../services/homegraph.service.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
+import { log } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * Format scene for API responses
+ */
+const formatScene = (scene) => ({
+  sceneUuid: scene.scene_uuid,
+  name: scene.name,
+  targets: scene.targets,
+  createdAt: scene.created_at,
+  updatedAt: scene.updated_at
+});
+
+/**
+ * POST /api/scene
+ * Create scene
+ */
+router.post('/',
+  authenticate,
+  requireScope('scenes:write'),
+  [
+    body('name').notEmpty().withMessage('Scene name is required'),
+    body('targets').isArray({ min: 1 }).withMessage('Targets must be a non-empty array')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, targets } = req.body;
+      const userId = req.user.id;
+
+      const targetError = sceneService.validateTargets(targets, userId);
+      if (targetError) {
+        return res.status(400).json({
+          error: 'Invalid scene targets',
+          message: targetError
+        });
+      }
+
+      const scene = SceneModel.create({ ownerUserId: userId, name, targets });
+
+      AuditLogModel.log({
+        userId,
+        action: 'scene_created',
+        resourceType: 'scene',
+        resourceId: scene.sceneUuid,
+        details: { name, targetCount: targets.length },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      // Let linked Google accounts pick up the new scene
+      homegraphService.requestSyncForUser(userId);
+
+      res.status(201).json({
+        success: true,
+        scene: formatScene(SceneModel.findByUuid(scene.sceneUuid))
+      });
+    } catch (error) {
+      log.error('Create scene error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to create scene',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/scene/list
+ * List all scenes for authenticated user
+ */
+router.get('/list', authenticate, requireScope('scenes:read'), async (req, res) => {
+  try {
+    const scenes = SceneModel.findByOwner(req.user.id);
+
+    res.json({
+      success: true,
+      scenes: scenes.map(formatScene)
+    });
+  } catch (error) {
+    log.error('List scenes error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list scenes',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scene/:sceneUuid
+ * Get scene details
+ */
+router.get('/:sceneUuid', authenticate, requireScope('scenes:read'), async (req, res) => {
+  try {
+    const scene = SceneModel.findByUuid(req.params.sceneUuid);
+
+    if (!scene) {
+      return res.status(404).json({
+        error: 'Scene not found'
+      });
+    }
+
+    // Check ownership
+    if (scene.owner_user_id !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      scene: formatScene(scene)
+    });
+  } catch (error) {
+    log.error('Get scene error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get scene',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/scene/:sceneUuid
+ * Update scene name and targets
+ */
+router.put('/:sceneUuid',
+  authenticate,
+  requireScope('scenes:write'),
+  [
+    body('name').optional().notEmpty().withMessage('Scene name cannot be empty'),
+    body('targets').optional().isArray({ min: 1 }).withMessage('Targets must be a non-empty array')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { sceneUuid } = req.params;
+      const userId = req.user.id;
+
+      const scene = SceneModel.findByUuid(sceneUuid);
+
+      if (!scene) {
+        return res.status(404).json({
+          error: 'Scene not found'
+        });
+      }
+
+      // Check ownership
+      if (scene.owner_user_id !== userId) {
+        return res.status(403).json({
+          error: 'Access denied'
+        });
+      }
+
+      const name = req.body.name ?? scene.name;
+      const targets = req.body.targets ?? scene.targets;
+
+      const targetError = sceneService.validateTargets(targets, userId);
+      if (targetError) {
+        return res.status(400).json({
+          error: 'Invalid scene targets',
+          message: targetError
+        });
+      }
+
+      SceneModel.update(sceneUuid, { name, targets });
+
+      AuditLogModel.log({
+        userId,
+        action: 'scene_updated',
+        resourceType: 'scene',
+        resourceId: sceneUuid,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      // Scene names and targets are part of SYNC
+      if (name !== scene.name || JSON.stringify(targets) !== JSON.stringify(scene.targets)) {
+        homegraphService.requestSyncForUser(userId);
+      }
+
+      res.json({
+        success: true,
+        scene: formatScene(SceneModel.findByUuid(sceneUuid))
+      });
+    } catch (error) {
+      log.error('Update scene error', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to update scene',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/scene/:sceneUuid
+ * Delete scene
+ */
+router.delete('/:sceneUuid', authenticate, requireScope('scenes:write'), async (req, res) => {
+  try {
+    const { sceneUuid } = req.params;
+    const userId = req.user.id;
+
+    const scene = SceneModel.findByUuid(sceneUuid);
+
+    if (!scene) {
+      return res.status(404).json({
+        error: 'Scene not found'
+      });
+    }
+
+    // Check ownership
+    if (scene.owner_user_id !== userId) {
+      return res.status(403).json({
+        error: 'Access denied'
+      });
+    }
+
+    // Soft delete in database
+    SceneModel.delete(sceneUuid);
+
+    AuditLogModel.log({
+      userId,
+      action: 'scene_deleted',
+      resourceType: 'scene',
+      resourceId: sceneUuid,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    // Let linked Google accounts drop the scene
+    homegraphService.requestSyncForUser(userId);
+
+    res.json({
+      success: true,
+      message: 'Scene deleted successfully'
+    });
+  } catch (error) {
+    log.error('Delete scene error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to delete scene',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scene/:sceneUuid/activate
+ * Activate scene and return the result of every target
+ */
+router.post('/:sceneUuid/activate', authenticate, requireScope('scenes:activate', 'sceneUuid'), async (req, res) => {
+  try {
+    const { sceneUuid } = req.params;
+    const userId = req.user.id;
+
+    const scene = SceneModel.findByUuid(sceneUuid);
+
+    if (!scene) {
+      return res.status(404).json({
+        error: 'Scene not found'
+      });
+    }
+
+    // Check ownership
+    if (scene.owner_user_id !== userId) {
+      return res.status(403).json({
+        error: 'Access denied'
+      });
+    }
+
+    const { results, states } = await sceneService.activate(scene);
+
+    // Owner and household members with access to the targets
+    homegraphService.reportStateForDevices(states);
+
+    log.device('scene_activate', sceneUuid, userId, { targetCount: results.length });
+
+    res.json({
+      success: results.every(r => r.status !== 'ERROR'),
+      results
+    });
+  } catch (error) {
+    log.error('Activate scene error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to activate scene',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,36 +1,44 @@
 import express from 'express';
-import { GoogleAccountLinkModel, DeviceModel, UserModel } from '../database/models.js';
-import thingsboardService from '../services/thingsboard.service.js';
+import { GoogleAccountLinkModel, DeviceModel, SceneModel, UserModel } from '../database/models.js';
+import thingsboardService, { RpcError } from '../services/thingsboard.service.js';
+import homegraphService from '../services/homegraph.service.js';
+import sceneService from '../services/scene.service.js';
+import householdService from '../services/household.service.js';
 import { log } from '../utils/logger.js';
-import jwt from 'jsonwebtoken';
+import {
+  getDeviceChannels,
+  findDeviceChannel,
+  parseGoogleDeviceId,
+  toGoogleDeviceId,
+  getChannelTelemetryKeys,
+  convertToGoogleDevice,
+  convertToGoogleState,
+  convertGoogleCommandToRpc,
+  convertRpcReplyToGoogle,
+  convertRpcErrorToGoogle
+} from '../utils/channels.js';
+import { getScanConfig, extractDeviceUuidFromScanData } from '../utils/localHome.js';
+import { mapWithConcurrency, runBeforeDeadline } from '../utils/concurrency.js';
+import { isDeviceShared, filterSharedDevices, isSceneShared } from '../utils/sharing.js';
+import { authenticateGoogleRequest } from '../middleware/auth.js';
 
 const router = express.Router();
 
-/**
- * Extract agentUserId from Authorization header
- */
-const extractAgentUserId = (req) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return null;
-  }
+// Google allows ~8s per EXECUTE, leave room for the rest of the request
+const RPC_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS) || 5000;
 
-  const token = authHeader.substring(7);
-  
-  try {
-    const decoded = jwt.decode(token);
-    return decoded?.agentUserId || null;
-  } catch {
-    return null;
-  }
-};
+// QUERY/EXECUTE fan-out: parallel ThingsBoard calls and overall time budget
+const FULFILLMENT_CONCURRENCY = parseInt(process.env.FULFILLMENT_CONCURRENCY) || 6;
+const FULFILLMENT_DEADLINE_MS = parseInt(process.env.FULFILLMENT_DEADLINE_MS) || 7000;
 
 /**
  * POST /smarthome/fulfillment
  * Google Smart Home fulfillment endpoint
  * Handles SYNC, QUERY, EXECUTE, DISCONNECT intents
+ * and the Local Home SDK IDENTIFY, REACHABLE_DEVICES intents
+ * Requests must carry a valid access token of an active account link
  */
-router.post('/fulfillment', async (req, res) => {
+router.post('/fulfillment', authenticateGoogleRequest, async (req, res) => {
   try {
     const { requestId, inputs } = req.body;
 
@@ -44,7 +52,7 @@ router.post('/fulfillment', async (req, res) => {
     const input = inputs[0];
     const intent = input.intent;
 
-    log.google(intent, extractAgentUserId(req), true, { requestId });
+    log.google(intent, req.googleUser.agentUserId, true, { requestId });
 
     // Route to appropriate handler
     switch (intent) {
@@ -60,6 +68,12 @@ router.post('/fulfillment', async (req, res) => {
       case 'action.devices.DISCONNECT':
         return await handleDisconnect(req, res);
       
+      case 'action.devices.IDENTIFY':
+        return await handleIdentify(req, res);
+      
+      case 'action.devices.REACHABLE_DEVICES':
+        return await handleReachableDevices(req, res);
+      
       default:
         log.warn('Unknown intent', { intent });
         return res.status(400).json({
@@ -82,41 +96,101 @@ router.post('/fulfillment', async (req, res) => {
 });
 
 /**
- * SYNC Intent - Return user's devices
+ * GET /smarthome/local/scan-config
+ * Local Home SDK scan configuration for the Actions Console
  */
-async function handleSync(req, res) {
+router.get('/local/scan-config', (req, res) => {
+  res.json({
+    success: true,
+    scanConfig: getScanConfig()
+  });
+});
+
+/**
+ * POST /smarthome/report-state
+ * State change webhook for the ThingsBoard rule chain (REST API Call node)
+ * Body: { "deviceId": "<thingsboard device id>", "telemetry": { "device1_state": 1, ... } }
+ */
+router.post('/report-state', async (req, res) => {
   try {
-    const { requestId } = req.body;
-    const agentUserId = extractAgentUserId(req);
+    const webhookSecret = process.env.THINGSBOARD_WEBHOOK_SECRET;
 
-    if (!agentUserId) {
+    if (!webhookSecret || req.get('x-webhook-secret') !== webhookSecret) {
       return res.status(401).json({
-        requestId,
-        payload: {
-          errorCode: 'authFailure'
-        }
+        error: 'Unauthorized',
+        message: 'Invalid webhook secret'
       });
     }
 
-    // Get user from agent user ID
-    const accountLink = GoogleAccountLinkModel.findByAgentUserId(agentUserId);
-    if (!accountLink) {
-      log.warn('Account link not found', { agentUserId });
-      return res.status(401).json({
-        requestId,
-        payload: {
-          errorCode: 'authFailure'
-        }
+    const { deviceId, telemetry } = req.body;
+
+    if (!deviceId || !telemetry || typeof telemetry !== 'object') {
+      return res.status(400).json({
+        error: 'Invalid request format'
       });
     }
 
+    const device = DeviceModel.findByThingsBoardId(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found'
+      });
+    }
+
+    // Webhook telemetry is flat, convert to the ThingsBoard timeseries shape
+    const timeseries = Object.fromEntries(
+      Object.entries(telemetry).map(([key, value]) => [key, [{ value }]])
+    );
+
+    const states = {};
+    for (const channel of getDeviceChannels(device)) {
+      if (getChannelTelemetryKeys(channel).some(key => key in telemetry)) {
+        states[toGoogleDeviceId(device.device_uuid, channel.id)] = {
+          online: true,
+          ...convertToGoogleState(channel, timeseries)
+        };
+      }
+    }
+
+    DeviceModel.updateOnlineStatus(device.device_uuid, true);
+
+    // Owner and household members with access
+    await homegraphService.reportStateForDevices(states);
+
+    res.json({
+      success: true,
+      reported: Object.keys(states).length
+    });
+  } catch (error) {
+    log.error('Report state webhook error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to report state',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * SYNC Intent - Return user's devices
+ */
+async function handleSync(req, res) {
+  try {
+    const { requestId } = req.body;
+    const { agentUserId, accountLink } = req.googleUser;
+
     const userId = accountLink.user_id;
 
-    // Get user's devices
-    const devices = DeviceModel.findAllForSync(userId);
+    // Get the devices the user can access (own and household) shared through this link
+    const devices = filterSharedDevices(accountLink, householdService.getAccessibleDevices(userId));
+
+    // Convert each panel channel to a Google Home device
+    const googleDevices = devices.flatMap(device =>
+      getDeviceChannels(device).map(channel => convertToGoogleDevice(device, channel))
+    );
 
-    // Convert devices to Google Home format
-    const googleDevices = devices.map(device => convertToGoogleDevice(device));
+    // Scenes are exposed as devices with the Scene trait
+    const scenes = SceneModel.findByOwner(userId).filter(scene => isSceneShared(accountLink, scene));
+    googleDevices.push(...scenes.map(scene => sceneService.convertToGoogleDevice(scene)));
 
     // Update last sync time
     GoogleAccountLinkModel.updateLastSync(agentUserId);
@@ -148,69 +222,46 @@ async function handleSync(req, res) {
 async function handleQuery(req, res) {
   try {
     const { requestId, inputs } = req.body;
-    const agentUserId = extractAgentUserId(req);
-
-    if (!agentUserId) {
-      return res.status(401).json({
-        requestId,
-        payload: {
-          errorCode: 'authFailure'
-        }
-      });
-    }
-
-    const accountLink = GoogleAccountLinkModel.findByAgentUserId(agentUserId);
-    if (!accountLink) {
-      return res.status(401).json({
-        requestId,
-        payload: {
-          errorCode: 'authFailure'
-        }
-      });
-    }
+    const { agentUserId, accountLink } = req.googleUser;
 
     const requestedDevices = inputs[0].payload.devices;
     const deviceStates = {};
 
-    // Query each device
+    // Group requested channels by panel so each panel is queried once
+    const channelsByPanel = new Map();
     for (const reqDevice of requestedDevices) {
-      const deviceId = reqDevice.id; // This is the device UUID
-      
-      try {
-        const device = DeviceModel.findByUuid(deviceId);
-        
-        if (!device || device.owner_user_id !== accountLink.user_id) {
-          deviceStates[deviceId] = {
-            status: 'ERROR',
-            errorCode: 'deviceNotFound'
-          };
-          continue;
-        }
+      const sceneUuid = sceneService.parseGoogleDeviceId(reqDevice.id);
+      if (sceneUuid) {
+        // Scenes are stateless
+        const scene = SceneModel.findByUuid(sceneUuid);
+        deviceStates[reqDevice.id] = isSceneShared(accountLink, scene)
+          ? { status: 'SUCCESS', online: true }
+          : { status: 'ERROR', errorCode: 'deviceNotFound' };
+        continue;
+      }
 
-        // Get device state from ThingsBoard
-        const telemetry = await thingsboardService.getLatestTelemetry(
-          device.thingsboard_device_id,
-          ['device1_state', 'device2_state', 'device3_state', 'device4_state', 'fan_speed']
-        );
+      const { deviceUuid, channelId } = parseGoogleDeviceId(reqDevice.id);
+      if (!channelsByPanel.has(deviceUuid)) {
+        channelsByPanel.set(deviceUuid, []);
+      }
+      channelsByPanel.get(deviceUuid).push({ googleDeviceId: reqDevice.id, channelId });
+    }
 
-        const attributes = await thingsboardService.getDeviceAttributes(
-          device.thingsboard_device_id,
-          'SERVER_SCOPE'
-        );
+    // Query panels concurrently, unanswered panels are reported at the deadline
+    const deadlineAt = Date.now() + FULFILLMENT_DEADLINE_MS;
+    const panelStates = await mapWithConcurrency([...channelsByPanel], FULFILLMENT_CONCURRENCY,
+      ([deviceUuid, requestedChannels]) => runBeforeDeadline(
+        () => queryPanel(deviceUuid, requestedChannels, accountLink),
+        deadlineAt,
+        () => {
+          log.warn('Query deadline exceeded', { deviceUuid });
+          return panelErrorStates(requestedChannels, 'transientError');
+        }
+      )
+    );
 
-        // Convert to Google Home state format
-        deviceStates[deviceId] = {
-          status: 'SUCCESS',
-          online: device.is_online === 1,
-          ...convertToGoogleState(device, telemetry, attributes)
-        };
-      } catch (error) {
-        log.error('Query device error', { deviceId, error: error.message });
-        deviceStates[deviceId] = {
-          status: 'ERROR',
-          errorCode: 'hardError'
-        };
-      }
+    for (const states of panelStates) {
+      Object.assign(deviceStates, states);
     }
 
     log.google('QUERY', agentUserId, true, { deviceCount: requestedDevices.length });
@@ -233,101 +284,106 @@ async function handleQuery(req, res) {
   }
 }
 
+/**
+ * Same error state for every requested channel of a panel
+ */
+function panelErrorStates(requestedChannels, errorCode) {
+  return Object.fromEntries(requestedChannels.map(({ googleDeviceId }) => [
+    googleDeviceId,
+    { status: 'ERROR', errorCode }
+  ]));
+}
+
+/**
+ * Get states of the requested channels of one panel with a single telemetry call
+ */
+async function queryPanel(deviceUuid, requestedChannels, accountLink) {
+  try {
+    const device = DeviceModel.findByUuid(deviceUuid);
+    
+    if (!isDeviceShared(accountLink, device)) {
+      return panelErrorStates(requestedChannels, 'deviceNotFound');
+    }
+
+    const channels = requestedChannels.map(({ channelId }) => findDeviceChannel(device, channelId));
+
+    // Get state of all requested channels from ThingsBoard
+    const telemetry = await thingsboardService.getLatestTelemetry(
+      device.thingsboard_device_id,
+      [...new Set(channels.filter(Boolean).flatMap(getChannelTelemetryKeys))]
+    );
+
+    // Convert to Google Home state format
+    return Object.fromEntries(requestedChannels.map(({ googleDeviceId }, index) => {
+      const channel = channels[index];
+      return [googleDeviceId, channel
+        ? {
+          status: 'SUCCESS',
+          online: device.is_online === 1,
+          ...convertToGoogleState(channel, telemetry)
+        }
+        : {
+          status: 'ERROR',
+          errorCode: 'deviceNotFound'
+        }];
+    }));
+  } catch (error) {
+    log.error('Query device error', { deviceUuid, error: error.message });
+    return panelErrorStates(requestedChannels, 'hardError');
+  }
+}
+
 /**
  * EXECUTE Intent - Execute device commands
  */
 async function handleExecute(req, res) {
   try {
     const { requestId, inputs } = req.body;
-    const agentUserId = extractAgentUserId(req);
-
-    if (!agentUserId) {
-      return res.status(401).json({
-        requestId,
-        payload: {
-          errorCode: 'authFailure'
-        }
-      });
-    }
+    const { accountLink } = req.googleUser;
 
-    const accountLink = GoogleAccountLinkModel.findByAgentUserId(agentUserId);
-    if (!accountLink) {
-      return res.status(401).json({
-        requestId,
-        payload: {
-          errorCode: 'authFailure'
+    const commands = inputs[0].payload.commands;
+    const targets = commands.flatMap(command =>
+      command.devices.map(device => ({ deviceId: device.id, executions: command.execution }))
+    );
+
+    // Execute on all devices concurrently, devices still busy at the deadline are reported as such
+    const deadlineAt = Date.now() + FULFILLMENT_DEADLINE_MS;
+    const outcomes = await mapWithConcurrency(targets, FULFILLMENT_CONCURRENCY,
+      ({ deviceId, executions }) => runBeforeDeadline(
+        () => sceneService.parseGoogleDeviceId(deviceId)
+          ? executeScene(deviceId, executions, accountLink)
+          : executeChannel(deviceId, executions, accountLink),
+        deadlineAt,
+        () => {
+          log.warn('Execute deadline exceeded', { deviceId });
+          return { deviceId, result: { status: 'ERROR', errorCode: 'transientError' }, states: null };
         }
-      });
-    }
+      )
+    );
 
-    const commands = inputs[0].payload.commands;
+    // One commands entry per distinct outcome, as recommended by the fulfillment spec
     const commandResults = [];
+    const resultsByOutcome = new Map();
+    const changedStates = {};
+
+    for (const { deviceId, result, states } of outcomes) {
+      const key = JSON.stringify(result);
+      if (!resultsByOutcome.has(key)) {
+        const entry = { ids: [], ...result };
+        resultsByOutcome.set(key, entry);
+        commandResults.push(entry);
+      }
+      resultsByOutcome.get(key).ids.push(deviceId);
 
-    // Process each command
-    for (const command of commands) {
-      for (const device of command.devices) {
-        const deviceId = device.id;
-        
-        try {
-          const dbDevice = DeviceModel.findByUuid(deviceId);
-          
-          if (!dbDevice || dbDevice.owner_user_id !== accountLink.user_id) {
-            commandResults.push({
-              ids: [deviceId],
-              status: 'ERROR',
-              errorCode: 'deviceNotFound'
-            });
-            continue;
-          }
-
-          // Execute each command
-          for (const execution of command.execution) {
-            const googleCommand = execution.command;
-            const params = execution.params;
-
-            // Convert Google command to ThingsBoard RPC
-            const rpcCommand = convertGoogleCommandToRpc(googleCommand, params, dbDevice);
-            
-            if (rpcCommand) {
-              await thingsboardService.sendRpcCommand(
-                dbDevice.thingsboard_device_id,
-                rpcCommand.method,
-                rpcCommand.params
-              );
-
-              commandResults.push({
-                ids: [deviceId],
-                status: 'SUCCESS',
-                states: {
-                  online: true,
-                  ...rpcCommand.resultState
-                }
-              });
-
-              log.google('EXECUTE', agentUserId, true, { 
-                deviceId, 
-                command: googleCommand,
-                rpcMethod: rpcCommand.method 
-              });
-            } else {
-              commandResults.push({
-                ids: [deviceId],
-                status: 'ERROR',
-                errorCode: 'functionNotSupported'
-              });
-            }
-          }
-        } catch (error) {
-          log.error('Execute command error', { deviceId, error: error.message });
-          commandResults.push({
-            ids: [deviceId],
-            status: 'ERROR',
-            errorCode: 'hardError'
-          });
-        }
+      for (const [id, state] of Object.entries(states || {})) {
+        changedStates[id] = { ...changedStates[id], ...state };
       }
     }
 
+    // Push new states to HomeGraph without delaying the response, for every
+    // household member who can see the devices
+    homegraphService.reportStateForDevices(changedStates);
+
     res.json({
       requestId,
       payload: {
@@ -347,21 +403,151 @@ async function handleExecute(req, res) {
 }
 
 /**
- * DISCONNECT Intent - Unlink account
+ * Run the executions of an EXECUTE command on one panel channel
+ * Executions run in order and stop at the first error
+ * @returns {Promise<{ deviceId, result, states }>} Google result without ids and
+ *   the new states to report
  */
-async function handleDisconnect(req, res) {
+async function executeChannel(deviceId, executions, accountLink) {
+  const { deviceUuid, channelId } = parseGoogleDeviceId(deviceId);
+  const error = (errorCode) => ({ deviceId, result: { status: 'ERROR', errorCode }, states: null });
+
   try {
-    const { requestId } = req.body;
-    const agentUserId = extractAgentUserId(req);
+    const dbDevice = DeviceModel.findByUuid(deviceUuid);
+    const channel = dbDevice ? findDeviceChannel(dbDevice, channelId) : null;
+    
+    if (!channel || !isDeviceShared(accountLink, dbDevice)) {
+      return error('deviceNotFound');
+    }
 
-    if (!agentUserId) {
-      return res.json({
-        requestId,
-        payload: {}
+    // Household members with view permission see the device but cannot command it
+    if (!isDeviceShared(accountLink, dbDevice, 'control')) {
+      return error('functionNotSupported');
+    }
+
+    let status = 'SUCCESS';
+    const states = {};
+
+    for (const execution of executions) {
+      const googleCommand = execution.command;
+      const params = execution.params;
+
+      // Convert Google command to ThingsBoard RPC
+      const rpcCommand = convertGoogleCommandToRpc(googleCommand, params, channel);
+      if (!rpcCommand) {
+        return error('functionNotSupported');
+      }
+
+      // Wait for the panel to confirm so offline devices are reported as such
+      const reply = await thingsboardService.sendTwoWayRpcCommand(
+        dbDevice.thingsboard_device_id,
+        rpcCommand.method,
+        rpcCommand.params,
+        null,
+        RPC_TIMEOUT_MS
+      );
+
+      const result = convertRpcReplyToGoogle(reply, channel, rpcCommand);
+
+      DeviceModel.updateOnlineStatus(deviceUuid, true);
+
+      log.google('EXECUTE', accountLink.google_agent_user_id, result.status !== 'ERROR', { 
+        deviceId, 
+        channelId,
+        command: googleCommand,
+        rpcMethod: rpcCommand.method,
+        status: result.status
       });
+
+      if (result.status === 'ERROR') {
+        return error(result.errorCode);
+      }
+
+      if (result.status === 'PENDING') {
+        status = 'PENDING';
+      }
+      Object.assign(states, result.states);
+    }
+
+    return {
+      deviceId,
+      result: { status, states },
+      // Only confirmed states go to HomeGraph
+      states: status === 'SUCCESS' ? { [deviceId]: states } : null
+    };
+  } catch (err) {
+    log.error('Execute command error', { deviceId, error: err.message, code: err.code });
+
+    if (err instanceof RpcError && err.code === 'timeout') {
+      DeviceModel.updateOnlineStatus(deviceUuid, false);
+    }
+
+    if (err instanceof RpcError) {
+      return { deviceId, result: convertRpcErrorToGoogle(err), states: null };
+    }
+    return error('hardError');
+  }
+}
+
+/**
+ * Activate a scene for EXECUTE
+ * Partial failures are reported with the failing targets in debugString
+ * @returns {Promise<{ deviceId, result, states }>} Google result without ids and
+ *   the new states of the scene targets
+ */
+async function executeScene(deviceId, executions, accountLink) {
+  const scene = SceneModel.findByUuid(sceneService.parseGoogleDeviceId(deviceId));
+
+  if (!isSceneShared(accountLink, scene)) {
+    return { deviceId, result: { status: 'ERROR', errorCode: 'deviceNotFound' }, states: null };
+  }
+
+  const execution = executions.find(e => e.command === 'action.devices.commands.ActivateScene');
+  if (!execution || execution.params?.deactivate) {
+    return { deviceId, result: { status: 'ERROR', errorCode: 'functionNotSupported' }, states: null };
+  }
+
+  try {
+    const { results, states } = await sceneService.activate(scene);
+
+    const failed = results.filter(r => r.status === 'ERROR');
+
+    log.google('EXECUTE', accountLink.google_agent_user_id, failed.length === 0, {
+      deviceId,
+      command: execution.command,
+      targetCount: results.length,
+      failedTargets: failed.map(r => `${r.deviceUuid}:${r.channelId}`)
+    });
+
+    if (failed.length === 0) {
+      const status = results.some(r => r.status === 'PENDING') ? 'PENDING' : 'SUCCESS';
+      return { deviceId, result: { status, states: {} }, states };
     }
 
-    // Disconnect account link
+    return {
+      deviceId,
+      result: {
+        status: 'ERROR',
+        errorCode: failed.length === results.length ? failed[0].errorCode : 'hardError',
+        debugString: `Failed targets: ${failed.map(r => `${r.deviceUuid}:${r.channelId} (${r.errorCode})`).join(', ')}`
+      },
+      states
+    };
+  } catch (error) {
+    log.error('Execute scene error', { deviceId, error: error.message });
+    return { deviceId, result: { status: 'ERROR', errorCode: 'hardError' }, states: null };
+  }
+}
+
+/**
+ * DISCONNECT Intent - Unlink account
+ */
+async function handleDisconnect(req, res) {
+  try {
+    const { requestId } = req.body;
+    const { agentUserId } = req.googleUser;
+
+    // Disconnect account link and revoke its tokens
     GoogleAccountLinkModel.disconnect(agentUserId);
 
     log.google('DISCONNECT', agentUserId, true);
@@ -380,137 +566,96 @@ async function handleDisconnect(req, res) {
 }
 
 /**
- * Convert device to Google Home device format
+ * IDENTIFY Intent - Verify a panel discovered on the LAN
+ * The panel is reported as a proxy for its channels
  */
-function convertToGoogleDevice(device) {
-  const capabilities = device.capabilities || [];
-  
-  // Determine device type and traits based on capabilities
-  let deviceType = 'action.devices.types.OUTLET';
-  let traits = ['action.devices.traits.OnOff'];
-
-  if (capabilities.includes('light') || capabilities.includes('dimmer')) {
-    deviceType = 'action.devices.types.LIGHT';
-    traits = ['action.devices.traits.OnOff'];
-    
-    if (capabilities.includes('dimmer')) {
-      traits.push('action.devices.traits.Brightness');
-    }
-  } else if (capabilities.includes('fan') || capabilities.includes('speed')) {
-    deviceType = 'action.devices.types.FAN';
-    traits = ['action.devices.traits.OnOff', 'action.devices.traits.FanSpeed'];
-  } else if (capabilities.includes('outlet')) {
-    deviceType = 'action.devices.types.OUTLET';
-    traits = ['action.devices.traits.OnOff'];
-  }
+async function handleIdentify(req, res) {
+  try {
+    const { requestId, inputs } = req.body;
+    const { agentUserId, accountLink } = req.googleUser;
 
-  return {
-    id: device.device_uuid,
-    type: deviceType,
-    traits,
-    name: {
-      defaultNames: [device.device_name],
-      name: device.device_label || device.device_name,
-      nicknames: [device.device_label || device.device_name]
-    },
-    willReportState: true,
-    deviceInfo: {
-      manufacturer: 'Smart Home Panel',
-      model: device.device_type,
-      hwVersion: '1.0',
-      swVersion: '1.0'
-    }
-  };
-}
+    const deviceUuid = extractDeviceUuidFromScanData(inputs[0].payload?.device);
+    const device = deviceUuid ? DeviceModel.findByUuid(deviceUuid) : null;
 
-/**
- * Convert device state to Google Home state format
- */
-function convertToGoogleState(device, telemetry, attributes) {
-  const state = { on: false };
-
-  // Parse telemetry for device states
-  if (telemetry) {
-    // For simplicity, check first device state
-    // In production, you'd parse the device's specific state
-    const deviceStates = Object.keys(telemetry)
-      .filter(key => key.includes('device') && key.includes('state'))
-      .map(key => telemetry[key]?.[0]?.value);
-
-    state.on = deviceStates.some(s => s === 1 || s === true);
-
-    // Fan speed
-    if (telemetry.fan_speed && telemetry.fan_speed[0]) {
-      const speed = telemetry.fan_speed[0].value;
-      state.currentFanSpeedSetting = `speed_${speed}`;
+    if (!isDeviceShared(accountLink, device)) {
+      log.warn('IDENTIFY verification failed', { agentUserId, deviceUuid });
+      return res.json({
+        requestId,
+        intent: 'action.devices.IDENTIFY',
+        payload: {
+          errorCode: 'deviceNotFound'
+        }
+      });
     }
-  }
 
-  return state;
+    log.google('IDENTIFY', agentUserId, true, { deviceUuid });
+
+    res.json({
+      requestId,
+      intent: 'action.devices.IDENTIFY',
+      payload: {
+        device: {
+          id: device.device_uuid,
+          isProxy: true,
+          isLocalOnly: true
+        }
+      }
+    });
+  } catch (error) {
+    log.error('IDENTIFY error', { error: error.message });
+    return res.status(500).json({
+      requestId: req.body.requestId,
+      payload: {
+        errorCode: 'hardError',
+        debugString: error.message
+      }
+    });
+  }
 }
 
 /**
- * Convert Google command to ThingsBoard RPC
+ * REACHABLE_DEVICES Intent - List channels reachable through a panel
  */
-function convertGoogleCommandToRpc(googleCommand, params, device) {
-  const capabilities = device.capabilities || [];
-
-  switch (googleCommand) {
-    case 'action.devices.commands.OnOff':
-      // Find the first device to control (in a real implementation, you'd track which sub-device)
-      return {
-        method: 'setDeviceState',
-        params: {
-          device_id: device.device_id || 'device1',
-          state: params.on
-        },
-        resultState: {
-          on: params.on
+async function handleReachableDevices(req, res) {
+  try {
+    const { requestId, inputs } = req.body;
+    const { agentUserId, accountLink } = req.googleUser;
+
+    const proxyId = inputs[0].payload?.device?.id;
+    const device = proxyId ? DeviceModel.findByUuid(proxyId) : null;
+
+    if (!isDeviceShared(accountLink, device)) {
+      return res.json({
+        requestId,
+        intent: 'action.devices.REACHABLE_DEVICES',
+        payload: {
+          errorCode: 'deviceNotFound'
         }
-      };
-
-    case 'action.devices.commands.SetFanSpeed':
-      if (capabilities.includes('fan') || capabilities.includes('speed')) {
-        // Map Google fan speed to hardware speed (0-5)
-        const speedMap = {
-          'speed_0': 0,
-          'speed_1': 1,
-          'speed_2': 2,
-          'speed_3': 3,
-          'speed_4': 4,
-          'speed_5': 5
-        };
-        const speed = speedMap[params.fanSpeed] || 0;
-        
-        return {
-          method: 'setFanSpeed',
-          params: {
-            speed
-          },
-          resultState: {
-            currentFanSpeedSetting: params.fanSpeed
-          }
-        };
+      });
+    }
+
+    const devices = getDeviceChannels(device).map(channel => ({
+      verificationId: toGoogleDeviceId(device.device_uuid, channel.id)
+    }));
+
+    log.google('REACHABLE_DEVICES', agentUserId, true, { deviceUuid: device.device_uuid, deviceCount: devices.length });
+
+    res.json({
+      requestId,
+      intent: 'action.devices.REACHABLE_DEVICES',
+      payload: {
+        devices
       }
-      return null;
-
-    case 'action.devices.commands.BrightnessAbsolute':
-      if (capabilities.includes('dimmer')) {
-        // Convert brightness (0-100) to device-specific range
-        return {
-          method: 'setBrightness',
-          params: {
-            brightness: params.brightness
-          },
-          resultState: {
-            brightness: params.brightness
-          }
-        };
+    });
+  } catch (error) {
+    log.error('REACHABLE_DEVICES error', { error: error.message });
+    return res.status(500).json({
+      requestId: req.body.requestId,
+      payload: {
+        errorCode: 'hardError',
+        debugString: error.message
       }
-      return null;
-
-    default:
-      return null;
+    });
   }
 }
 
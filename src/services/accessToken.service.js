@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import { UserModel, PersonalAccessTokenModel } from '../database/models.js';
+import { log } from '../utils/logger.js';
+
+const TOKEN_PREFIX = 'pat_';
+
+export const TOKEN_SCOPES = [
+  'account:read',
+  'devices:read',
+  'devices:control',
+  'devices:write',
+  'scenes:read',
+  'scenes:write',
+  'scenes:activate',
+  'households:read',
+  'households:write',
+  'admin'
+];
+
+// Scopes that can be limited to one resource, e.g. devices:control:<deviceUuid>
+export const RESOURCE_SCOPES = ['devices:read', 'devices:control', 'devices:write', 'scenes:activate'];
+
+/**
+ * Access Token Service
+ * Personal access tokens for scripts and integrations
+ *
+ * Tokens are sent like session tokens (Authorization: Bearer pat_...) and are
+ * limited to their scopes; routes declare the scope they need with
+ * requireScope. Scopes do not imply each other. Account and credential
+ * management stays with app sessions.
+ */
+class AccessTokenService {
+  constructor() {
+    this.defaultTtlDays = parseInt(process.env.ACCESS_TOKEN_DEFAULT_TTL_DAYS) || 90;
+    this.maxTtlDays = parseInt(process.env.ACCESS_TOKEN_MAX_TTL_DAYS) || 365;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Check the format of a personal access token
+   */
+  isAccessToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  /**
+   * Check a requested scope: a known scope, or a resource scope with an ID
+   */
+  isValidScope(scope) {
+    if (TOKEN_SCOPES.includes(scope)) {
+      return true;
+    }
+
+    const separator = typeof scope === 'string' ? scope.lastIndexOf(':') : -1;
+    return separator > 0 &&
+      RESOURCE_SCOPES.includes(scope.substring(0, separator)) &&
+      /^[\w-]{1,64}$/.test(scope.substring(separator + 1));
+  }
+
+  /**
+   * Create token
+   * @returns {{ token, record }} The token is only available here
+   */
+  create(user, { name, scopes, expiresInDays = this.defaultTtlDays }) {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const days = Math.min(expiresInDays, this.maxTtlDays);
+
+    const record = PersonalAccessTokenModel.create({
+      tokenId: crypto.randomUUID(),
+      userId: user.id,
+      name,
+      tokenHash: this.hashToken(token),
+      scopes: [...new Set(scopes)],
+      expiresAt: Date.now() + days * 24 * 60 * 60 * 1000
+    });
+
+    log.info('Personal access token created', { userId: user.id, tokenId: record.token_id, scopes: record.scopes });
+    return { token, record };
+  }
+
+  /**
+   * Authenticate token
+   * @returns {{ user, record }|null} null if unknown, revoked, expired or the user is inactive
+   */
+  authenticate(token) {
+    const record = PersonalAccessTokenModel.findActiveByHash(this.hashToken(token));
+    const user = record && UserModel.findById(record.user_id);
+    if (!user) {
+      return null;
+    }
+
+    PersonalAccessTokenModel.touch(record.id);
+    return { user, record };
+  }
+
+  /**
+   * Check that scopes allow an action, optionally on one resource
+   * Without resourceId, a scope limited to any resource is enough; the route
+   * narrows its results with scopeResources
+   */
+  hasScope(scopes, scope, resourceId = null) {
+    if (scopes.includes(scope)) {
+      return true;
+    }
+    if (resourceId) {
+      return scopes.includes(`${scope}:${resourceId}`);
+    }
+    return scopes.some(granted => granted.startsWith(`${scope}:`));
+  }
+
+  /**
+   * Resources a scope is limited to
+   * @returns {Set<string>|null} null if not limited to specific resources
+   */
+  scopeResources(scopes, scope) {
+    if (!scopes || scopes.includes(scope)) {
+      return null;
+    }
+
+    return new Set(scopes
+      .filter(granted => granted.startsWith(`${scope}:`))
+      .map(granted => granted.substring(scope.length + 1)));
+  }
+}
+
+export default new AccessTokenService();
@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import { UserModel, UserTokenModel, UserSessionModel, PersonalAccessTokenModel, LoginThrottleModel } from '../database/models.js';
+import mailService from './mail.service.js';
+import adminService from './admin.service.js';
+import { translate } from '../utils/i18n.js';
+import { log } from '../utils/logger.js';
+
+const TOKEN_PURPOSE = {
+  EMAIL_VERIFICATION: 'email_verification',
+  PASSWORD_RESET: 'password_reset'
+};
+
+/**
+ * Account Service
+ * Email verification and password reset through single-use emailed tokens
+ *
+ * Links point to the app/frontend (EMAIL_VERIFICATION_URL, PASSWORD_RESET_URL)
+ * with the token as `token` query parameter; the app posts it back to the API.
+ */
+class AccountService {
+  constructor() {
+    const frontendUrl = process.env.FRONTEND_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+    this.verificationTtlMs = (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+    this.resetTtlMs = (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+    this.verificationUrl = process.env.EMAIL_VERIFICATION_URL || `${frontendUrl}/verify-email`;
+    this.resetUrl = process.env.PASSWORD_RESET_URL || `${frontendUrl}/reset-password`;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Issue a token and build the emailed link for it
+   * Replaces earlier unused tokens of the same purpose
+   */
+  issueLink(user, purpose) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const ttlMs = purpose === TOKEN_PURPOSE.PASSWORD_RESET ? this.resetTtlMs : this.verificationTtlMs;
+
+    UserTokenModel.create({
+      userId: user.id,
+      purpose,
+      tokenHash: this.hashToken(token),
+      email: user.email,
+      expiresAt: Date.now() + ttlMs
+    });
+
+    const link = new URL(purpose === TOKEN_PURPOSE.PASSWORD_RESET ? this.resetUrl : this.verificationUrl);
+    link.searchParams.set('token', token);
+    return link.toString();
+  }
+
+  /**
+   * Find and consume a valid token
+   * @returns {Object|null} Token record, null if unknown, expired or used
+   */
+  consumeToken(token, purpose) {
+    const record = UserTokenModel.findValid(this.hashToken(token), purpose);
+    if (!record || !UserTokenModel.consume(record.id)) {
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Email a verification link to the user's current address
+   */
+  async sendVerificationEmail(user, locale) {
+    const link = this.issueLink(user, TOKEN_PURPOSE.EMAIL_VERIFICATION);
+    const hours = Math.round(this.verificationTtlMs / (60 * 60 * 1000));
+
+    await mailService.send({
+      to: user.email,
+      subject: translate(locale, 'email_verification_subject'),
+      text: translate(locale, 'email_verification_body', { username: user.username, link, hours })
+    });
+  }
+
+  /**
+   * Verify an email address
+   * @returns {Object|null} The user, null if the token is invalid or the email changed since
+   */
+  verifyEmail(token) {
+    const record = this.consumeToken(token, TOKEN_PURPOSE.EMAIL_VERIFICATION);
+    if (!record || !UserModel.markEmailVerified(record.user_id, record.email)) {
+      return null;
+    }
+
+    log.info('Email verified', { userId: record.user_id });
+    return UserModel.findById(record.user_id);
+  }
+
+  /**
+   * Email a password reset link, if a user has the address
+   * Callers must not reveal whether the address is known
+   * @returns {Promise<Object|null>} The user the email was sent to
+   */
+  async requestPasswordReset(email, locale) {
+    const user = UserModel.findByEmail(email);
+    if (!user) {
+      log.info('Password reset requested for unknown email');
+      return null;
+    }
+
+    const link = this.issueLink(user, TOKEN_PURPOSE.PASSWORD_RESET);
+    const minutes = Math.round(this.resetTtlMs / (60 * 1000));
+
+    await mailService.send({
+      to: user.email,
+      subject: translate(locale, 'password_reset_subject'),
+      text: translate(locale, 'password_reset_body', { username: user.username, link, minutes })
+    });
+
+    return user;
+  }
+
+  /**
+   * Set a new password with a reset token
+   * @param {Object} options - { revokeSessions: end all app sessions and revoke
+   *   personal access tokens (default), unlinkAccounts: disconnect Google and other linked accounts }
+   * @returns {Object|null} { user, revokedSessions, revokedTokens, unlinkedAccounts }, null if the token is invalid
+   */
+  resetPassword(token, password, { revokeSessions = true, unlinkAccounts = false } = {}) {
+    const record = this.consumeToken(token, TOKEN_PURPOSE.PASSWORD_RESET);
+    const user = record && UserModel.findById(record.user_id);
+    if (!user) {
+      return null;
+    }
+
+    UserModel.updatePassword(user.id, password);
+
+    // A reset proves control of the account, so it also lifts a login lockout
+    LoginThrottleModel.clear(user.username);
+
+    // The reset link reached this address, so it is verified as well
+    UserModel.markEmailVerified(user.id, record.email);
+
+    const revokedSessions = revokeSessions ? UserSessionModel.revokeAllForUser(user.id) : 0;
+    const revokedTokens = revokeSessions ? PersonalAccessTokenModel.revokeAllForUser(user.id) : 0;
+    // Also removes the agent users from HomeGraph, so Google stops showing the devices
+    const unlinkedAccounts = unlinkAccounts ? adminService.unlinkAccounts(user.id) : 0;
+
+    log.info('Password reset', { userId: user.id, revokedSessions, revokedTokens, unlinkedAccounts });
+
+    return { user, revokedSessions, revokedTokens, unlinkedAccounts };
+  }
+}
+
+export default new AccountService();
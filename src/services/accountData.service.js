@@ -0,0 +1,205 @@
+import {
+  UserModel,
+  DeviceModel,
+  SceneModel,
+  HouseholdModel,
+  UserSessionModel,
+  PersonalAccessTokenModel,
+  GoogleAccountLinkModel,
+  AuditLogModel
+} from '../database/models.js';
+import thingsboardService from './thingsboard.service.js';
+import homegraphService from './homegraph.service.js';
+import householdService from './household.service.js';
+import adminService from './admin.service.js';
+import twoFactorService from './twoFactor.service.js';
+import { log } from '../utils/logger.js';
+
+export const DELETION_DEVICE_ACTIONS = ['delete', 'release'];
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Account Data Service
+ * Personal data export and account deletion
+ *
+ * Deletion is scheduled ACCOUNT_DELETION_GRACE_DAYS ahead. Requesting it
+ * signs the user out everywhere and disconnects linked accounts right away;
+ * until the purge the user can sign in and cancel. The purge deletes or
+ * releases (unassigns from the customer) the user's ThingsBoard devices and
+ * removes the user with everything referencing it, keeping only anonymized
+ * audit log entries.
+ */
+class AccountDataService {
+  constructor() {
+    this.graceMs = (parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Collect the user's personal data
+   * Secrets (password hash, tokens, device access tokens) are left out
+   */
+  export(user) {
+    const households = HouseholdModel.findByUserId(user.id);
+    const householdUuids = new Map(households.map(household => [household.id, household.household_uuid]));
+
+    return {
+      exportedAt: new Date().toISOString(),
+      profile: {
+        backendUserId: user.backend_user_id,
+        username: user.username,
+        email: user.email,
+        emailVerified: Boolean(user.email_verified_at),
+        role: user.role,
+        twoFactorEnabled: twoFactorService.isEnabled(user),
+        thingsboardUserId: user.thingsboard_user_id,
+        thingsboardCustomerId: user.thingsboard_customer_id,
+        createdAt: user.created_at,
+        updatedAt: user.updated_at,
+        deletionScheduledAt: user.deletion_scheduled_at
+      },
+      devices: DeviceModel.findByOwner(user.id).map(device => ({
+        deviceUuid: device.device_uuid,
+        thingsboardDeviceId: device.thingsboard_device_id,
+        deviceName: device.device_name,
+        deviceLabel: device.device_label,
+        deviceType: device.device_type,
+        capabilities: device.capabilities,
+        deviceConfig: device.device_config,
+        householdId: householdUuids.get(device.household_id) || null,
+        provisionedAt: device.provisioned_at,
+        lastSeen: device.last_seen_at
+      })),
+      households: households.map(household => ({
+        householdId: household.household_uuid,
+        name: household.name,
+        role: household.role
+      })),
+      scenes: SceneModel.findByOwner(user.id).map(scene => ({
+        sceneUuid: scene.scene_uuid,
+        name: scene.name,
+        targets: scene.targets,
+        createdAt: scene.created_at
+      })),
+      linkedAccounts: GoogleAccountLinkModel.findAllByUserId(user.id).map(link => ({
+        agentUserId: link.google_agent_user_id,
+        clientId: link.client_id,
+        sharedDevices: link.shared_devices || null,
+        linkedAt: link.linked_at,
+        lastSyncAt: link.last_sync_at
+      })),
+      sessions: UserSessionModel.findActiveByUserId(user.id).map(session => ({
+        deviceName: session.device_name,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at
+      })),
+      accessTokens: PersonalAccessTokenModel.findByUserId(user.id).map(token => ({
+        name: token.name,
+        scopes: token.scopes,
+        createdAt: token.created_at,
+        expiresAt: token.expires_at,
+        lastUsedAt: token.last_used_at
+      })),
+      // LIMIT -1: the whole history
+      auditLog: AuditLogModel.findByUser(user.id, -1).map(entry => ({
+        action: entry.action,
+        resourceType: entry.resource_type,
+        resourceId: entry.resource_id,
+        details: entry.details ? JSON.parse(entry.details) : null,
+        ipAddress: entry.ip_address,
+        userAgent: entry.user_agent,
+        createdAt: entry.created_at
+      }))
+    };
+  }
+
+  /**
+   * Schedule account deletion and cut off access in the meantime
+   * @param {string} deviceAction - 'delete' or 'release' the ThingsBoard devices
+   * @returns {{ scheduledAt, revokedSessions, revokedTokens, unlinkedAccounts }}
+   */
+  requestDeletion(user, deviceAction = 'delete') {
+    const scheduledAt = Date.now() + this.graceMs;
+    UserModel.scheduleDeletion(user.id, { scheduledAt, deviceAction });
+
+    const revokedSessions = UserSessionModel.revokeAllForUser(user.id);
+    const revokedTokens = PersonalAccessTokenModel.revokeAllForUser(user.id);
+    const unlinkedAccounts = adminService.unlinkAccounts(user.id);
+
+    log.info('Account deletion scheduled', { userId: user.id, scheduledAt, deviceAction });
+    return { scheduledAt, revokedSessions, revokedTokens, unlinkedAccounts };
+  }
+
+  /**
+   * Cancel scheduled account deletion
+   * @returns {boolean} False if none was scheduled
+   */
+  cancelDeletion(user) {
+    const cancelled = UserModel.cancelDeletion(user.id);
+    if (cancelled) {
+      log.info('Account deletion cancelled', { userId: user.id });
+    }
+    return cancelled;
+  }
+
+  /**
+   * Purge a user whose deletion is due
+   * ThingsBoard goes first; if it fails nothing is removed and the next run retries
+   */
+  async purge(user) {
+    const deviceAction = user.deletion_device_action || 'delete';
+    const devices = DeviceModel.findByOwnerAnyStatus(user.id);
+
+    // Household members who lose devices, looked up before they are gone
+    const affectedUsers = devices
+      .filter(device => device.is_active === 1)
+      .flatMap(device => householdService.getUsersWithAccess(device))
+      .filter(userId => userId !== user.id);
+
+    for (const device of devices) {
+      if (deviceAction === 'release') {
+        await thingsboardService.unassignDeviceFromCustomer(device.thingsboard_device_id);
+      } else {
+        await thingsboardService.deleteDevice(device.thingsboard_device_id);
+      }
+    }
+
+    UserModel.purge(user.id);
+
+    AuditLogModel.log({
+      action: 'account_purged',
+      resourceType: 'user',
+      details: { devices: devices.length, deviceAction }
+    });
+
+    log.info('Account purged', { userId: user.id, devices: devices.length, deviceAction });
+
+    homegraphService.requestSyncForUsers(affectedUsers);
+  }
+
+  /**
+   * Purge every user whose deletion is due
+   * Failures are logged, never thrown, so callers can fire and forget
+   */
+  async purgeDue() {
+    for (const user of UserModel.findDueForDeletion()) {
+      await this.purge(user).catch(error => {
+        log.error('Account purge error', { userId: user.id, error: error.message });
+      });
+    }
+  }
+
+  /**
+   * Purge due accounts now and then every hour
+   */
+  startPurgeSchedule() {
+    this.purgeDue();
+    this.purgeTimer = setInterval(() => this.purgeDue(), PURGE_INTERVAL_MS);
+    this.purgeTimer.unref();
+  }
+}
+
+export default new AccountDataService();
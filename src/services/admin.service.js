@@ -0,0 +1,108 @@
+import { UserModel, DeviceModel, UserSessionModel, PersonalAccessTokenModel, GoogleAccountLinkModel } from '../database/models.js';
+import thingsboardService from './thingsboard.service.js';
+import homegraphService from './homegraph.service.js';
+import householdService from './household.service.js';
+import { log } from '../utils/logger.js';
+
+export const USER_ROLES = ['user', 'admin'];
+
+/**
+ * Admin Service
+ * User and device administration behind /api/admin
+ *
+ * Admins have the `admin` role. ADMIN_USERNAMES (comma separated) promotes
+ * users on startup, so the first admin can be set without editing the database.
+ */
+class AdminService {
+  /**
+   * Give the admin role to the users listed in ADMIN_USERNAMES
+   */
+  seedFromEnv() {
+    const usernames = (process.env.ADMIN_USERNAMES || '').split(',').map(name => name.trim()).filter(Boolean);
+    if (usernames.length === 0) {
+      return 0;
+    }
+
+    const promoted = UserModel.promoteToAdmin(usernames);
+    if (promoted > 0) {
+      log.info('Users promoted to admin from env', { count: promoted });
+    }
+    return promoted;
+  }
+
+  /**
+   * Deactivate user: ends app sessions, revokes personal access tokens and
+   * disconnects linked accounts
+   * Devices stay with the user and keep being shared with households
+   * @returns {{ revokedSessions, revokedTokens, unlinkedAccounts }|null} null if already inactive
+   */
+  deactivateUser(user) {
+    if (!UserModel.setActive(user.id, false)) {
+      return null;
+    }
+
+    const revokedSessions = UserSessionModel.revokeAllForUser(user.id);
+    const revokedTokens = PersonalAccessTokenModel.revokeAllForUser(user.id);
+    const unlinkedAccounts = this.unlinkAccounts(user.id);
+
+    log.info('User deactivated', { userId: user.id, revokedSessions, revokedTokens, unlinkedAccounts });
+    return { revokedSessions, revokedTokens, unlinkedAccounts };
+  }
+
+  /**
+   * Reactivate user; the user signs in and links accounts again
+   * @returns {boolean} False if already active
+   */
+  activateUser(user) {
+    const activated = UserModel.setActive(user.id, true);
+    if (activated) {
+      log.info('User activated', { userId: user.id });
+    }
+    return activated;
+  }
+
+  /**
+   * Disconnect a user's linked accounts (or one of them) and remove the Google ones from HomeGraph
+   * @returns {number} Number of links disconnected
+   */
+  unlinkAccounts(userId, agentUserId = null) {
+    const links = GoogleAccountLinkModel.findAllByUserId(userId)
+      .filter(link => !agentUserId || link.google_agent_user_id === agentUserId);
+
+    // Only Google links have agent users in HomeGraph
+    const googleAgentUserIds = new Set(GoogleAccountLinkModel.findAllByUserIdAndProvider(userId, 'google')
+      .map(link => link.google_agent_user_id));
+
+    const agentUserIds = links.map(link => link.google_agent_user_id);
+    agentUserIds.forEach(id => GoogleAccountLinkModel.disconnect(id));
+
+    const homegraphAgentUserIds = agentUserIds.filter(id => googleAgentUserIds.has(id));
+    if (homegraphAgentUserIds.length > 0) {
+      homegraphService.deleteAgentUsers(homegraphAgentUserIds);
+    }
+    return agentUserIds.length;
+  }
+
+  /**
+   * Give a device to another user
+   * Moves the ThingsBoard device to the new owner's customer first, so a
+   * failure leaves the device unchanged; the device leaves its household
+   */
+  async reassignDevice(device, newOwner) {
+    const previousUsers = householdService.getUsersWithAccess(device);
+
+    if (newOwner.thingsboard_customer_id) {
+      await thingsboardService.assignDeviceToCustomer(device.thingsboard_device_id, newOwner.thingsboard_customer_id);
+    } else {
+      await thingsboardService.unassignDeviceFromCustomer(device.thingsboard_device_id);
+    }
+
+    DeviceModel.setOwner(device.device_uuid, newOwner.id);
+
+    log.info('Device reassigned', { deviceUuid: device.device_uuid, from: device.owner_user_id, to: newOwner.id });
+
+    homegraphService.requestSyncForUsers([...previousUsers, newOwner.id]);
+  }
+}
+
+export default new AdminService();
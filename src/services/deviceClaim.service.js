@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import { DeviceModel, ProvisioningBatchModel, DeviceClaimModel } from '../database/models.js';
+import thingsboardService from './thingsboard.service.js';
+import homegraphService from './homegraph.service.js';
+import provisioningService from './provisioning.service.js';
+import { log } from '../utils/logger.js';
+
+const KEY_PREFIX = 'pk_';
+
+// No 0/O, 1/I/L: codes are read off a display and typed in
+const CLAIM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CLAIM_CODE_LENGTH = 8;
+
+/**
+ * Device Claim Service
+ * Claim-code provisioning for factory-flashed panels
+ *
+ * A panel provisions itself without user credentials, using the key of its
+ * production batch: it gets its ThingsBoard access token and a short claim
+ * code to show on its display or as a QR code. The user then claims it with
+ * POST /api/device/claim, which makes them the owner. Unclaimed panels stay
+ * with the tenant in ThingsBoard. Claim codes expire after CLAIM_CODE_TTL_HOURS;
+ * the panel can ask for a new one with its access token.
+ */
+class DeviceClaimService {
+  constructor() {
+    this.claimCodeTtlMs = (parseInt(process.env.CLAIM_CODE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+  }
+
+  /**
+   * Create a provisioning batch
+   * @returns {{ key, batch }} The key is only available here
+   */
+  createBatch(admin, { name, maxDevices = null, expiresInDays = null }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const batch = ProvisioningBatchModel.create({
+      batchId: crypto.randomUUID(),
+      name,
+      keyHash: this.hash(key),
+      maxDevices,
+      createdBy: admin.id,
+      expiresAt: expiresInDays ? Date.now() + expiresInDays * 24 * 60 * 60 * 1000 : null
+    });
+
+    log.info('Provisioning batch created', { batchId: batch.batch_id, name, maxDevices });
+    return { key, batch };
+  }
+
+  /**
+   * Find the batch of a provisioning key
+   * @returns {Object|null} null if unknown, revoked or expired
+   */
+  authenticateKey(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+    return ProvisioningBatchModel.findActiveByKeyHash(this.hash(key)) || null;
+  }
+
+  /**
+   * Check that a batch may provision another device
+   */
+  hasCapacity(batch) {
+    return batch.max_devices === null || batch.provisioned_count < batch.max_devices;
+  }
+
+  /**
+   * Generate a claim code, formatted XXXX-XXXX
+   */
+  generateClaimCode() {
+    const chars = Array.from({ length: CLAIM_CODE_LENGTH },
+      () => CLAIM_CODE_ALPHABET[crypto.randomInt(CLAIM_CODE_ALPHABET.length)]);
+    return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+  }
+
+  /**
+   * Hash a claim code as typed: case, spaces and dashes do not matter
+   */
+  hashClaimCode(code) {
+    return this.hash(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''));
+  }
+
+  /**
+   * Provision an unclaimed device: create it in ThingsBoard and issue a claim code
+   * Tracked and rolled back on failure like any provisioning attempt
+   * @returns {Promise<{ claim, claimCode, requestId }>}
+   */
+  async provision(batch, { hardwareId = null, retrySecret = null, deviceName, deviceType, deviceLabel = null, capabilities, deviceConfig = null }) {
+    const claimCode = this.generateClaimCode();
+
+    const { requestId, result: claim } = await provisioningService.run({
+      batchId: batch.id,
+      hardwareId,
+      requestData: { deviceName, deviceType, deviceLabel, capabilities, deviceConfig },
+      deviceName,
+      deviceType,
+      deviceLabel
+    }, ({ deviceUuid, thingsboardDeviceId, accessToken }) => DeviceClaimModel.create({
+      deviceUuid,
+      batchId: batch.id,
+      thingsboardDeviceId,
+      deviceName,
+      deviceType,
+      deviceLabel,
+      capabilities,
+      deviceConfig,
+      accessToken,
+      claimCodeHash: this.hashClaimCode(claimCode),
+      claimExpiresAt: Date.now() + this.claimCodeTtlMs,
+      retrySecretHash: retrySecret ? this.hash(retrySecret) : null
+    }));
+
+    log.device('provision_unclaimed', claim.device_uuid, null, { batchId: batch.batch_id, requestId });
+    return { claim, claimCode, requestId };
+  }
+
+  /**
+   * Check the retry secret a panel sent with its first attempt
+   * The batch key and hardware ID are not enough: the key is shared by the
+   * whole batch and hardware IDs are easy to guess
+   */
+  verifyRetrySecret(claim, retrySecret) {
+    if (!claim.retry_secret_hash || typeof retrySecret !== 'string') {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(claim.retry_secret_hash), Buffer.from(this.hash(retrySecret)));
+  }
+
+  /**
+   * Issue a new claim code for an unclaimed device, replacing the previous one
+   * @returns {{ claimCode, expiresAt }|null} null if claimed meanwhile
+   */
+  renewClaimCode(claim) {
+    const claimCode = this.generateClaimCode();
+    const expiresAt = Date.now() + this.claimCodeTtlMs;
+
+    if (!DeviceClaimModel.setClaimCode(claim.id, this.hashClaimCode(claimCode), expiresAt)) {
+      return null;
+    }
+    return { claimCode, expiresAt };
+  }
+
+  /**
+   * Find the unclaimed device of a claim code
+   */
+  findClaimable(code) {
+    return DeviceClaimModel.findClaimableByCodeHash(this.hashClaimCode(code)) || null;
+  }
+
+  /**
+   * Claim a device: make the user its owner, assign it to the user's
+   * ThingsBoard customer and let linked accounts pick it up
+   * The claim is taken first, so concurrent claims of one code cannot both
+   * reach ThingsBoard; if a later step fails it is released for a retry
+   * @param {Object} options - { deviceName, household }
+   * @returns {Promise<Object|null>} The device, null if claimed meanwhile
+   */
+  async claim(claim, user, { deviceName = null, household = null } = {}) {
+    if (!DeviceClaimModel.markClaimed(claim.id, user.id)) {
+      return null;
+    }
+
+    let assigned = false;
+    try {
+      if (user.thingsboard_customer_id) {
+        await thingsboardService.assignDeviceToCustomer(claim.thingsboard_device_id, user.thingsboard_customer_id);
+        assigned = true;
+      }
+
+      DeviceModel.create({
+        deviceUuid: claim.device_uuid,
+        thingsboardDeviceId: claim.thingsboard_device_id,
+        deviceName: deviceName || claim.device_name,
+        deviceType: claim.device_type,
+        ownerUserId: user.id,
+        accessToken: claim.access_token,
+        capabilities: claim.capabilities,
+        deviceLabel: claim.device_label,
+        deviceConfig: claim.device_config,
+        householdId: household ? household.id : null
+      });
+    } catch (error) {
+      if (assigned) {
+        await thingsboardService.unassignDeviceFromCustomer(claim.thingsboard_device_id).catch(unassignError => {
+          log.error('Failed to unassign device after failed claim', {
+            deviceUuid: claim.device_uuid,
+            error: unassignError.message
+          });
+        });
+      }
+      DeviceClaimModel.unmarkClaimed(claim.id, { claimCodeHash: claim.claim_code_hash, accessToken: claim.access_token });
+      throw error;
+    }
+
+    log.device('claimed', claim.device_uuid, user.id, { thingsboardDeviceId: claim.thingsboard_device_id });
+
+    const device = DeviceModel.findByUuid(claim.device_uuid);
+    homegraphService.requestSyncForDevice(device);
+    return device;
+  }
+}
+
+export default new DeviceClaimService();
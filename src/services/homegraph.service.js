@@ -0,0 +1,318 @@
+import axios from 'axios';
+import fs from 'fs';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { GoogleAccountLinkModel, DeviceModel, StateReportModel } from '../database/models.js';
+import householdService from './household.service.js';
+import { parseGoogleDeviceId } from '../utils/channels.js';
+import { filterSharedStates } from '../utils/sharing.js';
+import { log } from '../utils/logger.js';
+
+const HOMEGRAPH_SCOPE = 'https://www.googleapis.com/auth/homegraph';
+const DEFAULT_TOKEN_URI = 'https://oauth2.googleapis.com/token';
+
+/**
+ * HomeGraph Service
+ * Pushes device state and sync requests to Google HomeGraph API
+ * Uses service account credentials (JWT bearer grant)
+ */
+class HomeGraphService {
+  constructor() {
+    this.baseURL = process.env.HOMEGRAPH_API_URL || 'https://homegraph.googleapis.com';
+    this.credentialsPath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+    this.maxRetries = parseInt(process.env.HOMEGRAPH_MAX_RETRIES) || 3;
+    this.retryDelay = parseInt(process.env.HOMEGRAPH_RETRY_DELAY_MS) || 500;
+    this.credentials = null;
+    this.accessToken = null;
+    this.accessTokenExpiry = null;
+  }
+
+  /**
+   * Check whether service account credentials are configured
+   */
+  isEnabled() {
+    return Boolean(this.credentialsPath);
+  }
+
+  /**
+   * Load service account key file
+   */
+  getCredentials() {
+    if (!this.credentials) {
+      const key = JSON.parse(fs.readFileSync(this.credentialsPath, 'utf8'));
+
+      if (!key.client_email || !key.private_key) {
+        throw new Error('Service account key must contain client_email and private_key');
+      }
+
+      this.credentials = key;
+    }
+
+    return this.credentials;
+  }
+
+  /**
+   * Check that the service account key loads, warning if it does not
+   * Done once before a request, as retrying cannot fix a missing or bad key file
+   */
+  hasCredentials() {
+    try {
+      this.getCredentials();
+      return true;
+    } catch (error) {
+      log.warn('HomeGraph credentials unavailable, skipping request', { credentialsPath: this.credentialsPath, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Get Google access token (cached with auto-refresh)
+   */
+  async getAccessToken() {
+    // Return cached token if valid
+    if (this.accessToken && this.accessTokenExpiry && Date.now() < this.accessTokenExpiry) {
+      return this.accessToken;
+    }
+
+    const credentials = this.getCredentials();
+    const tokenUri = credentials.token_uri || DEFAULT_TOKEN_URI;
+
+    const assertion = jwt.sign(
+      { scope: HOMEGRAPH_SCOPE },
+      credentials.private_key,
+      {
+        algorithm: 'RS256',
+        issuer: credentials.client_email,
+        audience: tokenUri,
+        expiresIn: '1h',
+        ...(credentials.private_key_id && { keyid: credentials.private_key_id })
+      }
+    );
+
+    const response = await axios.post(
+      tokenUri,
+      new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion
+      }).toString(),
+      {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      }
+    );
+
+    this.accessToken = response.data.access_token;
+    this.accessTokenExpiry = Date.now() + ((response.data.expires_in || 3600) * 1000) - 60000; // Refresh 1 min before expiry
+
+    return this.accessToken;
+  }
+
+  /**
+   * Call HomeGraph API with retries on network errors, 429 and 5xx
+   */
+  async request(path, body, method = 'post') {
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      try {
+        const token = await this.getAccessToken();
+
+        const response = await axios.request({
+          method,
+          url: `${this.baseURL}${path}`,
+          data: body,
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+          }
+        });
+
+        return response.data;
+      } catch (error) {
+        lastError = error;
+        const status = error.response?.status;
+
+        if (status === 401) {
+          // Token revoked or expired early, fetch a new one
+          this.accessToken = null;
+        } else if (status && status !== 429 && status < 500) {
+          break;
+        }
+
+        if (attempt < this.maxRetries) {
+          const delay = this.retryDelay * Math.pow(2, attempt);
+          log.warn('HomeGraph request failed, retrying', { path, status, attempt: attempt + 1, delay });
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    throw new Error(`HomeGraph request failed: ${lastError.response?.data?.error?.message || lastError.message}`);
+  }
+
+  /**
+   * Ask Google to re-SYNC devices of an agent user
+   */
+  async requestSync(agentUserId) {
+    if (!this.isEnabled()) {
+      log.debug('HomeGraph disabled, skipping requestSync', { agentUserId });
+      return null;
+    }
+
+    if (!this.hasCredentials()) {
+      return null;
+    }
+
+    const result = await this.request('/v1/devices:requestSync', {
+      agentUserId,
+      async: true
+    });
+
+    log.google('REQUEST_SYNC', agentUserId, true);
+
+    return result;
+  }
+
+  /**
+   * Remove an agent user and all of its devices from HomeGraph
+   */
+  async deleteAgentUser(agentUserId) {
+    if (!this.isEnabled()) {
+      log.debug('HomeGraph disabled, skipping deleteAgentUser', { agentUserId });
+      return null;
+    }
+
+    if (!this.hasCredentials()) {
+      return null;
+    }
+
+    const result = await this.request(
+      `/v1/agentUsers/${encodeURIComponent(agentUserId)}?requestId=${uuidv4()}`,
+      undefined,
+      'delete'
+    );
+
+    log.google('DELETE_AGENT_USER', agentUserId, true);
+
+    return result;
+  }
+
+  /**
+   * Report device states to HomeGraph
+   * @param {string} agentUserId
+   * @param {Object} states - Google device ID → state object
+   */
+  async reportState(agentUserId, states) {
+    if (!this.isEnabled() || Object.keys(states).length === 0 || !this.hasCredentials()) {
+      return null;
+    }
+
+    const result = await this.request('/v1/devices:reportStateAndNotification', {
+      requestId: uuidv4(),
+      agentUserId,
+      payload: {
+        devices: {
+          states
+        }
+      }
+    });
+
+    for (const [googleDeviceId, state] of Object.entries(states)) {
+      StateReportModel.record({
+        googleDeviceId,
+        deviceUuid: parseGoogleDeviceId(googleDeviceId).deviceUuid,
+        state
+      });
+    }
+
+    log.google('REPORT_STATE', agentUserId, true, { deviceCount: Object.keys(states).length });
+
+    return result;
+  }
+
+  /**
+   * Request sync for every linked Google account of a user
+   * Links through other platforms' clients are skipped
+   * Failures are logged, never thrown, so callers can fire and forget
+   */
+  async requestSyncForUser(userId) {
+    const links = GoogleAccountLinkModel.findAllByUserIdAndProvider(userId, 'google');
+
+    await Promise.all(links.map(link =>
+      this.requestSync(link.google_agent_user_id).catch(error => {
+        log.error('HomeGraph requestSync error', { userId, agentUserId: link.google_agent_user_id, error: error.message });
+      })
+    ));
+  }
+
+  /**
+   * Request sync for everyone who can access a device (owner and household members)
+   * Failures are logged, never thrown, so callers can fire and forget
+   */
+  async requestSyncForDevice(device) {
+    await this.requestSyncForUsers(householdService.getUsersWithAccess(device));
+  }
+
+  /**
+   * Request sync for every linked Google account of several users
+   * Failures are logged, never thrown, so callers can fire and forget
+   */
+  async requestSyncForUsers(userIds) {
+    await Promise.all([...new Set(userIds)].map(userId => this.requestSyncForUser(userId)));
+  }
+
+  /**
+   * Delete agent users orphaned by relinking
+   * Failures are logged, never thrown, so callers can fire and forget
+   */
+  async deleteAgentUsers(agentUserIds) {
+    for (const agentUserId of agentUserIds) {
+      await this.deleteAgentUser(agentUserId).catch(error => {
+        log.error('HomeGraph deleteAgentUser error', { agentUserId, error: error.message });
+      });
+    }
+  }
+
+  /**
+   * Report state to every linked Google account of a user
+   * Each account only gets the states of the devices shared with it
+   * Failures are logged, never thrown, so callers can fire and forget
+   */
+  async reportStateForUser(userId, states) {
+    const links = GoogleAccountLinkModel.findAllByUserIdAndProvider(userId, 'google');
+
+    await Promise.all(links.map(link => {
+      const sharedStates = filterSharedStates(link, states);
+      if (Object.keys(sharedStates).length === 0) {
+        return null;
+      }
+
+      return this.reportState(link.google_agent_user_id, sharedStates).catch(error => {
+        log.error('HomeGraph reportState error', { userId, agentUserId: link.google_agent_user_id, error: error.message });
+      });
+    }));
+  }
+
+  /**
+   * Report state to everyone who can access the devices (owner and household
+   * members), each through reportStateForUser
+   * Failures are logged, never thrown, so callers can fire and forget
+   */
+  async reportStateForDevices(states) {
+    const statesByUser = new Map();
+
+    for (const [googleDeviceId, state] of Object.entries(states)) {
+      const device = DeviceModel.findByUuid(parseGoogleDeviceId(googleDeviceId).deviceUuid);
+
+      for (const userId of householdService.getUsersWithAccess(device)) {
+        if (!statesByUser.has(userId)) {
+          statesByUser.set(userId, {});
+        }
+        statesByUser.get(userId)[googleDeviceId] = state;
+      }
+    }
+
+    await Promise.all([...statesByUser].map(([userId, userStates]) => this.reportStateForUser(userId, userStates)));
+  }
+}
+
+export default new HomeGraphService();
@@ -0,0 +1,113 @@
+import { DeviceModel, HouseholdModel, HouseholdMemberModel, DevicePermissionModel } from '../database/models.js';
+
+export const HOUSEHOLD_ROLES = ['owner', 'admin', 'member', 'guest'];
+export const DEVICE_PERMISSIONS = ['view', 'control', 'manage'];
+
+const PERMISSION_LEVELS = { view: 1, control: 2, manage: 3 };
+
+// Default permission of each role on the household's devices
+const ROLE_PERMISSIONS = {
+  owner: 'manage',
+  admin: 'manage',
+  member: 'control',
+  guest: null
+};
+
+/**
+ * Household Service
+ * Device permissions of users sharing devices through households
+ *
+ *   view     see the device and its state (device list, SYNC, QUERY)
+ *   control  send commands (control endpoint, EXECUTE, scenes)
+ *   manage   delete the device, move it between households
+ *
+ * Device owners manage their devices. Household owners and admins manage all
+ * household devices; members and guests get their role default unless a
+ * per-device permission is set.
+ */
+class HouseholdService {
+  /**
+   * Permission for a role, given the member's per-device permission if any
+   */
+  resolvePermission(role, devicePermission) {
+    if (ROLE_PERMISSIONS[role] === 'manage') {
+      return 'manage';
+    }
+    return devicePermission || ROLE_PERMISSIONS[role] || null;
+  }
+
+  /**
+   * Permission of a user on a device
+   * @returns {'manage'|'control'|'view'|null}
+   */
+  getDevicePermission(userId, device) {
+    if (!device) {
+      return null;
+    }
+    if (device.owner_user_id === userId) {
+      return 'manage';
+    }
+    if (!device.household_id) {
+      return null;
+    }
+
+    const membership = HouseholdMemberModel.find(device.household_id, userId);
+    if (!membership) {
+      return null;
+    }
+
+    return this.resolvePermission(membership.role, DevicePermissionModel.find(device.device_uuid, userId)?.permission);
+  }
+
+  /**
+   * Check that a user has at least the required permission on a device
+   */
+  hasDevicePermission(userId, device, required = 'view') {
+    const permission = this.getDevicePermission(userId, device);
+    return Boolean(permission) && PERMISSION_LEVELS[permission] >= PERMISSION_LEVELS[required];
+  }
+
+  /**
+   * Get every device a user can at least view, each with its `permission`
+   */
+  getAccessibleDevices(userId) {
+    const roles = new Map(HouseholdModel.findByUserId(userId).map(household => [household.id, household.role]));
+    const devicePermissions = DevicePermissionModel.findByUserId(userId);
+
+    return DeviceModel.findAccessibleByUser(userId)
+      .map(device => ({
+        ...device,
+        permission: device.owner_user_id === userId
+          ? 'manage'
+          : this.resolvePermission(roles.get(device.household_id), devicePermissions.get(device.device_uuid))
+      }))
+      .filter(device => device.permission);
+  }
+
+  /**
+   * IDs of the users who can at least view a device (owner and household members)
+   */
+  getUsersWithAccess(device) {
+    if (!device) {
+      return [];
+    }
+    if (!device.household_id) {
+      return [device.owner_user_id];
+    }
+
+    const members = HouseholdMemberModel.findByHousehold(device.household_id)
+      .filter(member => this.hasDevicePermission(member.user_id, device))
+      .map(member => member.user_id);
+
+    return [...new Set([device.owner_user_id, ...members])];
+  }
+
+  /**
+   * Household owners and admins manage members, devices and permissions
+   */
+  canManageHousehold(role) {
+    return role === 'owner' || role === 'admin';
+  }
+}
+
+export default new HouseholdService();
@@ -0,0 +1,136 @@
+import { UserModel, LoginThrottleModel, AuditLogModel } from '../database/models.js';
+import { log } from '../utils/logger.js';
+
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Login Throttle Service
+ * Per-username protection against password guessing
+ *
+ * The per-IP rate limit does not stop guessing from many addresses, so failed
+ * sign-ins are also counted per username, in the database so restarts do not
+ * reset them. After LOGIN_DELAY_AFTER_FAILURES failures each attempt has to
+ * wait longer (1s, 2s, 4s, ... up to LOGIN_MAX_DELAY_SECONDS); after
+ * LOGIN_LOCKOUT_THRESHOLD failures the username is locked for
+ * LOGIN_LOCKOUT_MINUTES, doubling with every further lockout up to a day.
+ * Counters reset after a successful sign-in, a password reset, an admin
+ * unlock, or LOGIN_FAILURE_WINDOW_MINUTES without failures.
+ */
+class LoginThrottleService {
+  constructor() {
+    this.delayAfter = parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES) || 3;
+    this.maxDelayMs = (parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30) * 1000;
+    this.threshold = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+    this.lockoutMs = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+    this.windowMs = (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 60) * 60 * 1000;
+  }
+
+  /**
+   * Failure record of a username; null once the window has passed since the
+   * last failure and the end of the last lockout
+   */
+  getRecord(username) {
+    const record = LoginThrottleModel.findByUsername(username);
+    if (!record || Math.max(record.last_failed_at, record.locked_until || 0) < Date.now() - this.windowMs) {
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Check whether a username may try to sign in now
+   * @returns {{ allowed: true }|{ allowed: false, reason: 'locked'|'delay', retryAfter: number }}
+   *   retryAfter in seconds
+   */
+  check(username) {
+    const record = this.getRecord(username);
+    const now = Date.now();
+
+    if (record && record.locked_until > now) {
+      return { allowed: false, reason: 'locked', retryAfter: Math.ceil((record.locked_until - now) / 1000) };
+    }
+
+    if (record && record.failed_count >= this.delayAfter) {
+      const delay = Math.min(1000 * 2 ** (record.failed_count - this.delayAfter), this.maxDelayMs);
+      const readyAt = record.last_failed_at + delay;
+      if (readyAt > now) {
+        return { allowed: false, reason: 'delay', retryAfter: Math.ceil((readyAt - now) / 1000) };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Count a failed sign-in and lock the username when it reaches the threshold
+   * @param {Object} client - { ipAddress, userAgent } for the audit log
+   * @returns {number|null} Lockout end if this failure locked the username
+   */
+  recordFailure(username, client = {}) {
+    const record = this.getRecord(username);
+    const now = Date.now();
+
+    let failedCount = (record ? record.failed_count : 0) + 1;
+    let lockoutCount = record ? record.lockout_count : 0;
+    let lockedUntil = null;
+
+    if (failedCount >= this.threshold) {
+      lockedUntil = now + Math.min(this.lockoutMs * 2 ** lockoutCount, MAX_LOCKOUT_MS);
+      lockoutCount += 1;
+      failedCount = 0;
+    }
+
+    LoginThrottleModel.save(username, { failedCount, lockoutCount, lastFailedAt: now, lockedUntil });
+    LoginThrottleModel.deleteStale(now - this.windowMs);
+
+    if (lockedUntil) {
+      const user = UserModel.findByUsername(username);
+
+      AuditLogModel.log({
+        userId: user ? user.id : null,
+        action: 'account_locked',
+        resourceType: 'user',
+        resourceId: user ? user.backend_user_id : null,
+        details: { username, lockedUntil, lockouts: lockoutCount },
+        ipAddress: client.ipAddress,
+        userAgent: client.userAgent
+      });
+
+      log.warn('Sign-in locked after failed attempts', { username, lockedUntil, lockouts: lockoutCount });
+    }
+
+    return lockedUntil;
+  }
+
+  /**
+   * Reset the counters after a successful sign-in
+   */
+  recordSuccess(username) {
+    LoginThrottleModel.clear(username);
+  }
+
+  /**
+   * End of the running lockout of a username
+   * @returns {number|null}
+   */
+  lockedUntil(username) {
+    const record = this.getRecord(username);
+    return record && record.locked_until > Date.now() ? record.locked_until : null;
+  }
+
+  /**
+   * Lift a lockout and reset the counters
+   * @returns {boolean} False if the username was not locked
+   */
+  unlock(username) {
+    if (!this.lockedUntil(username)) {
+      return false;
+    }
+
+    LoginThrottleModel.clear(username);
+    log.info('Sign-in unlocked', { username });
+    return true;
+  }
+}
+
+export default new LoginThrottleService();
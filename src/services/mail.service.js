@@ -0,0 +1,76 @@
+import fs from 'fs';
+import { join } from 'path';
+import nodemailer from 'nodemailer';
+import { log } from '../utils/logger.js';
+
+/**
+ * Mail Service
+ * Sends account emails through the transport selected by MAIL_TRANSPORT:
+ *
+ *   smtp     SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD
+ *   file     writes each message as .eml into MAIL_FILE_DIR (development, tests)
+ *   console  logs the message (default)
+ */
+class MailService {
+  constructor() {
+    this.transportName = process.env.MAIL_TRANSPORT || 'console';
+    this.from = process.env.MAIL_FROM || 'Smart Home <no-reply@localhost>';
+    this.fileDir = process.env.MAIL_FILE_DIR || './data/mail';
+    this.transport = null;
+  }
+
+  /**
+   * Create the nodemailer transport on first use
+   */
+  getTransport() {
+    if (this.transport) {
+      return this.transport;
+    }
+
+    switch (this.transportName) {
+      case 'smtp':
+        this.transport = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+        });
+        break;
+      case 'file':
+        this.transport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+        break;
+      case 'console':
+        this.transport = nodemailer.createTransport({ jsonTransport: true });
+        break;
+      default:
+        throw new Error(`Unknown MAIL_TRANSPORT: ${this.transportName}`);
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text }
+   */
+  async send({ to, subject, text }) {
+    const info = await this.getTransport().sendMail({ from: this.from, to, subject, text });
+
+    if (this.transportName === 'file') {
+      fs.mkdirSync(this.fileDir, { recursive: true });
+      const file = join(this.fileDir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+      fs.writeFileSync(file, info.message);
+      log.info('Email written to file', { to, subject, file });
+    } else if (this.transportName === 'console') {
+      log.info('Email (console transport)', { to, subject, text });
+    } else {
+      log.info('Email sent', { to, subject, messageId: info.messageId });
+    }
+
+    return info;
+  }
+}
+
+export default new MailService();
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import { OAuthClientModel, GoogleAccountLinkModel } from '../database/models.js';
+import { log } from '../utils/logger.js';
+
+export const OAUTH_PROVIDERS = ['google', 'alexa', 'smartthings', 'custom'];
+export const OAUTH_GRANT_TYPES = ['authorization_code', 'refresh_token'];
+const DEFAULT_SCOPES = ['smart_home'];
+
+/**
+ * OAuth Client Service
+ * Registry of the OAuth clients that can link accounts
+ *
+ * Secrets are random and stored as SHA-256 hashes; a client without a secret
+ * is public (mobile app) and must use PKCE.
+ */
+class OAuthClientService {
+  /**
+   * Hash a client secret for storage
+   */
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Generate a new client secret
+   */
+  generateSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  /**
+   * Register the client configured in env (OAUTH_CLIENT_ID/OAUTH_CLIENT_SECRET)
+   * Only creates it once; afterwards it is managed through the admin API
+   */
+  seedFromEnv() {
+    const clientId = process.env.OAUTH_CLIENT_ID;
+    if (!clientId) {
+      return null;
+    }
+
+    if (!OAuthClientModel.findByClientId(clientId)) {
+      const projectId = process.env.GOOGLE_PROJECT_ID;
+      const redirectUris = process.env.OAUTH_REDIRECT_URI
+        ? process.env.OAUTH_REDIRECT_URI.split(',').map(uri => uri.trim()).filter(Boolean)
+        : [
+          `https://oauth-redirect.googleusercontent.com/r/${projectId}`,
+          `https://oauth-redirect-sandbox.googleusercontent.com/r/${projectId}`
+        ];
+
+      OAuthClientModel.create({
+        clientId,
+        clientSecretHash: process.env.OAUTH_CLIENT_SECRET ? this.hashSecret(process.env.OAUTH_CLIENT_SECRET) : null,
+        name: 'Google Assistant',
+        provider: 'google',
+        redirectUris,
+        scopes: DEFAULT_SCOPES,
+        grantTypes: OAUTH_GRANT_TYPES
+      });
+
+      log.info('OAuth client registered from env', { clientId, redirectUris });
+    }
+
+    const migrated = GoogleAccountLinkModel.assignClientToLegacyLinks(clientId);
+    if (migrated > 0) {
+      log.info('Account links assigned to OAuth client', { clientId, count: migrated });
+    }
+
+    return clientId;
+  }
+
+  /**
+   * Authenticate client credentials
+   * @returns {Object|null} Client, or null if unknown or the secret does not match
+   */
+  authenticate(clientId, clientSecret) {
+    const client = clientId ? OAuthClientModel.findByClientId(clientId) : null;
+    if (!client) {
+      return null;
+    }
+
+    if (this.isPublic(client)) {
+      return client;
+    }
+
+    if (!clientSecret) {
+      return null;
+    }
+
+    const expected = Buffer.from(client.client_secret_hash, 'hex');
+    const actual = Buffer.from(this.hashSecret(clientSecret), 'hex');
+    return crypto.timingSafeEqual(expected, actual) ? client : null;
+  }
+
+  /**
+   * Public clients cannot keep a secret
+   */
+  isPublic(client) {
+    return !client.client_secret_hash;
+  }
+
+  /**
+   * Check redirect URI against the client's registered URIs (exact match)
+   */
+  isRedirectUriAllowed(client, redirectUri) {
+    return client.redirect_uris.includes(redirectUri);
+  }
+
+  /**
+   * Check grant type against the client's allowed grant types
+   */
+  allowsGrantType(client, grantType) {
+    return client.grant_types.includes(grantType);
+  }
+
+  /**
+   * Resolve the scope to grant for a requested scope string
+   * No requested scope grants all of the client's scopes
+   * @returns {string|null} Space separated scope, or null if a scope is not allowed
+   */
+  resolveScope(client, requestedScope) {
+    const requested = requestedScope ? requestedScope.split(' ').filter(Boolean) : client.scopes;
+    if (requested.some(scope => !client.scopes.includes(scope))) {
+      return null;
+    }
+    return requested.join(' ');
+  }
+
+  /**
+   * Register a new client
+   * @returns {{ client: Object, clientSecret: string|null }} Secret is only returned here
+   */
+  create({ clientId = null, name, provider, redirectUris, scopes = DEFAULT_SCOPES, grantTypes = OAUTH_GRANT_TYPES, isPublic = false }) {
+    const id = clientId || crypto.randomBytes(16).toString('hex');
+    const clientSecret = isPublic ? null : this.generateSecret();
+
+    OAuthClientModel.create({
+      clientId: id,
+      clientSecretHash: clientSecret ? this.hashSecret(clientSecret) : null,
+      name,
+      provider,
+      redirectUris,
+      scopes,
+      grantTypes
+    });
+
+    return { client: OAuthClientModel.findByClientId(id), clientSecret };
+  }
+
+  /**
+   * Replace the secret of a confidential client
+   * @returns {string} New secret
+   */
+  rotateSecret(clientId) {
+    const clientSecret = this.generateSecret();
+    OAuthClientModel.updateSecret(clientId, this.hashSecret(clientSecret));
+    return clientSecret;
+  }
+
+  /**
+   * Remove client and disconnect the accounts linked through it
+   * @returns {number} Number of disconnected account links
+   */
+  remove(clientId) {
+    OAuthClientModel.delete(clientId);
+    return GoogleAccountLinkModel.disconnectByClient(clientId);
+  }
+}
+
+export default new OAuthClientService();
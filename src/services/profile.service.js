@@ -0,0 +1,131 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { DeviceProfileModel } from '../database/models.js';
+import { log } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Profile Service
+ * Loads device profiles from JSON files into the database and resolves
+ * the profile of a device
+ *
+ * A profile declares, for each capability, the Google type, traits and
+ * attributes, the telemetry key of each state field, and the RPC method and
+ * params template of each command (see src/profiles/default.json).
+ */
+class ProfileService {
+  constructor() {
+    this.profilesDir = process.env.DEVICE_PROFILES_DIR || join(__dirname, '../profiles');
+    this.defaultProfileName = process.env.DEFAULT_DEVICE_PROFILE || 'default';
+    this.cache = new Map();
+  }
+
+  /**
+   * Validate profile definition
+   * @throws {Error} If the definition is malformed
+   */
+  validate(definition) {
+    if (!definition || typeof definition.name !== 'string' || !definition.name) {
+      throw new Error('Profile name is required');
+    }
+
+    if (!definition.capabilities || typeof definition.capabilities !== 'object') {
+      throw new Error(`Profile ${definition.name}: capabilities are required`);
+    }
+
+    for (const [capability, spec] of Object.entries(definition.capabilities)) {
+      if (!spec.type || !Array.isArray(spec.traits) || spec.traits.length === 0) {
+        throw new Error(`Profile ${definition.name}: capability ${capability} needs type and traits`);
+      }
+
+      for (const [field, state] of Object.entries(spec.states || {})) {
+        if (!state.key) {
+          throw new Error(`Profile ${definition.name}: state ${capability}.${field} needs a telemetry key`);
+        }
+      }
+
+      for (const [command, variants] of Object.entries(spec.commands || {})) {
+        const list = Array.isArray(variants) ? variants : [variants];
+        if (list.some(variant => !variant.method)) {
+          throw new Error(`Profile ${definition.name}: command ${capability}.${command} needs an RPC method`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Load all JSON profiles from the profiles directory into the database
+   * @returns {number} Number of profiles loaded
+   */
+  loadFromDirectory() {
+    if (!fs.existsSync(this.profilesDir)) {
+      log.warn('Device profiles directory not found', { profilesDir: this.profilesDir });
+      return 0;
+    }
+
+    const files = fs.readdirSync(this.profilesDir).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      const definition = JSON.parse(fs.readFileSync(join(this.profilesDir, file), 'utf8'));
+      this.validate(definition);
+
+      DeviceProfileModel.upsert({
+        name: definition.name,
+        description: definition.description || null,
+        definition,
+        source: file
+      });
+    }
+
+    this.cache.clear();
+
+    if (!this.getProfile(this.defaultProfileName)) {
+      throw new Error(`Default device profile not found: ${this.defaultProfileName}`);
+    }
+
+    log.info('Device profiles loaded', { count: files.length, profilesDir: this.profilesDir });
+
+    return files.length;
+  }
+
+  /**
+   * Get profile definition by name (cached)
+   */
+  getProfile(name) {
+    if (!name) {
+      return null;
+    }
+
+    if (!this.cache.has(name)) {
+      const profile = DeviceProfileModel.findByName(name);
+      if (!profile) {
+        return null;
+      }
+      this.cache.set(name, profile.definition);
+    }
+
+    return this.cache.get(name);
+  }
+
+  /**
+   * Resolve profile of a device
+   * Order: device_config.profile, profile named after device_type, default profile
+   */
+  getProfileForDevice(device) {
+    return this.getProfile(device.device_config?.profile) ||
+      this.getProfile(device.device_type) ||
+      this.getProfile(this.defaultProfileName);
+  }
+
+  /**
+   * Get all profiles
+   */
+  list() {
+    return DeviceProfileModel.findAll();
+  }
+}
+
+export default new ProfileService();
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { ProvisioningRequestModel } from '../database/models.js';
+import thingsboardService from './thingsboard.service.js';
+import { log } from '../utils/logger.js';
+
+export const PROVISIONING_STATUS = {
+  PENDING: 'pending',
+  TB_CREATED: 'tb_created',
+  CREDENTIALS_FETCHED: 'credentials_fetched',
+  STORED: 'stored',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const IN_PROGRESS = [
+  PROVISIONING_STATUS.PENDING,
+  PROVISIONING_STATUS.TB_CREATED,
+  PROVISIONING_STATUS.CREDENTIALS_FETCHED,
+  PROVISIONING_STATUS.STORED
+];
+
+// Attempts still in progress after this long were interrupted (e.g. by a restart)
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+/**
+ * Provisioning Service
+ * Device provisioning as a tracked state machine
+ *
+ * Every attempt is a provisioning_requests row that moves from pending to
+ * tb_created (device created in ThingsBoard), credentials_fetched, stored
+ * (saved by the caller) and completed. If a step fails before the device is
+ * stored, the ThingsBoard device is deleted again and the attempt is failed,
+ * so no orphaned devices are left behind. Devices that send a hardware ID
+ * can retry safely: callers look up the previous attempt with findPrevious.
+ */
+class ProvisioningService {
+  /**
+   * Check whether an attempt is still running
+   */
+  isInProgress(request) {
+    return IN_PROGRESS.includes(request.status);
+  }
+
+  /**
+   * Find the previous attempt for a hardware ID
+   * An attempt stuck in progress is failed and rolled back first, so the
+   * device can start over
+   * @returns {Promise<Object|null>} The latest attempt, null if none
+   */
+  async findPrevious(hardwareId) {
+    const request = ProvisioningRequestModel.findLatestByHardwareId(hardwareId);
+    if (!request || !this.isInProgress(request) || request.updated_at > Date.now() - STALE_AFTER_MS) {
+      return request || null;
+    }
+
+    // Stored devices only missed the last status update
+    if (request.status === PROVISIONING_STATUS.STORED) {
+      ProvisioningRequestModel.updateStatus(request.id, PROVISIONING_STATUS.COMPLETED);
+    } else {
+      await this.fail(request, request.thingsboard_device_id, new Error('Provisioning interrupted'));
+    }
+    return ProvisioningRequestModel.findLatestByHardwareId(hardwareId);
+  }
+
+  /**
+   * Provision a device
+   * @param {Object} attempt - { userId, batchId, hardwareId, requestData, deviceName, deviceType, deviceLabel }
+   * @param {Function} store - async ({ requestId, deviceUuid, thingsboardDeviceId, accessToken }) => result;
+   *   saves the device, after any further ThingsBoard setup
+   * @returns {Promise<{ requestId, deviceUuid, thingsboardDeviceId, accessToken, result }>}
+   * @throws {Error} With requestId set, after rolling back
+   */
+  async run({ userId = null, batchId = null, hardwareId = null, requestData = null, deviceName, deviceType, deviceLabel = null }, store) {
+    const request = ProvisioningRequestModel.create({
+      requestId: crypto.randomUUID(),
+      deviceUuid: uuidv4(),
+      userId,
+      batchId,
+      hardwareId,
+      requestData
+    });
+    const { request_id: requestId, device_uuid: deviceUuid } = request;
+
+    log.device('provision_start', deviceUuid, userId, { requestId, deviceName, deviceType, hardwareId });
+
+    let thingsboardDeviceId = null;
+    try {
+      const tbDevice = await thingsboardService.createDevice(deviceName, deviceType, deviceLabel);
+      if (!tbDevice || !tbDevice.id || !tbDevice.id.id) {
+        throw new Error('Failed to create device in ThingsBoard');
+      }
+      thingsboardDeviceId = tbDevice.id.id;
+      ProvisioningRequestModel.updateStatus(request.id, PROVISIONING_STATUS.TB_CREATED, { thingsboardDeviceId });
+
+      const credentials = await thingsboardService.getDeviceCredentials(thingsboardDeviceId);
+      if (!credentials || !credentials.credentialsId) {
+        throw new Error('Failed to get device access token');
+      }
+      const accessToken = credentials.credentialsId;
+      ProvisioningRequestModel.updateStatus(request.id, PROVISIONING_STATUS.CREDENTIALS_FETCHED);
+
+      const result = await store({ requestId, deviceUuid, thingsboardDeviceId, accessToken });
+      ProvisioningRequestModel.updateStatus(request.id, PROVISIONING_STATUS.STORED);
+
+      ProvisioningRequestModel.updateStatus(request.id, PROVISIONING_STATUS.COMPLETED);
+      log.device('provision_success', deviceUuid, userId, { requestId, thingsboardDeviceId });
+
+      return { requestId, deviceUuid, thingsboardDeviceId, accessToken, result };
+    } catch (error) {
+      await this.fail(request, thingsboardDeviceId, error);
+      error.requestId = requestId;
+      throw error;
+    }
+  }
+
+  /**
+   * Fail an attempt, deleting its ThingsBoard device if one was created
+   * A failed deletion is recorded with the attempt for manual cleanup
+   */
+  async fail(request, thingsboardDeviceId, error) {
+    let errorMessage = error.message;
+
+    if (thingsboardDeviceId) {
+      try {
+        await thingsboardService.deleteDevice(thingsboardDeviceId);
+      } catch (rollbackError) {
+        errorMessage += `; ThingsBoard device ${thingsboardDeviceId} could not be deleted: ${rollbackError.message}`;
+      }
+    }
+
+    ProvisioningRequestModel.updateStatus(request.id, PROVISIONING_STATUS.FAILED, { errorMessage });
+    log.error('Device provisioning failed', {
+      requestId: request.request_id,
+      deviceUuid: request.device_uuid,
+      thingsboardDeviceId,
+      error: errorMessage
+    });
+  }
+}
+
+export default new ProvisioningService();
@@ -0,0 +1,187 @@
+import { DeviceModel } from '../database/models.js';
+import householdService from './household.service.js';
+import thingsboardService, { RpcError } from './thingsboard.service.js';
+import {
+  findDeviceChannel,
+  toGoogleDeviceId,
+  convertGoogleCommandToRpc,
+  convertRpcReplyToGoogle,
+  convertRpcErrorToGoogle
+} from '../utils/channels.js';
+import { log } from '../utils/logger.js';
+
+const SCENE_ID_PREFIX = 'scene:';
+
+/**
+ * Scene Service
+ * Converts scenes to Google devices and fans out scene activation
+ * as ThingsBoard RPC commands
+ *
+ * Scene target format:
+ *   { deviceUuid, channelId, state: { on, fanSpeed, brightness } }
+ */
+class SceneService {
+  constructor() {
+    this.rpcTimeout = parseInt(process.env.RPC_TIMEOUT_MS) || 5000;
+  }
+
+  /**
+   * Build Google device ID for a scene
+   */
+  toGoogleDeviceId(sceneUuid) {
+    return `${SCENE_ID_PREFIX}${sceneUuid}`;
+  }
+
+  /**
+   * Get scene UUID from Google device ID (null if not a scene)
+   */
+  parseGoogleDeviceId(googleDeviceId) {
+    return googleDeviceId.startsWith(SCENE_ID_PREFIX)
+      ? googleDeviceId.substring(SCENE_ID_PREFIX.length)
+      : null;
+  }
+
+  /**
+   * Convert scene to Google Home device format
+   */
+  convertToGoogleDevice(scene) {
+    return {
+      id: this.toGoogleDeviceId(scene.scene_uuid),
+      type: 'action.devices.types.SCENE',
+      traits: ['action.devices.traits.Scene'],
+      name: {
+        defaultNames: [scene.name],
+        name: scene.name,
+        nicknames: [scene.name]
+      },
+      willReportState: false,
+      attributes: {
+        sceneReversible: false
+      }
+    };
+  }
+
+  /**
+   * Convert a target state to the equivalent Google commands
+   */
+  toGoogleCommands(state) {
+    const commands = [];
+
+    if (state.on !== undefined) {
+      commands.push({ command: 'action.devices.commands.OnOff', params: { on: Boolean(state.on) } });
+    }
+    if (state.fanSpeed !== undefined) {
+      commands.push(parseInt(state.fanSpeed) > 0
+        ? { command: 'action.devices.commands.SetFanSpeed', params: { fanSpeed: `speed_${parseInt(state.fanSpeed)}` } }
+        : { command: 'action.devices.commands.OnOff', params: { on: false } });
+    }
+    if (state.brightness !== undefined) {
+      commands.push({ command: 'action.devices.commands.BrightnessAbsolute', params: { brightness: parseInt(state.brightness) } });
+    }
+
+    return commands;
+  }
+
+  /**
+   * Validate scene targets against the devices the owner can control
+   * @returns {string|null} Error message or null if valid
+   */
+  validateTargets(targets, ownerUserId) {
+    if (!Array.isArray(targets) || targets.length === 0) {
+      return 'Targets must be a non-empty array';
+    }
+
+    for (const target of targets) {
+      const device = target?.deviceUuid ? DeviceModel.findByUuid(target.deviceUuid) : null;
+      if (!householdService.hasDevicePermission(ownerUserId, device, 'control')) {
+        return `Device not found: ${target?.deviceUuid}`;
+      }
+
+      const channel = findDeviceChannel(device, target.channelId);
+      if (!channel) {
+        return `Channel not found: ${target.deviceUuid}:${target.channelId}`;
+      }
+
+      const commands = this.toGoogleCommands(target.state || {});
+      if (commands.length === 0) {
+        return `Target state is empty: ${target.deviceUuid}:${target.channelId}`;
+      }
+
+      if (commands.some(({ command, params }) => !convertGoogleCommandToRpc(command, params, channel))) {
+        return `Target state not supported by channel: ${target.deviceUuid}:${target.channelId}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Activate scene by sending an RPC per target
+   * Targets are independent, so one failing device does not stop the others
+   * @returns {Promise<{ results: Array, states: Object }>} Per-target results and
+   *   new Google states of the targets that succeeded
+   */
+  async activate(scene) {
+    const states = {};
+
+    const results = await Promise.all(scene.targets.map(async (target) => {
+      const result = { deviceUuid: target.deviceUuid, channelId: target.channelId };
+
+      try {
+        const device = DeviceModel.findByUuid(target.deviceUuid);
+        const channel = device ? findDeviceChannel(device, target.channelId) : null;
+
+        if (!channel || !householdService.hasDevicePermission(scene.owner_user_id, device, 'control')) {
+          return { ...result, status: 'ERROR', errorCode: 'deviceNotFound' };
+        }
+
+        const resultState = {};
+        for (const { command, params } of this.toGoogleCommands(target.state || {})) {
+          const rpcCommand = convertGoogleCommandToRpc(command, params, channel);
+          if (!rpcCommand) {
+            return { ...result, status: 'ERROR', errorCode: 'functionNotSupported' };
+          }
+
+          const reply = await thingsboardService.sendTwoWayRpcCommand(
+            device.thingsboard_device_id,
+            rpcCommand.method,
+            rpcCommand.params,
+            null,
+            this.rpcTimeout
+          );
+
+          const commandResult = convertRpcReplyToGoogle(reply, channel, rpcCommand);
+          if (commandResult.status === 'ERROR') {
+            return { ...result, status: 'ERROR', errorCode: commandResult.errorCode };
+          }
+
+          Object.assign(resultState, commandResult.states);
+        }
+
+        states[toGoogleDeviceId(device.device_uuid, channel.id)] = { online: true, ...resultState };
+
+        return { ...result, status: 'SUCCESS' };
+      } catch (error) {
+        log.error('Scene target error', { sceneUuid: scene.scene_uuid, ...result, error: error.message });
+        if (!(error instanceof RpcError)) {
+          return { ...result, status: 'ERROR', errorCode: 'hardError' };
+        }
+
+        // Pending targets have no confirmed state to report
+        const { status, errorCode } = convertRpcErrorToGoogle(error);
+        return { ...result, status, ...(errorCode && { errorCode }) };
+      }
+    }));
+
+    const failed = results.filter(r => r.status === 'ERROR');
+    log.info('Scene activated', {
+      sceneUuid: scene.scene_uuid,
+      targetCount: results.length,
+      failedCount: failed.length
+    });
+
+    return { results, states };
+  }
+}
+
+export default new SceneService();
@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { UserModel, UserSessionModel } from '../database/models.js';
+import { generateToken } from '../middleware/auth.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Session Service
+ * Refresh sessions of app logins (/api/auth/login)
+ *
+ * A login starts a session with a short-lived access token (JWT carrying the
+ * session ID) and an opaque refresh token `<sessionId>.<secret>`. Refreshing
+ * rotates the refresh token; presenting a rotated token again revokes the
+ * session, since only a copy of the token can be behind that.
+ */
+class SessionService {
+  constructor() {
+    this.sessionTtlMs = (parseInt(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Hash a refresh token secret for storage
+   */
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Access token response for a session
+   */
+  issueTokens(user, sessionId, secret) {
+    const token = generateToken(user, sessionId);
+    const { iat, exp } = jwt.decode(token);
+
+    return {
+      token,
+      refreshToken: `${sessionId}.${secret}`,
+      expiresIn: exp - iat,
+      sessionId
+    };
+  }
+
+  /**
+   * Start a session for a user
+   * @param {Object} client - { deviceName, userAgent, ipAddress }
+   */
+  create(user, { deviceName = null, userAgent = null, ipAddress = null } = {}) {
+    const sessionId = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    UserSessionModel.create({
+      sessionId,
+      userId: user.id,
+      refreshTokenHash: this.hashSecret(secret),
+      deviceName,
+      userAgent,
+      ipAddress,
+      expiresAt: Date.now() + this.sessionTtlMs
+    });
+
+    return this.issueTokens(user, sessionId, secret);
+  }
+
+  /**
+   * Exchange a refresh token for new tokens
+   * @returns {Object|null} Tokens, or null if the token is invalid, revoked or reused
+   */
+  refresh(refreshToken, { userAgent = null, ipAddress = null } = {}) {
+    const [sessionId, secret] = String(refreshToken).split('.');
+    if (!sessionId || !secret) {
+      return null;
+    }
+
+    const session = UserSessionModel.findActive(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const hash = this.hashSecret(secret);
+
+    if (hash !== session.refresh_token_hash) {
+      if (hash === session.previous_refresh_token_hash) {
+        UserSessionModel.revoke(sessionId);
+        log.warn('Refresh token reused, session revoked', { userId: session.user_id, sessionId });
+      }
+      return null;
+    }
+
+    const user = UserModel.findById(session.user_id);
+    if (!user) {
+      UserSessionModel.revoke(sessionId);
+      return null;
+    }
+
+    const newSecret = crypto.randomBytes(32).toString('base64url');
+    UserSessionModel.rotate(sessionId, {
+      refreshTokenHash: this.hashSecret(newSecret),
+      userAgent,
+      ipAddress,
+      expiresAt: Date.now() + this.sessionTtlMs
+    });
+
+    return this.issueTokens(user, sessionId, newSecret);
+  }
+}
+
+export default new SessionService();
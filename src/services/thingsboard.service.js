@@ -1,6 +1,23 @@
 import axios from 'axios';
 import { ThingsBoardSessionModel } from '../database/models.js';
 
+// Network errors that say nothing about the device; a retry may succeed
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * RPC error with the reason ThingsBoard gave for the failure
+ * code: 'timeout' (device did not answer), 'conflict' (device busy),
+ * 'transient' (ThingsBoard unavailable or unreachable), 'failed'
+ */
+export class RpcError extends Error {
+  constructor(message, { status = null, code = 'failed' } = {}) {
+    super(message);
+    this.name = 'RpcError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
 /**
  * ThingsBoard Service
  * Handles all communication with ThingsBoard REST API
@@ -157,6 +174,64 @@ class ThingsBoardService {
     }
   }
 
+  /**
+   * Delete device
+   * A device that no longer exists counts as deleted
+   */
+  async deleteDevice(deviceId) {
+    try {
+      const token = await this.getAdminToken();
+
+      await axios.delete(
+        `${this.baseURL}/api/device/${deviceId}`,
+        {
+          headers: {
+            'X-Authorization': `Bearer ${token}`
+          }
+        }
+      );
+
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return false;
+      }
+      console.error('ThingsBoard delete device error:', error.response?.data || error.message);
+      throw new Error(`Failed to delete device: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Unassign device from its customer (back to the tenant)
+   * @returns {Promise<boolean>} False if the device is gone or already with the tenant
+   */
+  async unassignDeviceFromCustomer(deviceId) {
+    try {
+      const token = await this.getAdminToken();
+
+      await axios.delete(
+        `${this.baseURL}/api/customer/device/${deviceId}`,
+        {
+          headers: {
+            'X-Authorization': `Bearer ${token}`
+          }
+        }
+      );
+
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return false;
+      }
+      // ThingsBoard rejects unassigning a device that has no customer
+      if (error.response?.status === 400 && /isn't assigned/i.test(error.response.data?.message || '')) {
+        return false;
+      }
+      console.error('ThingsBoard unassign device error:', error.response?.data || error.message);
+      throw new Error(`Failed to unassign device: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
   /**
    * Get device by ID
    */
@@ -259,6 +334,51 @@ class ThingsBoardService {
     }
   }
 
+  /**
+   * Send two-way RPC command to device and wait for its reply
+   * Throws RpcError so callers can tell offline, busy and failed devices apart
+   */
+  async sendTwoWayRpcCommand(deviceId, method, params, userToken = null, timeout = 5000) {
+    try {
+      const token = userToken || await this.getAdminToken();
+      
+      const requestBody = {
+        method,
+        params,
+        timeout
+      };
+
+      const response = await axios.post(
+        `${this.baseURL}/api/rpc/twoway/${deviceId}`,
+        requestBody,
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Authorization': `Bearer ${token}`
+          },
+          // Give ThingsBoard time to report its own timeout first
+          timeout: timeout + 2000
+        }
+      );
+
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status || null;
+      console.error('ThingsBoard two-way RPC error:', error.response?.data || error.message);
+
+      let code = 'failed';
+      if (status === 504 || status === 408 || error.code === 'ECONNABORTED') {
+        code = 'timeout';
+      } else if (status === 409) {
+        code = 'conflict';
+      } else if (status >= 500 || (!status && CONNECTION_ERROR_CODES.includes(error.code))) {
+        code = 'transient';
+      }
+
+      throw new RpcError(`RPC command failed: ${error.response?.data?.message || error.message}`, { status, code });
+    }
+  }
+
   /**
    * Get customer devices
    */
@@ -341,6 +461,27 @@ class ThingsBoardService {
     }
   }
 
+  /**
+   * Get the user a JWT token belongs to
+   */
+  async getCurrentUser(userToken) {
+    try {
+      const response = await axios.get(
+        `${this.baseURL}/api/auth/user`,
+        {
+          headers: {
+            'X-Authorization': `Bearer ${userToken}`
+          }
+        }
+      );
+
+      return response.data;
+    } catch (error) {
+      console.error('ThingsBoard get current user error:', error.response?.data || error.message);
+      throw new Error(`Failed to get current user: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
   /**
    * Get user by email
    */
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { UserModel, DeviceModel, ThingsBoardSessionModel } from '../database/models.js';
+import thingsboardService from './thingsboard.service.js';
+import { log } from '../utils/logger.js';
+
+const DEVICE_PAGE_SIZE = 100;
+
+/**
+ * ThingsBoard Account Service
+ * Signs in ThingsBoard customer users during account linking
+ *
+ * Enabled with OAUTH_THINGSBOARD_LOGIN=true. A customer user without a backend
+ * user gets one just in time (without a usable local password), mapped through
+ * thingsboard_user_id, and the customer's devices are imported for it.
+ */
+class ThingsBoardAccountService {
+  isEnabled() {
+    return process.env.OAUTH_THINGSBOARD_LOGIN === 'true';
+  }
+
+  /**
+   * Authenticate with ThingsBoard credentials
+   * @returns {Promise<{ user, created: boolean, importedDevices: number }|null>}
+   *   null if ThingsBoard rejects the credentials or the user is no customer user
+   */
+  async authenticate(username, password) {
+    let session;
+    try {
+      session = await thingsboardService.login(username, password);
+    } catch (error) {
+      log.warn('ThingsBoard linking login failed', { username, error: error.message });
+      return null;
+    }
+
+    const tbUser = await thingsboardService.getCurrentUser(session.token);
+    const customerId = tbUser.customerId?.id;
+
+    // Tenant admins see every device of the tenant, only customer users can link
+    if (tbUser.authority !== 'CUSTOMER_USER' || !customerId) {
+      log.warn('ThingsBoard linking login rejected', { username, authority: tbUser.authority });
+      return null;
+    }
+
+    const { user, created } = this.findOrCreateUser(tbUser);
+
+    ThingsBoardSessionModel.createOrUpdate({
+      userId: user.id,
+      jwtToken: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn
+    });
+
+    const importedDevices = await this.importCustomerDevices(user.id, customerId);
+
+    return { user: UserModel.findById(user.id), created, importedDevices };
+  }
+
+  /**
+   * Find the backend user mapped to a ThingsBoard user, creating it on first login
+   * The customer mapping is refreshed on every login
+   */
+  findOrCreateUser(tbUser) {
+    const thingsboardUserId = tbUser.id.id;
+    const customerId = tbUser.customerId.id;
+
+    const existing = UserModel.findByThingsBoardUserId(thingsboardUserId);
+    if (existing) {
+      if (existing.thingsboard_customer_id !== customerId) {
+        UserModel.updateThingsBoardMapping(existing.id, thingsboardUserId, customerId);
+      }
+      return { user: existing, created: false };
+    }
+
+    // The email is the username unless a backend user already took it
+    const username = UserModel.findByUsername(tbUser.email) ? `tb_${thingsboardUserId}` : tbUser.email;
+    const email = UserModel.findByEmail(tbUser.email) ? null : tbUser.email;
+
+    const user = UserModel.create({
+      username,
+      email,
+      password: crypto.randomBytes(32).toString('base64url'),
+      thingsboardUserId,
+      thingsboardCustomerId: customerId
+    });
+
+    log.info('Backend user created for ThingsBoard user', { userId: user.id, thingsboardUserId });
+
+    return { user, created: true };
+  }
+
+  /**
+   * Import the customer's ThingsBoard devices that are not in the database yet
+   * Channels are derived from the panel's client attributes (device_count, fan_*)
+   * @returns {Promise<number>} Number of imported devices
+   */
+  async importCustomerDevices(userId, customerId) {
+    let imported = 0;
+
+    for (let page = 0; ; page++) {
+      const tbDevices = await thingsboardService.getCustomerDevices(customerId, DEVICE_PAGE_SIZE, page);
+
+      for (const tbDevice of tbDevices) {
+        const existing = DeviceModel.findByThingsBoardId(tbDevice.id.id);
+        if (existing) {
+          if (existing.owner_user_id !== userId) {
+            log.warn('ThingsBoard device already owned by another user', { thingsboardDeviceId: tbDevice.id.id });
+          }
+          continue;
+        }
+
+        try {
+          await this.importDevice(userId, tbDevice);
+          imported++;
+        } catch (error) {
+          log.error('ThingsBoard device import failed', { thingsboardDeviceId: tbDevice.id.id, error: error.message });
+        }
+      }
+
+      if (tbDevices.length < DEVICE_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    if (imported > 0) {
+      log.info('ThingsBoard devices imported', { userId, customerId, count: imported });
+    }
+
+    return imported;
+  }
+
+  /**
+   * Store one ThingsBoard device for a user
+   */
+  async importDevice(userId, tbDevice) {
+    const thingsboardDeviceId = tbDevice.id.id;
+
+    const credentials = await thingsboardService.getDeviceCredentials(thingsboardDeviceId);
+    if (!credentials || !credentials.credentialsId) {
+      throw new Error('Device has no access token');
+    }
+
+    const attributes = Object.fromEntries(
+      (await thingsboardService.getDeviceAttributes(thingsboardDeviceId, 'CLIENT_SCOPE') || [])
+        .map(({ key, value }) => [key, value])
+    );
+    const hasFan = 'fan_on' in attributes || 'fan_speed' in attributes;
+
+    const deviceUuid = uuidv4();
+    DeviceModel.create({
+      deviceUuid,
+      thingsboardDeviceId,
+      deviceName: tbDevice.name,
+      deviceType: tbDevice.type,
+      ownerUserId: userId,
+      accessToken: credentials.credentialsId,
+      capabilities: hasFan ? ['light', 'fan'] : ['light'],
+      deviceLabel: tbDevice.label || null,
+      deviceConfig: {
+        numDevices: parseInt(attributes.device_count) || 1,
+        hasFan
+      }
+    });
+
+    log.device('import', deviceUuid, userId, { thingsboardDeviceId, deviceName: tbDevice.name });
+  }
+}
+
+export default new ThingsBoardAccountService();
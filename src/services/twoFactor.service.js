@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import { UserModel, RecoveryCodeModel } from '../database/models.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from '../utils/totp.js';
+import { log } from '../utils/logger.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Two-Factor Service
+ * Optional TOTP second factor for /api/auth/login and the account linking page
+ *
+ * Enrollment stores a pending secret; it takes effect once the user confirms
+ * a code from the authenticator app, which also issues the recovery codes.
+ * A recovery code can replace a TOTP code once.
+ */
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TOTP_ISSUER || 'Smart Home';
+  }
+
+  isEnabled(user) {
+    return Boolean(user && user.totp_enabled_at);
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Start enrollment with a new secret (replaces a pending one)
+   * @returns {{ secret, otpauthUri }}
+   */
+  startEnrollment(user) {
+    const secret = generateSecret();
+    UserModel.setTotpSecret(user.id, secret);
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, account: user.email || user.username, issuer: this.issuer })
+    };
+  }
+
+  /**
+   * Enable two-factor authentication with a code for the pending secret
+   * @returns {string[]|null} Recovery codes, null if the code is wrong or no enrollment is pending
+   */
+  confirmEnrollment(user, code) {
+    if (!user.totp_secret || this.isEnabled(user)) {
+      return null;
+    }
+
+    const step = verifyCode(user.totp_secret, code);
+    if (step === null) {
+      return null;
+    }
+
+    UserModel.enableTotp(user.id, step);
+    log.info('Two-factor authentication enabled', { userId: user.id });
+
+    return this.regenerateRecoveryCodes(user.id);
+  }
+
+  /**
+   * Replace the user's recovery codes
+   * @returns {string[]} New codes, shown to the user once
+   */
+  regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.substring(0, 5)}-${hex.substring(5)}`;
+    });
+
+    RecoveryCodeModel.replaceForUser(userId, codes.map(code => this.hashRecoveryCode(code)));
+    return codes;
+  }
+
+  /**
+   * Check a second factor: a TOTP code or an unused recovery code
+   * @returns {'totp'|'recovery'|null} Kind of the accepted code, null if rejected
+   */
+  verify(user, code) {
+    if (!this.isEnabled(user) || !code) {
+      return null;
+    }
+
+    const step = verifyCode(user.totp_secret, code);
+    if (step !== null) {
+      // A code is valid for its whole time window; accept it once
+      return UserModel.useTotpStep(user.id, step) ? 'totp' : null;
+    }
+
+    if (RecoveryCodeModel.consume(user.id, this.hashRecoveryCode(code))) {
+      log.info('Recovery code used', { userId: user.id, remaining: RecoveryCodeModel.countUnused(user.id) });
+      return 'recovery';
+    }
+
+    return null;
+  }
+
+  /**
+   * Disable two-factor authentication and drop the recovery codes
+   */
+  disable(userId) {
+    UserModel.disableTotp(userId);
+    RecoveryCodeModel.deleteForUser(userId);
+    log.info('Two-factor authentication disabled', { userId });
+  }
+}
+
+export default new TwoFactorService();
@@ -0,0 +1,375 @@
+import profileService from '../services/profile.service.js';
+
+/**
+ * Channel model for multi-channel smart home panels
+ *
+ * A panel (one `devices` row) drives several independent loads: relays
+ * `device1`..`deviceN` and an optional `fan`. Each channel is exposed to
+ * Google as its own device with the ID `<device_uuid>:<channelId>`.
+ *
+ * How a channel maps to Google types, traits, telemetry keys and RPC commands
+ * is declared by the device profile (see profile.service.js), never here.
+ */
+
+const CHANNEL_SEPARATOR = ':';
+const DEFAULT_FAN_SPEED_LEVELS = 5;
+
+/**
+ * Template filters usable as `{name|filter}` in profile templates
+ */
+const TEMPLATE_FILTERS = {
+  number: (value) => Number(value),
+  boolean: (value) => value === 1 || value === true || value === '1' || value === 'true',
+  // Google fan speed name (speed_N) to hardware speed, undefined if out of range
+  speedLevel: (value, context) => {
+    const speed = parseInt(String(value).replace('speed_', ''));
+    return speed >= 0 && speed <= context.speedLevels ? speed : undefined;
+  },
+  fanSpeeds: (value) => ({
+    speeds: Array.from({ length: parseInt(value) }, (_, i) => ({
+      speed_name: `speed_${i + 1}`,
+      speed_values: [{ speed_synonym: [`speed ${i + 1}`], lang: 'en' }]
+    })),
+    ordered: true
+  })
+};
+
+/**
+ * State formats usable in profile `states` (telemetry value → Google value)
+ * ThingsBoard returns telemetry values as strings
+ */
+const STATE_FORMATS = {
+  boolean: TEMPLATE_FILTERS.boolean,
+  number: (value) => Number(value),
+  nonZero: (value) => (parseInt(value) || 0) > 0,
+  fanSpeedName: (value) => ((parseInt(value) || 0) > 0 ? `speed_${parseInt(value)}` : undefined)
+};
+
+const PLACEHOLDER = /\{(\w+)(?:\|(\w+))?\}/g;
+const WHOLE_PLACEHOLDER = /^\{(\w+)(?:\|(\w+))?\}$/;
+
+/**
+ * Resolve a single placeholder
+ */
+const resolvePlaceholder = (name, filter, context) => {
+  const value = context[name];
+  if (value === undefined) {
+    return undefined;
+  }
+  return filter ? TEMPLATE_FILTERS[filter]?.(value, context) : value;
+};
+
+/**
+ * Render a profile template against a context
+ * A string that is a single placeholder keeps the value's type
+ * Returns undefined if any placeholder cannot be resolved
+ */
+const renderTemplate = (template, context) => {
+  if (Array.isArray(template)) {
+    const items = template.map(item => renderTemplate(item, context));
+    return items.includes(undefined) ? undefined : items;
+  }
+
+  if (template && typeof template === 'object') {
+    const entries = Object.entries(template).map(([key, value]) => [key, renderTemplate(value, context)]);
+    return entries.some(([, value]) => value === undefined) ? undefined : Object.fromEntries(entries);
+  }
+
+  if (typeof template !== 'string') {
+    return template;
+  }
+
+  const whole = template.match(WHOLE_PLACEHOLDER);
+  if (whole) {
+    return resolvePlaceholder(whole[1], whole[2], context);
+  }
+
+  let unresolved = false;
+  const rendered = template.replace(PLACEHOLDER, (_, name, filter) => {
+    const value = resolvePlaceholder(name, filter, context);
+    if (value === undefined) unresolved = true;
+    return String(value);
+  });
+
+  return unresolved ? undefined : rendered;
+};
+
+/**
+ * Template context of a channel
+ */
+const channelContext = (channel) => ({
+  channel: channel.id,
+  speedLevels: channel.speedLevels
+});
+
+/**
+ * Build Google device ID for a panel channel
+ */
+export const toGoogleDeviceId = (deviceUuid, channelId) => {
+  return `${deviceUuid}${CHANNEL_SEPARATOR}${channelId}`;
+};
+
+/**
+ * Split Google device ID into panel UUID and channel ID
+ * IDs without a channel suffix address the first relay (legacy IDs)
+ */
+export const parseGoogleDeviceId = (googleDeviceId) => {
+  const index = googleDeviceId.lastIndexOf(CHANNEL_SEPARATOR);
+  if (index === -1) {
+    return { deviceUuid: googleDeviceId, channelId: 'device1' };
+  }
+
+  return {
+    deviceUuid: googleDeviceId.substring(0, index),
+    channelId: googleDeviceId.substring(index + 1)
+  };
+};
+
+/**
+ * Get channels for a device from its config and capabilities
+ *
+ * Supported device_config shapes:
+ *   { devices: [{ label, type, dimmable }], fan: { enabled, speedLevels } }
+ *   { numDevices: 4, hasFan: true }
+ *
+ * Relay `type` can be any capability declared by the device profile.
+ * Channels whose capability the profile does not declare are skipped.
+ */
+export const getDeviceChannels = (device) => {
+  const capabilities = device.capabilities || [];
+  const config = device.device_config || {};
+  const profile = profileService.getProfileForDevice(device);
+  const channels = [];
+
+  const defaultType = capabilities.includes('light') || capabilities.includes('dimmer')
+    ? 'light'
+    : 'outlet';
+
+  const relayCapability = (type, dimmable) => {
+    if (dimmable && (type === 'light' || type === undefined)) {
+      return 'dimmer';
+    }
+    return type || defaultType;
+  };
+
+  if (Array.isArray(config.devices)) {
+    config.devices.forEach((entry, index) => {
+      channels.push({
+        id: `device${index + 1}`,
+        index: index + 1,
+        capability: relayCapability(entry.type, entry.dimmable === true),
+        label: entry.label || null
+      });
+    });
+  } else {
+    // Panels without an explicit layout get one relay unless told otherwise
+    const relayCount = parseInt(config.numDevices) ||
+      (capabilities.some(c => ['light', 'dimmer', 'outlet'].includes(c)) ? 1 : 0);
+
+    for (let i = 1; i <= relayCount; i++) {
+      channels.push({
+        id: `device${i}`,
+        index: i,
+        capability: relayCapability(defaultType, capabilities.includes('dimmer')),
+        label: null
+      });
+    }
+  }
+
+  const hasFan = config.fan
+    ? config.fan.enabled !== false
+    : (config.hasFan === true || capabilities.includes('fan') || capabilities.includes('speed'));
+
+  if (hasFan) {
+    channels.push({
+      id: 'fan',
+      index: null,
+      capability: 'fan',
+      label: config.fan?.label || null,
+      speedLevels: parseInt(config.fan?.speedLevels) || DEFAULT_FAN_SPEED_LEVELS
+    });
+  }
+
+  return channels
+    .map(channel => ({ ...channel, definition: profile?.capabilities[channel.capability] }))
+    .filter(channel => channel.definition);
+};
+
+/**
+ * Find a single channel of a device
+ */
+export const findDeviceChannel = (device, channelId) => {
+  return getDeviceChannels(device).find(channel => channel.id === channelId) || null;
+};
+
+/**
+ * Get telemetry keys holding a channel's state
+ */
+export const getChannelTelemetryKeys = (channel) => {
+  const context = channelContext(channel);
+  return [...new Set(
+    Object.values(channel.definition.states || {}).map(state => renderTemplate(state.key, context))
+  )];
+};
+
+/**
+ * Convert a device channel to Google Home device format
+ */
+export const convertToGoogleDevice = (device, channel) => {
+  const { definition } = channel;
+  const baseName = device.device_label || device.device_name;
+  const channelName = channel.label ||
+    [baseName, definition.label || channel.capability, channel.index].filter(Boolean).join(' ');
+  const attributes = definition.attributes
+    ? renderTemplate(definition.attributes, channelContext(channel))
+    : undefined;
+
+  const googleDeviceId = toGoogleDeviceId(device.device_uuid, channel.id);
+
+  return {
+    id: googleDeviceId,
+    type: definition.type,
+    traits: definition.traits,
+    name: {
+      defaultNames: [`${device.device_name} ${channel.id}`],
+      name: channelName,
+      nicknames: [channelName]
+    },
+    willReportState: true,
+    ...(attributes && { attributes }),
+    deviceInfo: {
+      manufacturer: 'Smart Home Panel',
+      model: device.device_type,
+      hwVersion: '1.0',
+      swVersion: '1.0'
+    },
+    // Local Home SDK: matches the verificationId returned for REACHABLE_DEVICES
+    otherDeviceIds: [{ deviceId: googleDeviceId }],
+    customData: {
+      deviceUuid: device.device_uuid,
+      channelId: channel.id,
+      channelType: channel.capability
+    }
+  };
+};
+
+/**
+ * Convert channel telemetry to Google Home state format
+ */
+export const convertToGoogleState = (channel, telemetry) => {
+  const context = channelContext(channel);
+  const state = {};
+
+  for (const [field, spec] of Object.entries(channel.definition.states || {})) {
+    const raw = telemetry?.[renderTemplate(spec.key, context)]?.[0]?.value;
+    const format = STATE_FORMATS[spec.format];
+    const value = format ? format(raw) : raw;
+
+    // Missing telemetry reads as "off" for OnOff, other fields are omitted
+    if (value !== undefined && (raw !== undefined || field === 'on')) {
+      state[field] = value;
+    }
+  }
+
+  return state;
+};
+
+/**
+ * Convert Google command for a channel to ThingsBoard RPC
+ * Returns null if the profile does not support the command with these params
+ */
+export const convertGoogleCommandToRpc = (googleCommand, params, channel) => {
+  const variants = channel.definition.commands?.[googleCommand];
+  if (!variants) {
+    return null;
+  }
+
+  const variant = (Array.isArray(variants) ? variants : [variants]).find(candidate =>
+    !candidate.when || Object.entries(candidate.when).every(([key, value]) => params[key] === value)
+  );
+  if (!variant) {
+    return null;
+  }
+
+  const context = { ...params, ...channelContext(channel) };
+  const rpcParams = renderTemplate(variant.params || {}, context);
+  const resultState = renderTemplate(variant.state || {}, context);
+
+  if (rpcParams === undefined || resultState === undefined) {
+    return null;
+  }
+
+  return {
+    method: variant.method,
+    params: rpcParams,
+    resultState
+  };
+};
+
+/**
+ * Convert a two-way RPC reply to a Google EXECUTE result
+ *
+ * Panels reply with `{ success, <telemetry keys>... }`. Telemetry keys in the
+ * reply are the state the device confirms; without them the commanded state
+ * is assumed. `{ pending: true }` (or a bare persistent `rpcId`) means the
+ * command was accepted but not applied yet.
+ */
+export const convertRpcReplyToGoogle = (reply, channel, rpcCommand) => {
+  const body = reply && typeof reply === 'object' ? reply : {};
+
+  if (body.success === false) {
+    const reason = body.error || body.reason;
+    return {
+      status: 'ERROR',
+      errorCode: reason === 'deviceTurnedOff' || reason === 'turned_off' ? 'deviceTurnedOff' : 'hardError'
+    };
+  }
+
+  if (body.pending === true || (body.rpcId && Object.keys(body).length === 1)) {
+    return {
+      status: 'PENDING',
+      states: { online: true, ...rpcCommand.resultState }
+    };
+  }
+
+  const confirmedKeys = getChannelTelemetryKeys(channel).filter(key => key in body);
+  const confirmedState = confirmedKeys.length > 0
+    ? convertToGoogleState(channel, Object.fromEntries(confirmedKeys.map(key => [key, [{ value: body[key] }]])))
+    : rpcCommand.resultState;
+
+  return {
+    status: 'SUCCESS',
+    states: { online: true, ...confirmedState }
+  };
+};
+
+/**
+ * Convert an RPC failure to a Google EXECUTE result
+ * A conflict (409) means the panel is still busy with an earlier command and
+ * has queued this one, so it is pending rather than failed
+ */
+export const convertRpcErrorToGoogle = (error) => {
+  switch (error.code) {
+    case 'timeout':
+      return { status: 'ERROR', errorCode: 'deviceOffline' };
+    case 'conflict':
+      return { status: 'PENDING', states: { online: true } };
+    case 'transient':
+      return { status: 'ERROR', errorCode: 'transientError' };
+    default:
+      return { status: 'ERROR', errorCode: 'hardError' };
+  }
+};
+
+export default {
+  toGoogleDeviceId,
+  parseGoogleDeviceId,
+  getDeviceChannels,
+  findDeviceChannel,
+  getChannelTelemetryKeys,
+  convertToGoogleDevice,
+  convertToGoogleState,
+  convertGoogleCommandToRpc,
+  convertRpcReplyToGoogle,
+  convertRpcErrorToGoogle
+};
@@ -0,0 +1,54 @@
+/**
+ * Concurrency helpers for fulfillment fan-out
+ *
+ * Google gives a fulfillment request a few seconds in total, so work for many
+ * devices runs concurrently (capped, to go easy on ThingsBoard) and anything
+ * still running at the deadline is answered with a fallback instead.
+ */
+
+/**
+ * Map items with at most `limit` calls of `fn` in flight
+ * Results keep the order of `items`
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+};
+
+/**
+ * Run `fn` unless the deadline has passed, resolving to `fallback()` if it
+ * does not settle before the deadline
+ * `fn` is not cancelled; its late result is ignored
+ * @param {number} deadlineAt - Epoch milliseconds
+ */
+export const runBeforeDeadline = (fn, deadlineAt, fallback) => {
+  const remaining = deadlineAt - Date.now();
+  if (remaining <= 0) {
+    return Promise.resolve(fallback());
+  }
+
+  let timer;
+  const expired = new Promise(resolve => {
+    timer = setTimeout(() => resolve(fallback()), remaining);
+  });
+
+  return Promise.race([Promise.resolve().then(fn), expired])
+    .finally(() => clearTimeout(timer));
+};
+
+export default {
+  mapWithConcurrency,
+  runBeforeDeadline
+};
@@ -0,0 +1,61 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Translations of the server-rendered pages (src/locales/<locale>.json)
+ *
+ * Messages are flat key/value maps; `{name}` placeholders are filled from
+ * params. Missing keys fall back to English.
+ */
+
+const LOCALES_DIR = join(__dirname, '../locales');
+
+export const DEFAULT_LOCALE = 'en';
+
+const messages = Object.fromEntries(
+  fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [file.replace(/\.json$/, ''), JSON.parse(fs.readFileSync(join(LOCALES_DIR, file), 'utf8'))])
+);
+
+// Default first, so `Accept-Language: *` selects it
+export const SUPPORTED_LOCALES = [DEFAULT_LOCALE, ...Object.keys(messages).filter(locale => locale !== DEFAULT_LOCALE)];
+
+/**
+ * Pick the best supported locale for a request from its Accept-Language header
+ */
+export const selectLocale = (req) => {
+  return req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+};
+
+const format = (message, params) => {
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+/**
+ * Translate a message key
+ */
+export const translate = (locale, key, params = {}) => {
+  const message = messages[locale]?.[key] ?? messages[DEFAULT_LOCALE][key] ?? key;
+  return format(message, params);
+};
+
+/**
+ * All messages of a locale with params filled in, for templates
+ */
+export const getMessages = (locale, params = {}) => {
+  const merged = { ...messages[DEFAULT_LOCALE], ...messages[locale] };
+  return Object.fromEntries(Object.entries(merged).map(([key, message]) => [key, format(message, params)]));
+};
+
+export default {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  selectLocale,
+  translate,
+  getMessages
+};
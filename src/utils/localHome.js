@@ -0,0 +1,77 @@
+/**
+ * Local Home SDK helpers
+ *
+ * Panels advertise themselves on the LAN over mDNS (TXT record `uuid=<device_uuid>`)
+ * and answer UDP discovery broadcasts with `uuid=<device_uuid>`. The device UUID
+ * is the verification key that ties a discovered panel to its cloud devices.
+ */
+
+const DEFAULT_MDNS_SERVICE = '_smarthome-panel._tcp.local';
+const DEFAULT_UDP_DISCOVERY_PORT = 3311;
+const DEFAULT_UDP_LISTEN_PORT = 3312;
+const DEFAULT_UDP_DISCOVERY_PACKET = 'smarthome-panel-discover';
+const DEFAULT_DEVICE_PORT = 80;
+
+/**
+ * Get scan configuration for the Actions Console (Develop → Actions → On-device testing)
+ */
+export const getScanConfig = () => {
+  const discoveryPacket = process.env.LOCAL_UDP_DISCOVERY_PACKET || DEFAULT_UDP_DISCOVERY_PACKET;
+
+  return {
+    mdnsScanConfig: {
+      serviceName: process.env.LOCAL_MDNS_SERVICE || DEFAULT_MDNS_SERVICE
+    },
+    udpScanConfig: {
+      broadcastAddress: '255.255.255.255',
+      broadcastPort: parseInt(process.env.LOCAL_UDP_DISCOVERY_PORT) || DEFAULT_UDP_DISCOVERY_PORT,
+      listenPort: parseInt(process.env.LOCAL_UDP_LISTEN_PORT) || DEFAULT_UDP_LISTEN_PORT,
+      discoveryPacket: Buffer.from(discoveryPacket).toString('hex')
+    },
+    devicePort: parseInt(process.env.LOCAL_DEVICE_PORT) || DEFAULT_DEVICE_PORT
+  };
+};
+
+/**
+ * Parse `key=value` pairs into an object
+ */
+const parsePairs = (pairs) => {
+  return Object.fromEntries(
+    pairs
+      .filter(pair => typeof pair === 'string' && pair.includes('='))
+      .map(pair => [pair.substring(0, pair.indexOf('=')).trim(), pair.substring(pair.indexOf('=') + 1).trim()])
+  );
+};
+
+/**
+ * Extract the device UUID from IDENTIFY scan data
+ * @param {Object} scanDevice - `inputs[0].payload.device` of an IDENTIFY request
+ */
+export const extractDeviceUuidFromScanData = (scanDevice) => {
+  if (!scanDevice) {
+    return null;
+  }
+
+  if (scanDevice.mdnsScanData) {
+    const txt = scanDevice.mdnsScanData.txt || scanDevice.mdnsScanData.data || [];
+    const record = parsePairs(Array.isArray(txt) ? txt : [txt]);
+    if (record.uuid) {
+      return record.uuid;
+    }
+  }
+
+  if (scanDevice.udpScanData?.data) {
+    const payload = Buffer.from(scanDevice.udpScanData.data, 'hex').toString('utf8');
+    const record = parsePairs(payload.split(/[;\n]/));
+    if (record.uuid) {
+      return record.uuid;
+    }
+  }
+
+  return null;
+};
+
+export default {
+  getScanConfig,
+  extractDeviceUuidFromScanData
+};
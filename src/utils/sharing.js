@@ -0,0 +1,66 @@
+/**
+ * Device sharing of account links
+ *
+ * On the consent screen the user picks which devices a linked account may see.
+ * The selection is stored on the link as device UUIDs; a link without a
+ * selection (linked before the consent screen, or "share new devices too")
+ * shares every device the user can access, own or through a household.
+ */
+import { parseGoogleDeviceId } from './channels.js';
+import householdService from '../services/household.service.js';
+
+/**
+ * Check that the link's user has the permission on a device (view by
+ * default, control for commands) and the device is shared through the link
+ */
+export const isDeviceShared = (accountLink, device, permission = 'view') => {
+  if (!device || !householdService.hasDevicePermission(accountLink.user_id, device, permission)) {
+    return false;
+  }
+
+  return !accountLink.shared_devices || accountLink.shared_devices.includes(device.device_uuid);
+};
+
+/**
+ * Keep the devices shared through the link from a list of devices the link user can access
+ */
+export const filterSharedDevices = (accountLink, devices) => {
+  if (!accountLink.shared_devices) {
+    return devices;
+  }
+
+  return devices.filter(device => accountLink.shared_devices.includes(device.device_uuid));
+};
+
+/**
+ * Check that a scene belongs to the link's user and only targets shared devices
+ */
+export const isSceneShared = (accountLink, scene) => {
+  if (!scene || scene.owner_user_id !== accountLink.user_id) {
+    return false;
+  }
+
+  return !accountLink.shared_devices ||
+    scene.targets.every(target => accountLink.shared_devices.includes(target.deviceUuid));
+};
+
+/**
+ * Keep the Google states of channels shared through the link
+ * @param {Object} states - Google states keyed by Google device ID
+ */
+export const filterSharedStates = (accountLink, states) => {
+  if (!accountLink.shared_devices) {
+    return states;
+  }
+
+  return Object.fromEntries(Object.entries(states).filter(([googleDeviceId]) =>
+    accountLink.shared_devices.includes(parseGoogleDeviceId(googleDeviceId).deviceUuid)
+  ));
+};
+
+export default {
+  isDeviceShared,
+  filterSharedDevices,
+  isSceneShared,
+  filterSharedStates
+};
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Minimal HTML templates for the server-rendered pages (src/views)
+ *
+ *   {{path.to.value}}    HTML-escaped value
+ *   {{{path.to.value}}}  raw value, only for HTML rendered by `render` itself
+ *
+ * Templates have no logic; lists are rendered from a partial per item and
+ * passed in raw.
+ */
+
+const VIEWS_DIR = join(__dirname, '../views');
+const cache = new Map();
+
+/**
+ * Escape text for HTML element content and quoted attribute values
+ */
+export const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const lookup = (data, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+};
+
+const loadTemplate = (name) => {
+  if (cache.has(name)) {
+    return cache.get(name);
+  }
+
+  const template = fs.readFileSync(join(VIEWS_DIR, `${name}.html`), 'utf8');
+  if (process.env.NODE_ENV === 'production') {
+    cache.set(name, template);
+  }
+  return template;
+};
+
+/**
+ * Render a template from src/views
+ * @param {string} name - Template file name without .html
+ */
+export const render = (name, data = {}) => {
+  // Single pass, so inserted values are never parsed as placeholders
+  return loadTemplate(name).replace(
+    /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g,
+    (match, rawPath, path) => (rawPath
+      ? String(lookup(data, rawPath) ?? '')
+      : escapeHtml(lookup(data, path)))
+  );
+};
+
+export default {
+  escapeHtml,
+  render
+};
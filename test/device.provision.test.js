@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'provision-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.db');
+process.env.THINGSBOARD_URL = 'http://thingsboard.invalid';
+
+const { migrate, closeDatabase } = await import('../src/database/db.js');
+migrate();
+
+const { ProvisioningRequestModel, DeviceClaimModel } = await import('../src/database/models.js');
+const { default: deviceClaimService } = await import('../src/services/deviceClaim.service.js');
+const { PROVISIONING_STATUS } = await import('../src/services/provisioning.service.js');
+const { default: deviceRoutes } = await import('../src/routes/device.routes.js');
+
+const HARDWARE_ID = '24:6F:28:AB:CD:EF';
+const RETRY_SECRET = 'panel-generated-retry-secret';
+
+let server;
+let baseUrl;
+let provisioningKey;
+let claim;
+
+const provision = (body) => fetch(`${baseUrl}/api/device/provision`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({
+    provisioningKey,
+    hardwareId: HARDWARE_ID,
+    deviceName: 'Smart Panel',
+    deviceType: 'smart-home-panel',
+    capabilities: ['light'],
+    ...body
+  })
+}).then(async res => ({ status: res.status, body: await res.json() }));
+
+before(async () => {
+  const { key, batch } = deviceClaimService.createBatch({ id: null }, { name: 'Test batch' });
+  provisioningKey = key;
+
+  // A panel that completed claim-code provisioning but did not get the response
+  const request = ProvisioningRequestModel.create({
+    requestId: 'req-1',
+    deviceUuid: '2f1d7a0c-5b8e-4c1a-9f3d-6e2b8a4c7d10',
+    batchId: batch.id,
+    hardwareId: HARDWARE_ID
+  });
+  ProvisioningRequestModel.updateStatus(request.id, PROVISIONING_STATUS.COMPLETED, { thingsboardDeviceId: 'tb-1' });
+
+  claim = DeviceClaimModel.create({
+    deviceUuid: request.device_uuid,
+    batchId: batch.id,
+    thingsboardDeviceId: 'tb-1',
+    deviceName: 'Smart Panel',
+    deviceType: 'smart-home-panel',
+    capabilities: ['light'],
+    accessToken: 'panel-access-token',
+    claimCodeHash: deviceClaimService.hashClaimCode('ABCD-EFGH'),
+    claimExpiresAt: Date.now() + 60 * 60 * 1000,
+    retrySecretHash: deviceClaimService.hash(RETRY_SECRET)
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/device', deviceRoutes);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  closeDatabase();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('retry without the retry secret gets neither the token nor a new claim code', async () => {
+  for (const retrySecret of [undefined, 'someone-elses-guessed-secret']) {
+    const { status, body } = await provision({ retrySecret });
+
+    assert.equal(status, 409);
+    assert.equal(body.requestId, 'req-1');
+    assert.ok(!JSON.stringify(body).includes('panel-access-token'));
+    assert.equal(body.claimCode, undefined);
+
+    const current = DeviceClaimModel.findByDeviceUuid(claim.device_uuid);
+    assert.equal(current.claim_code_hash, claim.claim_code_hash);
+  }
+});
+
+test('retry with the retry secret gets the token and a new claim code', async () => {
+  const { status, body } = await provision({ retrySecret: RETRY_SECRET });
+
+  assert.equal(status, 200);
+  assert.equal(body.existing, true);
+  assert.equal(body.device.accessToken, 'panel-access-token');
+  assert.ok(body.claimCode);
+
+  const current = DeviceClaimModel.findByDeviceUuid(claim.device_uuid);
+  assert.equal(current.claim_code_hash, deviceClaimService.hashClaimCode(body.claimCode));
+});
@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reset-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.db');
+
+const { migrate, closeDatabase } = await import('../src/database/db.js');
+migrate();
+
+const { UserModel, GoogleAccountLinkModel, OAuthClientModel } = await import('../src/database/models.js');
+const { default: accountService } = await import('../src/services/account.service.js');
+const { default: homegraphService } = await import('../src/services/homegraph.service.js');
+
+const deletedAgentUsers = [];
+let user;
+
+// Reset token as it would arrive in the emailed link
+const issueResetToken = () => new URL(accountService.issueLink(user, 'password_reset')).searchParams.get('token');
+
+before(() => {
+  homegraphService.deleteAgentUsers = async (agentUserIds) => {
+    deletedAgentUsers.push(...agentUserIds);
+  };
+
+  user = UserModel.create({ username: 'alice', email: 'alice@example.com', password: 'old-password' });
+
+  OAuthClientModel.create({ clientId: 'google', name: 'Google', provider: 'google', redirectUris: ['https://g'], scopes: [], grantTypes: ['authorization_code'] });
+  OAuthClientModel.create({ clientId: 'alexa', name: 'Alexa', provider: 'alexa', redirectUris: ['https://a'], scopes: [], grantTypes: ['authorization_code'] });
+  GoogleAccountLinkModel.createOrUpdate({ userId: user.id, googleAgentUserId: 'agent-google', clientId: 'google', tokenFamily: 'f1' });
+  GoogleAccountLinkModel.createOrUpdate({ userId: user.id, googleAgentUserId: 'agent-alexa', clientId: 'alexa', tokenFamily: 'f2' });
+});
+
+after(() => {
+  closeDatabase();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('reset without unlinkAccounts keeps linked accounts', () => {
+  const result = accountService.resetPassword(issueResetToken(), 'new-password-1');
+
+  assert.equal(result.unlinkedAccounts, 0);
+  assert.equal(GoogleAccountLinkModel.findAllByUserId(user.id).length, 2);
+  assert.deepEqual(deletedAgentUsers, []);
+});
+
+test('reset with unlinkAccounts removes the Google agent users from HomeGraph', () => {
+  const result = accountService.resetPassword(issueResetToken(), 'new-password-2', { unlinkAccounts: true });
+
+  assert.equal(result.unlinkedAccounts, 2);
+  assert.equal(GoogleAccountLinkModel.findAllByUserId(user.id).length, 0);
+  assert.deepEqual(deletedAgentUsers, ['agent-google']);
+});
@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rpc-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.db');
+
+const { closeDatabase } = await import('../src/database/db.js');
+const { default: thingsboardService, RpcError } = await import('../src/services/thingsboard.service.js');
+const { convertRpcErrorToGoogle } = await import('../src/utils/channels.js');
+
+let server;
+let baseUrl;
+
+// Two-way RPC that fails with the status given as device ID
+const sendRpc = (status, url = baseUrl) => {
+  thingsboardService.baseURL = url;
+  return thingsboardService.sendTwoWayRpcCommand(String(status), 'setState', {}, 'token', 1000)
+    .then(() => assert.fail('RPC should fail'), error => error);
+};
+
+before(async () => {
+  const app = express();
+  app.post('/api/rpc/twoway/:status', (req, res) => res.status(Number(req.params.status)).json({ message: 'error' }));
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  closeDatabase();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('ThingsBoard outages are transient errors', async () => {
+  for (const status of [500, 502, 503]) {
+    const error = await sendRpc(status);
+    assert.ok(error instanceof RpcError);
+    assert.equal(error.code, 'transient', `status ${status}`);
+    assert.deepEqual(convertRpcErrorToGoogle(error), { status: 'ERROR', errorCode: 'transientError' });
+  }
+});
+
+test('unreachable ThingsBoard is a transient error', async () => {
+  // Nothing listens on port 1
+  const error = await sendRpc(200, 'http://127.0.0.1:1');
+  assert.equal(error.code, 'transient');
+});
+
+test('other RPC failures keep their result', async () => {
+  assert.deepEqual(convertRpcErrorToGoogle(await sendRpc(504)), { status: 'ERROR', errorCode: 'deviceOffline' });
+  assert.equal(convertRpcErrorToGoogle(await sendRpc(409)).status, 'PENDING');
+  assert.deepEqual(convertRpcErrorToGoogle(await sendRpc(400)), { status: 'ERROR', errorCode: 'hardError' });
+});